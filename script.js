@@ -1,12 +1,43 @@
+const settings = require('./src/settings');
 const logger = require('./src/logger');
-const ui = require('./src/ui');
+const migrate = require('./src/migrate');
+const tag = require('./src/tag');
+const history = require('./src/history');
+const cli = require('./src/cli');
 
-function init() {
+function prepareData() {
+    if (settings.getSource('dataDir') === 'default') {
+        migrate.migrateLegacyDataDir();
+    }
     logger.ensureDirectories();
+    migrate.migrateLegacySections();
     logger.ensureDefaultSection();
+    tag.ensureTagRegistry();
+    // picks up files changed while thought-cli wasn't running
+    history.record('changes made outside thought-cli');
+}
+
+function init() {
+    // ui opens a readline interface on load, so only require it for interactive use
+    const ui = require('./src/ui');
+
     ui.setupEventListeners();
     ui.showMainMenu();
 }
 
-// initiate thought-cli
-init();
\ No newline at end of file
+const flags = settings.extractDataDirFlag(process.argv.slice(2));
+
+if (flags.error) {
+    console.error(flags.error);
+    process.exitCode = 2;
+} else {
+    settings.loadConfig({ dataDir: flags.dataDir });
+    prepareData();
+
+    if (cli.isCommand(flags.args)) {
+        process.exitCode = cli.run(flags.args);
+    } else {
+        // initiate thought-cli
+        init();
+    }
+}
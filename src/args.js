@@ -0,0 +1,62 @@
+/**
+ * Option parsing shared by shell subcommands and slash commands
+ */
+
+/**
+ * Splits raw arguments into positionals and options
+ * @param {Array} args - Raw command line arguments
+ * @param {Object} spec - options maps option names to 'string' or 'boolean', aliases maps short names to option names
+ * @returns {Object} - { positionals, options } or { error } on invalid input
+ */
+function parseArgs(args, spec) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--') {
+            positionals.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name = arg.replace(/^--?/, '');
+        let value = null;
+        const eqIndex = name.indexOf('=');
+        if (eqIndex !== -1) {
+            value = name.substring(eqIndex + 1);
+            name = name.substring(0, eqIndex);
+        }
+
+        const key = spec.aliases?.[name] || name;
+        const type = spec.options?.[key];
+
+        if (!type) {
+            return { error: `unknown option: ${arg}` };
+        }
+
+        if (type === 'boolean') {
+            options[key] = true;
+            continue;
+        }
+
+        if (value === null) {
+            if (i + 1 >= args.length) {
+                return { error: `option ${arg} requires a value` };
+            }
+            value = args[++i];
+        }
+        options[key] = value;
+    }
+
+    return { positionals, options };
+}
+
+module.exports = {
+    parseArgs
+};
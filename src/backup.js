@@ -1,8 +1,15 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const chalk = require('chalk');
 const config = require('./config');
-const zlib = require('zlib');
+const logger = require('./logger');
+const migrate = require('./migrate');
+const backupFormat = require('./backupFormat');
+const encryption = require('./encryption');
+const entry = require('./entry');
+const destinations = require('./destinations');
+const history = require('./history');
 
 /**
  * Backup management system for thought-cli
@@ -10,59 +17,68 @@ const zlib = require('zlib');
  */
 
 const backupConfig = {
-    maxBackupsPerSection: 5,
-    retentionDays: 30,
-    useCompression: true,
     backupExtension: '.bak',
     compressedExtension: '.bak.gz',
-    fullBackupPrefix: 'full-backup-'
+    fullBackupPrefix: 'full-backup-',
+    incrementalPrefix: 'full-backup-incremental-'
 };
 
+// file path -> { mtimeMs, manifest }, reading a manifest means unpacking the whole backup
+const manifestCache = new Map();
+// "destination/backup name" -> whether that copy was taken when its section was rotated
+const rotatedCopies = new Map();
+
+// backups taken by the scheduler or by rotation are quiet so nothing prints over the section view
+function report(options, message) {
+    if (!options.quiet) {
+        console.log(message);
+    }
+}
+
 /**
  * Creates a backup of a specific section
  * @param {string} section - The section name to backup
  * @param {boolean} rotate - Whether to clear the log file after backup
+ * @param {Object} options - quiet to print nothing and throw on failure instead
  * @returns {string|null} - Path to the backup file or null if failed
  */
-function backupSection(section, rotate = false) {
+function backupSection(section, rotate = false, options = {}) {
     try {
-        const logFilePath = path.join(config.sectionsDir, `${section}.txt`);
+        const logFilePath = logger.getLogFilePath(section);
         
         if (!fs.existsSync(logFilePath)) {
+            if (options.quiet) {
+                throw new Error(`no log file found for section: ${section}`);
+            }
             console.log(chalk.yellow(`no log file found for section: ${section}`));
             return null;
         }
         
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupFileName = `${section}-${timestamp}${backupConfig.backupExtension}`;
-        const backupPath = path.join(config.backupDir, backupFileName);
+        const extension = config.compressBackups ? backupConfig.compressedExtension : backupConfig.backupExtension;
+        const backupPath = path.join(config.backupDir, `${logger.getSectionFileName(section)}-${timestamp}${extension}`);
         
-        const content = fs.readFileSync(logFilePath, 'utf-8');
+        const archive = backupFormat.createArchive('section', [{
+            name: section,
+            content: fs.readFileSync(logFilePath, 'utf-8'),
+            metadata: logger.getSectionMetadata()[section] || {}
+        }]);
+        // a rotated backup holds the only copy of its entries, retention leaves it alone
+        if (rotate) {
+            archive.manifest.rotated = true;
+        }
+        backupFormat.writeArchive(backupPath, archive);
         
-        if (backupConfig.useCompression) {
-            const compressed = zlib.gzipSync(content);
-            const compressedPath = backupPath + '.gz';
-            fs.writeFileSync(compressedPath, compressed);
-            
-            if (rotate) {
-                fs.writeFileSync(logFilePath, '');
-            }
-            
-            console.log(chalk.green(`compressed backup created: ${compressedPath}`));
-            cleanupOldBackups(section);
-            return compressedPath;
-        } else {
-            fs.writeFileSync(backupPath, content);
-            
-            if (rotate) {
-                fs.writeFileSync(logFilePath, '');
-            }
-            
-            console.log(chalk.green(`backup created: ${backupPath}`));
-            cleanupOldBackups(section);
-            return backupPath;
+        if (rotate) {
+            logger.clearLogFile(section);
         }
+        
+        report(options, chalk.green(`${config.compressBackups ? 'compressed backup' : 'backup'} created: ${backupPath}`));
+        cleanupOldBackups(section, options);
+        copyToDestinations(backupPath, options);
+        return backupPath;
     } catch (err) {
+        if (options.quiet) throw err;
         console.error(chalk.red(`error creating backup for section ${section}:`), err);
         return null;
     }
@@ -70,134 +86,429 @@ function backupSection(section, rotate = false) {
 
 /**
  * Creates a full backup of all sections and metadata
+ * @param {Object} options - quiet to print nothing and throw on failure instead
  * @returns {string|null} - Path to the full backup file or null if failed
  */
-function createFullBackup() {
+function createFullBackup(options = {}) {
     try {
         if (!fs.existsSync(config.backupDir)) {
             fs.mkdirSync(config.backupDir, { recursive: true });
         }
         
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupFileName = `${backupConfig.fullBackupPrefix}${timestamp}${backupConfig.backupExtension}`;
-        const backupPath = path.join(config.backupDir, backupFileName);
-        
-        const sections = getSections();
-        
-        const backupData = {
-            timestamp: new Date().toISOString(),
-            metadata: {},
-            sections: {}
-        };
+        const extension = config.compressBackups ? backupConfig.compressedExtension : backupConfig.backupExtension;
         
-        if (fs.existsSync(config.metadataFile)) {
-            const metadataContent = fs.readFileSync(config.metadataFile, 'utf-8');
-            backupData.metadata = JSON.parse(metadataContent);
-        }
+        const metadata = logger.getSectionMetadata();
+        const sections = logger.getSections()
+            .filter(section => fs.existsSync(logger.getLogFilePath(section)))
+            .map(section => ({
+                name: section,
+                content: fs.readFileSync(logger.getLogFilePath(section), 'utf-8'),
+                metadata: metadata[section] || {}
+            }));
         
-        for (const section of sections) {
-            const logFilePath = path.join(config.sectionsDir, `${section}.txt`);
-            if (fs.existsSync(logFilePath)) {
-                const content = fs.readFileSync(logFilePath, 'utf-8');
-                backupData.sections[section] = content;
-            }
+        const parent = findParentSnapshot(options);
+        if (parent) {
+            const backupPath = path.join(config.backupDir, `${backupConfig.incrementalPrefix}${timestamp}${extension}`);
+            const archive = backupFormat.createIncrementalArchive(parent.snapshot, parent.name, sections);
+            backupFormat.writeArchive(backupPath, archive);
+            
+            const changed = archive.manifest.sections.filter(section => section.stored !== 'unchanged').length;
+            report(options, chalk.green(`incremental backup created: ${backupPath} (${changed} of ${sections.length} sections changed)`));
+            cleanupOldFullBackups(options);
+            copyToDestinations(backupPath, options);
+            return backupPath;
         }
         
-        const backupContent = JSON.stringify(backupData, null, 2);
+        const backupPath = path.join(config.backupDir, `${backupConfig.fullBackupPrefix}${timestamp}${extension}`);
+        backupFormat.writeArchive(backupPath, backupFormat.createArchive('full', sections));
         
-        if (backupConfig.useCompression) {
-            const compressed = zlib.gzipSync(backupContent);
-            const compressedPath = backupPath + '.gz';
-            fs.writeFileSync(compressedPath, compressed);
-            console.log(chalk.green(`full compressed backup created: ${compressedPath}`));
-            cleanupOldFullBackups();
-            return compressedPath;
-        } else {
-            fs.writeFileSync(backupPath, backupContent);
-            console.log(chalk.green(`full backup created: ${backupPath}`));
-            cleanupOldFullBackups();
-            return backupPath;
-        }
+        report(options, chalk.green(`full ${config.compressBackups ? 'compressed backup' : 'backup'} created: ${backupPath}`));
+        cleanupOldFullBackups(options);
+        copyToDestinations(backupPath, options);
+        return backupPath;
     } catch (err) {
+        if (options.quiet) throw err;
         console.error(chalk.red('error creating full backup:'), err);
         return null;
     }
 }
 
+/**
+ * Tells which section a backup file belongs to from its name
+ * @param {string} fileName - Backup file name
+ * @returns {string|null} - Section name, null for full backups and unknown files
+ */
+function getBackupSection(fileName) {
+    if (fileName.startsWith(backupConfig.fullBackupPrefix)) {
+        return null;
+    }
+    const match = fileName.match(backupFormat.backupNamePattern);
+    return match ? logger.getSectionFromFileName(match[1]) : null;
+}
+
+/**
+ * Tells what a backup is from its file name
+ * @param {string} fileName - Backup file name
+ * @returns {Object} - { name, type, section, timestamp }
+ */
+function describeBackupFile(fileName) {
+    return {
+        name: fileName,
+        type: fileName.startsWith(backupConfig.fullBackupPrefix) ? 'full' : 'section',
+        section: getBackupSection(fileName),
+        timestamp: fileName.match(backupFormat.backupNamePattern)[2]
+    };
+}
+
+// section backups grouped by section, each group and the full backups oldest first
+function sortBackups(backups) {
+    return backups.sort((a, b) => (a.section || '').localeCompare(b.section || '') || a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Reads a backup file in any format
+ * @param {string} backupPath - Path to the backup file
+ * @returns {Object} - The backup document with its manifest
+ * @throws {Error} - When the backup is damaged
+ */
+function readBackup(backupPath) {
+    return backupFormat.readArchive(backupPath, getBackupSection(path.basename(backupPath)));
+}
+
+/**
+ * Reads a backup and, for an incremental snapshot, rebuilds it from every snapshot down to its base
+ * @param {string} backupPath - Path to the backup file
+ * @returns {Object} - The backup document with every section whole
+ * @throws {Error} - When the backup or a snapshot it builds on is missing or damaged
+ */
+function loadSnapshot(backupPath) {
+    const archive = readBackup(backupPath);
+    const problems = backupFormat.checkArchive(archive);
+    if (problems.length > 0) {
+        throw new Error(`${path.basename(backupPath)} is damaged: ${problems.join(', ')}`);
+    }
+    if (archive.manifest.type !== 'incremental') {
+        return archive;
+    }
+
+    const parentPath = path.join(path.dirname(backupPath), archive.manifest.parent);
+    if (!fs.existsSync(parentPath)) {
+        throw new Error(`${archive.manifest.parent}, which ${path.basename(backupPath)} builds on, is missing`);
+    }
+    return backupFormat.applySnapshot(loadSnapshot(parentPath), archive);
+}
+
+function readManifest(backupFile) {
+    const cached = manifestCache.get(backupFile.path);
+    if (cached && cached.mtimeMs === backupFile.mtimeMs) {
+        return cached.manifest;
+    }
+
+    let manifest = null;
+    try {
+        manifest = readBackup(backupFile.path).manifest;
+    } catch (err) {
+        // damaged backups are reported by /verify-backup
+    }
+    manifestCache.set(backupFile.path, { mtimeMs: backupFile.mtimeMs, manifest });
+    return manifest;
+}
+
+/**
+ * Lists full backups oldest first with the snapshot each incremental one builds on
+ * @param {Object} options - Passed on to listAllBackups
+ * @returns {Array} - Backups from listAllBackups with incremental, parent and depth added
+ */
+function listSnapshots(options = {}) {
+    return listAllBackups(options)
+        .filter(b => b.type === 'full')
+        .map(b => {
+            const manifest = readManifest(b);
+            const incremental = !!manifest && manifest.type === 'incremental';
+            return {
+                ...b,
+                incremental,
+                parent: incremental ? manifest.parent : null,
+                depth: incremental ? manifest.depth : 0
+            };
+        });
+}
+
+/**
+ * Picks the snapshot the next full backup should build on
+ * @param {Object} options - quiet to skip the notice about starting a new base and throw when backups cannot be listed
+ * @returns {Object|null} - { name, snapshot }, or null when the next backup starts a new base
+ */
+function findParentSnapshot(options = {}) {
+    if (config.snapshotsPerBase <= 1) {
+        return null;
+    }
+
+    const latest = listSnapshots(options).pop();
+    if (!latest || latest.depth + 1 >= config.snapshotsPerBase) {
+        return null;
+    }
+
+    try {
+        return { name: latest.name, snapshot: loadSnapshot(latest.path) };
+    } catch (err) {
+        report(options, chalk.yellow(`starting a new base, the latest snapshot can't be rebuilt: ${err.message}`));
+        return null;
+    }
+}
+
+/**
+ * Parses section content from a backup, decrypting it if the section is unlocked
+ * @param {string} name - Section name in the backup
+ * @param {string} content - Stored section content
+ * @returns {Array} - The entries
+ * @throws {Error} - When the content is encrypted and locked
+ */
+function parseBackupSection(name, content) {
+    const header = encryption.getHeader(content);
+    if (header && encryption.isLocked(header)) {
+        throw new Error(`section ${name} is encrypted in this backup, open it with its passphrase first`);
+    }
+    return logger.parseEntries(migrate.toStructuredContent(encryption.decryptContent(content)));
+}
+
+/**
+ * Reads the entries held by a backup, rebuilding incremental snapshots and decrypting unlocked sections
+ * @param {string} backupPath - Path to the backup file
+ * @returns {Object} - { type, sections } with section name to entries
+ * @throws {Error} - When the backup is damaged or holds a locked section
+ */
+function readBackupEntries(backupPath) {
+    const archive = loadSnapshot(backupPath);
+    const sections = {};
+
+    for (const { name } of archive.manifest.sections) {
+        sections[name] = parseBackupSection(name, archive.sections[name]);
+    }
+    return { type: archive.manifest.type, sections };
+}
+
+function sameEntry(a, b) {
+    return a.timestamp === b.timestamp && a.text === b.text &&
+        JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []) &&
+        JSON.stringify(a.fields || {}) === JSON.stringify(b.fields || {});
+}
+
+function diffSection(backupEntries, currentEntries, diff) {
+    const currentById = new Map(currentEntries.map(logEntry => [logEntry.id, logEntry]));
+    const matched = new Set();
+    const unmatched = [];
+
+    for (const backupEntry of backupEntries) {
+        const current = currentById.get(backupEntry.id);
+        if (current && !matched.has(current)) {
+            matched.add(current);
+            if (!sameEntry(backupEntry, current)) {
+                diff.changed.push({ backup: backupEntry, current });
+            }
+        } else {
+            unmatched.push(backupEntry);
+        }
+    }
+
+    // backups from before ids get new ids every time they are read, fall back to time and text
+    const identify = logEntry => `${logEntry.timestamp}|${logEntry.text}`;
+    const byIdentity = new Map();
+    currentEntries.filter(logEntry => !matched.has(logEntry))
+        .forEach(logEntry => byIdentity.set(identify(logEntry), logEntry));
+
+    for (const backupEntry of unmatched) {
+        const current = byIdentity.get(identify(backupEntry));
+        if (current && !matched.has(current)) {
+            matched.add(current);
+        } else {
+            diff.added.push(backupEntry);
+        }
+    }
+    diff.removed.push(...currentEntries.filter(logEntry => !matched.has(logEntry)));
+}
+
+/**
+ * Compares a backup with the current data it would replace
+ * @param {string} backupPath - Path to the backup file
+ * @param {string} section - Section a section backup would be restored into, defaults to the one it was taken from
+ * @returns {Object} - { added, removed, changed } from the point of view of a restore: added entries are only
+ * in the backup, removed ones only in the current data and changed holds { backup, current } pairs.
+ * Every entry carries its section name
+ * @throws {Error} - When the backup is damaged or a section involved is locked or can't be read
+ */
+function diffBackup(backupPath, section = null) {
+    const contents = readBackupEntries(backupPath);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [name, backupEntries] of Object.entries(contents.sections)) {
+        const target = contents.type === 'section' && section ? section : name;
+        if (logger.isSectionLocked(target)) {
+            throw new Error(`section ${target} is locked, open it with its passphrase first`);
+        }
+
+        const withSection = list => list.map(logEntry => ({ ...logEntry, section: target }));
+        // a damaged section can't be compared, half of it would show up as removed
+        let current;
+        try {
+            current = logger.readAllLogs(target);
+        } catch (err) {
+            throw new Error(`section ${target} could not be read: ${err.message}`);
+        }
+        diffSection(withSection(backupEntries), withSection(current), diff);
+    }
+    return diff;
+}
+
 /**
  * Restores a section from a backup file
  * @param {string} backupPath - Path to the backup file
- * @param {string} section - Section name to restore (null for full backup)
- * @param {boolean} overwrite - Whether to overwrite existing data
+ * @param {string} section - Section to restore a section backup into, defaults to the section it was taken from
+ * @param {string} mode - 'overwrite' replaces sections that exist, 'merge' adds the backup's entries to them
+ * and 'skip' leaves them alone
  * @returns {boolean} - Whether restoration was successful
  */
-function restoreFromBackup(backupPath, section = null, overwrite = false) {
+function restoreFromBackup(backupPath, section = null, mode = 'skip') {
     try {
         if (!fs.existsSync(backupPath)) {
             console.error(chalk.red(`backup file not found: ${backupPath}`));
             return false;
         }
         
-        let backupContent;
-        
-        if (backupPath.endsWith('.gz')) {
-            const compressed = fs.readFileSync(backupPath);
-            backupContent = zlib.gunzipSync(compressed).toString();
-        } else {
-            backupContent = fs.readFileSync(backupPath, 'utf-8');
+        let archive;
+        try {
+            archive = loadSnapshot(backupPath);
+        } catch (err) {
+            console.error(chalk.red(`can't restore: ${err.message}`));
+            return false;
         }
         
-        if (path.basename(backupPath).startsWith(backupConfig.fullBackupPrefix)) {
-            return restoreFullBackup(JSON.parse(backupContent), overwrite);
-        } else if (section) {
-            return restoreSectionBackup(section, backupContent, overwrite);
-        } else {
-            console.error(chalk.red('section name required for individual backup restoration'));
-            return false;
+        const restored = archive.manifest.type !== 'section'
+            ? restoreFullBackup(archive, mode)
+            : restoreSectionBackup(section || archive.manifest.sections[0].name, archive, mode);
+        if (restored) {
+            history.record(`restore ${path.basename(backupPath)}`);
         }
+        return restored;
     } catch (err) {
         console.error(chalk.red('error restoring from backup:'), err);
         return false;
     }
 }
 
+/**
+ * Puts the metadata recorded in a backup back for a restored section
+ * Old backups carry no metadata, the current metadata is kept for those
+ * @param {Object} metadata - Section metadata being updated
+ * @param {string} section - Section name
+ * @param {Object} sectionMetadata - Metadata from the manifest
+ * @param {boolean} overwrite - Whether to replace existing metadata
+ * @returns {boolean} - Whether anything changed
+ */
+function restoreSectionMetadata(metadata, section, sectionMetadata, overwrite) {
+    if (!sectionMetadata || Object.keys(sectionMetadata).length === 0) {
+        return false;
+    }
+    if (metadata[section] && !overwrite) {
+        return false;
+    }
+    metadata[section] = sectionMetadata;
+    return true;
+}
+
+/**
+ * Adds the entries of a backed up section to a live one, leaving out the ones it already has
+ * @param {string} section - Live section name
+ * @param {string} name - Section name in the backup
+ * @param {string} content - Stored section content
+ * @returns {Object} - { added, total }
+ * @throws {Error} - When either side is locked or the backup is encrypted and the section isn't
+ */
+function mergeIntoSection(section, name, content) {
+    if (logger.isSectionLocked(section)) {
+        throw new Error(`section ${section} is locked, open it with its passphrase first`);
+    }
+    if (encryption.isEncryptedContent(content) && !logger.isSectionEncrypted(section)) {
+        throw new Error(`the backup of ${name} is encrypted, encrypt ${section} before merging it in`);
+    }
+    
+    const merged = entry.mergeEntries(logger.readAllLogs(section), parseBackupSection(name, content));
+    if (merged.added > 0) {
+        logger.writeAllLogs(section, merged.entries);
+    }
+    return { added: merged.added, total: merged.entries.length };
+}
+
+/**
+ * Writes a backed up section, replacing or merging with the live one
+ * @param {string} section - Live section name
+ * @param {string} name - Section name in the backup
+ * @param {string} content - Stored section content
+ * @param {string} mode - 'overwrite', 'merge' or 'skip'
+ * @returns {Object|null} - { added } for a merge, {} for a full write, null when skipped
+ */
+function writeRestoredSection(section, name, content, mode) {
+    const logFilePath = logger.getLogFilePath(section);
+    const exists = fs.existsSync(logFilePath);
+    
+    if (exists && mode === 'merge') {
+        return mergeIntoSection(section, name, content);
+    }
+    if (exists && mode !== 'overwrite') {
+        return null;
+    }
+    
+    fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
+    logger.withFileLock(logFilePath, () => fs.writeFileSync(logFilePath, migrate.toStructuredContent(content)));
+    return {};
+}
+
 /**
  * Restores a full backup
- * @param {object} backupData - The parsed backup data
- * @param {boolean} overwrite - Whether to overwrite existing data
+ * @param {object} archive - The backup document
+ * @param {string} mode - 'overwrite', 'merge' or 'skip'
  * @returns {boolean} - Whether restoration was successful
  */
-function restoreFullBackup(backupData, overwrite) {
+function restoreFullBackup(archive, mode) {
     try {
         if (!fs.existsSync(config.sectionsDir)) {
             fs.mkdirSync(config.sectionsDir, { recursive: true });
         }
         
-        if (backupData.metadata) {
-            const metadataPath = config.metadataFile;
-            if (overwrite || !fs.existsSync(metadataPath)) {
-                fs.writeFileSync(metadataPath, JSON.stringify(backupData.metadata, null, 2));
-                console.log(chalk.green('metadata restored'));
-            } else {
-                console.log(chalk.yellow('skipping metadata restoration (file exists)'));
-            }
-        }
-        
+        const metadata = logger.getSectionMetadata();
+        let metadataChanged = false;
         let successCount = 0;
-        const sectionCount = Object.keys(backupData.sections).length;
+        let addedCount = 0;
+        const sectionCount = archive.manifest.sections.length;
         
-        for (const [section, content] of Object.entries(backupData.sections)) {
-            const logFilePath = path.join(config.sectionsDir, `${section}.txt`);
+        for (const { name: section, metadata: sectionMetadata } of archive.manifest.sections) {
+            let result;
+            try {
+                result = writeRestoredSection(section, section, archive.sections[section], mode);
+            } catch (err) {
+                console.log(chalk.yellow(`skipping section ${section}: ${err.message}`));
+                continue;
+            }
             
-            if (overwrite || !fs.existsSync(logFilePath)) {
-                fs.writeFileSync(logFilePath, content);
+            if (result) {
+                metadataChanged = restoreSectionMetadata(metadata, section, sectionMetadata, mode === 'overwrite') || metadataChanged;
+                addedCount += result.added || 0;
                 successCount++;
             } else {
                 console.log(chalk.yellow(`skipping section ${section} (file exists)`));
             }
         }
         
-        console.log(chalk.green(`restored ${successCount} of ${sectionCount} sections`));
+        if (metadataChanged) {
+            logger.saveSectionMetadata(metadata);
+            console.log(chalk.green('metadata restored'));
+        }
+        if (mode === 'merge') {
+            console.log(chalk.green(`merged ${successCount} of ${sectionCount} sections, ${addedCount} entries added`));
+        } else {
+            console.log(chalk.green(`restored ${successCount} of ${sectionCount} sections`));
+        }
         return true;
     } catch (err) {
         console.error(chalk.red('error restoring full backup:'), err);
@@ -206,26 +517,34 @@ function restoreFullBackup(backupData, overwrite) {
 }
 
 /**
- * Restores a single section from backup content
- * @param {string} section - Section name to restore
- * @param {string} content - Content to restore
- * @param {boolean} overwrite - Whether to overwrite existing data
+ * Restores a single section from a section backup
+ * @param {string} section - Section name to restore into
+ * @param {Object} archive - The backup document
+ * @param {string} mode - 'overwrite', 'merge' or 'skip'
  * @returns {boolean} - Whether restoration was successful
  */
-function restoreSectionBackup(section, content, overwrite) {
+function restoreSectionBackup(section, archive, mode) {
     try {
-        const logFilePath = path.join(config.sectionsDir, `${section}.txt`);
+        const [backedUp] = archive.manifest.sections;
+        const result = writeRestoredSection(section, backedUp.name, archive.sections[backedUp.name], mode);
         
-        if (overwrite || !fs.existsSync(logFilePath)) {
-            fs.writeFileSync(logFilePath, content);
-            console.log(chalk.green(`section ${section} restored successfully`));
-            return true;
-        } else {
+        if (!result) {
             console.log(chalk.yellow(`skipping section ${section} (file exists)`));
             return false;
         }
+        
+        const metadata = logger.getSectionMetadata();
+        if (restoreSectionMetadata(metadata, section, backedUp.metadata, mode === 'overwrite')) {
+            logger.saveSectionMetadata(metadata);
+        }
+        if (result.added !== undefined) {
+            console.log(chalk.green(`merged backup into ${section}: ${result.added} entries added, ${result.total} total`));
+        } else {
+            console.log(chalk.green(`section ${section} restored successfully`));
+        }
+        return true;
     } catch (err) {
-        console.error(chalk.red(`error restoring section ${section}:`), err);
+        console.error(chalk.red(`error restoring section ${section}:`), err.message);
         return false;
     }
 }
@@ -234,24 +553,37 @@ function restoreSectionBackup(section, content, overwrite) {
  * Lists all available backups
  * @param {Array} fullBackups - List of full backups
  * @param {Array} sectionBackups - List of section backups
+ * @param {string} destination - Name of the destination the backups were listed from, null for local ones
  * @returns {Array} - Combined list of all backups
  */
-function listBackups(fullBackups = null, sectionBackups = null) {
+function listBackups(fullBackups = null, sectionBackups = null, destination = null) {
     if (!fullBackups || !sectionBackups) {
         const allBackups = listAllBackups(); // Fetch all backups
         fullBackups = allBackups.filter(b => b.type === 'full') || [];
         sectionBackups = allBackups.filter(b => b.type === 'section') || [];
     }
 
-    console.log("Available backups:");
+    console.log(destination ? `Backups on ${destination}:` : "Available backups:");
 
     // Number full backups separately
     console.log("Full backups:");
     if (fullBackups.length === 0) {
         console.log("No full backups available.");
     } else {
+        const numbers = new Map(fullBackups.map((backup, index) => [backup.name, index + 1]));
+        const snapshots = new Map((destination ? inferSnapshots(fullBackups) : listSnapshots())
+            .map(snapshot => [snapshot.name, snapshot]));
         fullBackups.forEach((backup, index) => {
-            console.log(`${index + 1}. ${backup.name} - ${backup.date} (${backup.size})`);
+            // incremental snapshots are indented under the snapshot they build on
+            const snapshot = snapshots.get(backup.name);
+            let chain = chalk.dim(' base');
+            if (snapshot && snapshot.incremental) {
+                chain = snapshot.parent
+                    ? chalk.dim(` changes since ${numbers.has(snapshot.parent) ? numbers.get(snapshot.parent) : snapshot.parent}`)
+                    : chalk.yellow(' the snapshot it builds on is missing');
+            }
+            const indent = snapshot ? '  '.repeat(snapshot.depth) : '';
+            console.log(`${index + 1}. ${indent}${backup.name} - ${backup.date} (${backup.size})${chain}`);
         });
     }
 
@@ -265,8 +597,9 @@ function listBackups(fullBackups = null, sectionBackups = null) {
         });
     }
 
-    console.log("Use /restore <type> <number> to restore a specific backup");
-    console.log("Example: /restore full 1 or /restore section 1");
+    const from = destination ? ` --from ${destination}` : '';
+    console.log(`Use /restore <type> <number>${from} to restore a specific backup`);
+    console.log(`Example: /restore full 1${from} or /restore section 1${from}`);
     
     // Return the list of backups for programmatic use
     return [...fullBackups, ...sectionBackups];
@@ -274,148 +607,379 @@ function listBackups(fullBackups = null, sectionBackups = null) {
 
 /**
  * Fetches all backups from the backup directory
+ * @param {Object} options - quiet to throw instead of printing when the directory can't be read
  * @returns {Array} - List of all backups
  */
-function listAllBackups() {
+function listAllBackups(options = {}) {
     try {
         if (!fs.existsSync(config.backupDir)) {
             return [];
         }
 
-        const files = fs.readdirSync(config.backupDir);
-        return files.map(file => {
+        // section names may contain dashes, the timestamp at the end tells where the name stops
+        const files = fs.readdirSync(config.backupDir)
+            .filter(file => backupFormat.backupNamePattern.test(file));
+        return sortBackups(files.map(file => {
             const fullPath = path.join(config.backupDir, file);
             const stats = fs.statSync(fullPath);
 
-            let type = 'unknown';
-            let sectionName = null;
-
-            if (file.startsWith(backupConfig.fullBackupPrefix)) {
-                type = 'full';
-            } else {
-                type = 'section';
-                const match = file.match(/^([^-]+)-/);
-                if (match) {
-                    sectionName = match[1];
-                }
-            }
-
             return {
+                ...describeBackupFile(file),
                 path: fullPath,
-                name: file,
                 date: stats.mtime,
-                size: stats.size,
-                type,
-                section: sectionName
+                mtimeMs: stats.mtimeMs,
+                size: stats.size
             };
-        });
+        }));
     } catch (err) {
+        if (options.quiet) throw err;
         console.error(chalk.red('error listing backups:'), err);
         return [];
     }
 }
 
 /**
- * Schedules automatic backups
- * @param {number} intervalMinutes - Interval in minutes between backups
- * @returns {Object} - Timer object that can be used to cancel the schedule
+ * Renames the backups of a section so they follow the section to its new name
+ * Full backups are left alone, they record the sections as they were
+ * @param {string} oldName - Current section name
+ * @param {string} newName - New section name
+ * @returns {number} - Number of backup files renamed
+ */
+function renameSectionBackups(oldName, newName) {
+    if (!fs.existsSync(config.backupDir)) {
+        return 0;
+    }
+
+    const oldFileName = logger.getSectionFileName(oldName);
+    const newFileName = logger.getSectionFileName(newName);
+    let renamed = 0;
+
+    for (const file of fs.readdirSync(config.backupDir)) {
+        const match = file.match(backupFormat.backupNamePattern);
+        if (!match || match[1] !== oldFileName || file.startsWith(backupConfig.fullBackupPrefix)) continue;
+
+        const oldPath = path.join(config.backupDir, file);
+        const newPath = path.join(config.backupDir, file.replace(oldFileName, newFileName));
+        try {
+            // the manifest names the section too, keep it in step with the file name
+            const archive = backupFormat.readArchive(oldPath, oldName);
+            backupFormat.setSectionContent(archive, archive.manifest.sections[0].name, Object.values(archive.sections)[0], newName);
+            backupFormat.writeArchive(newPath, archive);
+            fs.unlinkSync(oldPath);
+        } catch (err) {
+            fs.renameSync(oldPath, newPath);
+        }
+        renamed++;
+    }
+    return renamed;
+}
+
+/**
+ * Rewrites the stored content of a section in every backup that holds it, used when
+ * encrypting or decrypting a section so older backups match
+ * @param {string} section - Section name
+ * @param {Function} transform - Receives the section content and returns the new content
+ * @returns {Object} - { converted, failed } backup counts
+ */
+function convertSectionBackups(section, transform) {
+    const result = { converted: 0, failed: 0 };
+    const pending = [];
+
+    // rebuild every snapshot first, converting one changes what the next one builds on
+    for (const backupFile of listAllBackups()) {
+        if (backupFile.type === 'section' && backupFile.section !== section) continue;
+
+        try {
+            const archive = readBackup(backupFile.path);
+            if (!archive.manifest.sections.some(listed => listed.name === section)) continue;
+
+            const content = archive.manifest.type === 'incremental'
+                ? loadSnapshot(backupFile.path).sections[section]
+                : archive.sections[section];
+            pending.push({ backupFile, archive, content });
+        } catch (err) {
+            console.error(chalk.red(`could not convert backup ${backupFile.name}:`), err.message);
+            result.failed++;
+        }
+    }
+
+    // converted sections are stored whole, so snapshots no longer depend on each other for them
+    for (const { backupFile, archive, content } of pending) {
+        try {
+            backupFormat.setSectionContent(archive, section, transform(content));
+            backupFormat.writeArchive(backupFile.path, archive);
+            result.converted++;
+        } catch (err) {
+            console.error(chalk.red(`could not convert backup ${backupFile.name}:`), err.message);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks backups against their manifests and prints a line for each
+ * @param {Array} backupFiles - Backups from listAllBackups, all of them by default
+ * @returns {Object} - { ok, legacy, corrupt } counts
+ */
+function verifyBackups(backupFiles = listAllBackups()) {
+    const counts = { ok: 0, legacy: 0, corrupt: 0 };
+
+    for (const backupFile of backupFiles) {
+        let { status, problems, archive } = backupFormat.verifyArchive(backupFile.path, backupFile.section);
+        if (status === 'ok' && archive.manifest.type === 'incremental') {
+            try {
+                loadSnapshot(backupFile.path);
+            } catch (err) {
+                status = 'corrupt';
+                problems = [err.message];
+            }
+        }
+        counts[status]++;
+
+        if (status === 'corrupt') {
+            console.log(chalk.red(`corrupt ${backupFile.name}: ${problems.join(', ')}`));
+        } else if (status === 'legacy') {
+            console.log(chalk.yellow(`legacy  ${backupFile.name}`) + chalk.dim(' - readable, written before checksums were added'));
+        } else {
+            const { sections, createdAt, appVersion } = archive.manifest;
+            const entries = sections.reduce((sum, section) => sum + section.entries, 0);
+            const created = createdAt ? `, created ${createdAt} by ${appVersion}` : '';
+            const chain = archive.manifest.type === 'incremental' ? `, rebuilt from ${archive.manifest.depth + 1} snapshots` : '';
+            console.log(chalk.green(`ok      ${backupFile.name}`) + chalk.dim(` - ${sections.length} section(s), ${entries} entries${created}${chain}`));
+        }
+    }
+    return counts;
+}
+
+/**
+ * Picks the backups the retention settings allow to delete
+ * @param {Array} backups - Backups of one kind, oldest first
+ * @param {Object} limits - maxBackupsPerSection and backupRetentionDays, the global settings by default
+ * @returns {Array} - Backups beyond maxBackupsPerSection or older than backupRetentionDays
  */
-function scheduleBackups(intervalMinutes = 60) {
-    console.log(chalk.green(`scheduling automatic backups every ${intervalMinutes} minutes`));
+function selectExpiredBackups(backups, limits = config) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - limits.backupRetentionDays);
     
-    createFullBackup();
+    // counted from the newest, those are the ones to keep
+    return [...backups].reverse().filter((backup, index) =>
+        index >= limits.maxBackupsPerSection || (limits.backupRetentionDays > 0 && backup.date < cutoffDate));
+}
 
-    const intervalMs = intervalMinutes * 60 * 1000;
-    const timer = setInterval(() => {
-        console.log(chalk.blue('running scheduled backup...'));
-        createFullBackup();
-    }, intervalMs);
+/**
+ * Picks the full backups retention allows to delete, never one that a kept snapshot builds on
+ * @param {Array} snapshots - Full backups with parent, oldest first
+ * @param {Object} limits - maxBackupsPerSection and backupRetentionDays
+ * @returns {Array} - Names of the snapshots to delete
+ */
+function selectExpiredSnapshots(snapshots, limits = config) {
+    const byName = new Map(snapshots.map(snapshot => [snapshot.name, snapshot]));
+    const expired = new Set(selectExpiredBackups(snapshots, limits).map(snapshot => snapshot.name));
     
-    return timer;
+    for (const snapshot of snapshots) {
+        if (expired.has(snapshot.name)) continue;
+        for (let parent = snapshot.parent; parent && byName.has(parent); parent = byName.get(parent).parent) {
+            expired.delete(parent);
+        }
+    }
+    return [...expired];
 }
 
 /**
- * Clean up old backups for a specific section
+ * Clean up old backups for a specific section, backups taken when the section was rotated are kept
  * @param {string} section - Section name
+ * @param {Object} options - quiet to print nothing and throw on failure instead
  */
-function cleanupOldBackups(section) {
+function cleanupOldBackups(section, options = {}) {
     try {
-        // Use listAllBackups directly instead of listBackups which doesn't return anything
-        const allBackups = listAllBackups();
-        const backups = allBackups.filter(b => b.type === 'section' && b.section === section);
+        const backups = listAllBackups(options).filter(b => b.type === 'section' && b.section === section)
+            .filter(b => !(readManifest(b) || {}).rotated);
         
-        if (backups.length > backupConfig.maxBackupsPerSection) {
-            const toDelete = backups.slice(backupConfig.maxBackupsPerSection);
-            
-            for (const backup of toDelete) {
-                fs.unlinkSync(backup.path);
-                console.log(chalk.dim(`deleted old backup: ${backup.name}`));
-            }
-        }
-
-        if (backupConfig.retentionDays > 0) {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - backupConfig.retentionDays);
-            
-            const expiredBackups = backups.filter(b => b.date < cutoffDate);
-            
-            for (const backup of expiredBackups) {
-                fs.unlinkSync(backup.path);
-                console.log(chalk.dim(`deleted expired backup: ${backup.name}`));
-            }
+        for (const backup of selectExpiredBackups(backups)) {
+            fs.unlinkSync(backup.path);
+            manifestCache.delete(backup.path);
+            report(options, chalk.dim(`deleted old backup: ${backup.name}`));
         }
     } catch (err) {
+        if (options.quiet) throw err;
         console.error(chalk.red(`error cleaning up backups for section ${section}:`), err);
     }
 }
 
 /**
- * Clean up old full backups
+ * Clean up old full backups, never deleting a snapshot that a kept one builds on
+ * @param {Object} options - quiet to print nothing and throw on failure instead
  */
-function cleanupOldFullBackups() {
+function cleanupOldFullBackups(options = {}) {
     try {
-        const backups = listBackups()
-            .filter(b => b.type === 'full');
+        const snapshots = listSnapshots(options);
+        const byName = new Map(snapshots.map(snapshot => [snapshot.name, snapshot]));
         
-        if (backups.length > backupConfig.maxBackupsPerSection) {
-            const toDelete = backups.slice(backupConfig.maxBackupsPerSection);
-            
-            for (const backup of toDelete) {
-                fs.unlinkSync(backup.path);
-                console.log(chalk.dim(`deleted old full backup: ${backup.filename}`));
-            }
-        }
-        
-        if (backupConfig.retentionDays > 0) {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - backupConfig.retentionDays);
-            
-            const expiredBackups = backups.filter(b => b.date < cutoffDate);
-            
-            for (const backup of expiredBackups) {
-                fs.unlinkSync(backup.path);
-                console.log(chalk.dim(`deleted expired full backup: ${backup.filename}`));
-            }
+        for (const name of selectExpiredSnapshots(snapshots)) {
+            fs.unlinkSync(byName.get(name).path);
+            manifestCache.delete(byName.get(name).path);
+            report(options, chalk.dim(`deleted old full backup: ${name}`));
         }
     } catch (err) {
+        if (options.quiet) throw err;
         console.error(chalk.red('error cleaning up full backups:'), err);
     }
 }
 
 /**
- * Helper function to get all sections
- * @returns {Array} - List of section names
+ * Lists the snapshots a full backup needs, from its base up to itself
+ * @param {string} backupPath - Path to a local backup
+ * @returns {Array} - Local paths, oldest first, just the backup itself for section backups
+ */
+function getBackupChain(backupPath) {
+    const name = path.basename(backupPath);
+    if (!name.startsWith(backupConfig.fullBackupPrefix)) {
+        return [backupPath];
+    }
+    
+    const byName = new Map(listSnapshots().map(snapshot => [snapshot.name, snapshot]));
+    const chain = [];
+    for (let snapshot = byName.get(name); snapshot; snapshot = snapshot.parent ? byName.get(snapshot.parent) : null) {
+        chain.unshift(snapshot.path);
+    }
+    return chain.length > 0 ? chain : [backupPath];
+}
+
+/**
+ * Works out snapshot chains from file names, for destinations where reading every manifest is too slow
+ * An incremental snapshot always builds on the full backup taken right before it
+ * @param {Array} fullBackups - Full backups, oldest first
+ * @returns {Array} - The backups with incremental, parent and depth added
+ */
+function inferSnapshots(fullBackups) {
+    let previous = null;
+    return fullBackups.map(backup => {
+        const incremental = backup.name.startsWith(backupConfig.incrementalPrefix);
+        const parent = incremental && previous ? previous : null;
+        previous = { ...backup, incremental, parent: parent ? parent.name : null, depth: parent ? parent.depth + 1 : 0 };
+        return previous;
+    });
+}
+
+function describeDestinationFiles(destination, files) {
+    return sortBackups(files.filter(file => backupFormat.backupNamePattern.test(file.name)).map(file => {
+        const described = describeBackupFile(file.name);
+        const date = new Date(described.timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d+)Z$/, 'T$1:$2:$3.$4Z'));
+        return { ...described, date, mtimeMs: date.getTime(), size: file.size, destination: destination.name };
+    }));
+}
+
+/**
+ * Lists the backups stored at a destination
+ * @param {Object} destination - A destination from backupDestinations
+ * @returns {Promise<Array>} - Backups shaped like listAllBackups, without a local path
+ */
+async function listDestinationBackups(destination) {
+    return describeDestinationFiles(destination, await destinations.getAdapter(destination).list());
+}
+
+// rotated backups hold the only copy of their entries, the manifest tells which ones they are
+async function isRotatedCopy(destination, adapter, backupFile) {
+    const key = `${destination.name}/${backupFile.name}`;
+    if (!rotatedCopies.has(key)) {
+        const archive = backupFormat.parseArchiveData(await adapter.read(backupFile.name), backupFile.name, backupFile.section);
+        rotatedCopies.set(key, Boolean(archive.manifest.rotated));
+    }
+    return rotatedCopies.get(key);
+}
+
+/**
+ * Applies a destination's own retention to the backups stored there
+ * @param {Object} destination - A destination from backupDestinations
+ * @param {Object} adapter - Its adapter
+ * @returns {Promise<number>} - Number of backups removed
  */
-function getSections() {
+async function cleanupDestination(destination, adapter) {
+    const limits = destinations.getRetention(destination);
+    const backups = describeDestinationFiles(destination, await adapter.list());
+    const expired = selectExpiredSnapshots(inferSnapshots(backups.filter(b => b.type === 'full')), limits);
+    
+    const sections = new Set(backups.filter(b => b.type === 'section').map(b => b.section));
+    for (const section of sections) {
+        const candidates = selectExpiredBackups(backups.filter(b => b.type === 'section' && b.section === section), limits);
+        for (const candidate of candidates) {
+            if (!(await isRotatedCopy(destination, adapter, candidate))) {
+                expired.push(candidate.name);
+            }
+        }
+    }
+    
+    if (expired.length > 0) {
+        await adapter.remove(expired);
+        expired.forEach(name => rotatedCopies.delete(`${destination.name}/${name}`));
+    }
+    return expired.length;
+}
+
+/**
+ * Copies a new backup to every destination in the background, along with the snapshots it builds on
+ * when a destination doesn't have them yet, then applies that destination's retention
+ * @param {string} backupPath - Path to the new local backup
+ * @param {Object} options - quiet to print nothing
+ */
+function copyToDestinations(backupPath, options = {}) {
+    const targets = destinations.getDestinations();
+    if (targets.length === 0) {
+        return;
+    }
+    
+    const chain = getBackupChain(backupPath);
+    for (const destination of targets) {
+        destinations.enqueue(destination, `copy ${path.basename(backupPath)}`, async (adapter) => {
+            const stored = new Set((await adapter.list()).map(file => file.name));
+            // older snapshots may have been cleaned up locally while an earlier copy was failing
+            const missing = chain.filter(file => !stored.has(path.basename(file)) && (file === backupPath || fs.existsSync(file)));
+            for (const file of missing) {
+                await adapter.write(path.basename(file), fs.readFileSync(file));
+            }
+            
+            const removed = await cleanupDestination(destination, adapter);
+            return `${missing.length} file(s) copied${removed > 0 ? `, ${removed} old backup(s) removed` : ''}`;
+        });
+    }
+    report(options, chalk.dim(`copying to ${targets.map(destination => destination.name).join(', ')} in the background, see /backup-status`));
+}
+
+/**
+ * Downloads a backup from a destination into a temporary directory, with the snapshots it builds on
+ * @param {Object} destination - A destination from backupDestinations
+ * @param {string} name - Backup file name
+ * @returns {Promise<Object>} - { path, cleanup }, call cleanup once done with the local copy
+ * @throws {Error} - When a file can't be downloaded, is damaged or names a parent that isn't a backup
+ */
+async function fetchBackup(destination, name) {
+    const adapter = destinations.getAdapter(destination);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thought-cli-'));
+    const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+    
     try {
-        const files = fs.readdirSync(config.sectionsDir);
-        return files
-            .filter(file => file.endsWith('.txt') && file !== 'metadata.json')
-            .map(file => file.replace('.txt', ''));
+        // parent names come from the downloaded manifests, they must not lead out of dir or in circles
+        const seen = new Set();
+        for (let current = name; current;) {
+            if (typeof current !== 'string' || path.basename(current) !== current || !backupFormat.backupNamePattern.test(current)) {
+                throw new Error(`${current} is not the name of a backup`);
+            }
+            if (seen.has(current)) {
+                throw new Error(`the snapshots of ${name} build on each other in a circle at ${current}`);
+            }
+            seen.add(current);
+            
+            const filePath = path.join(dir, current);
+            fs.writeFileSync(filePath, await adapter.read(current));
+            const manifest = readBackup(filePath).manifest;
+            current = manifest.type === 'incremental' ? manifest.parent : null;
+        }
     } catch (err) {
-        console.error(chalk.red('error loading sections:'), err);
-        return [];
+        cleanup();
+        throw err;
     }
+    return { path: path.join(dir, name), cleanup };
 }
 
 /**
@@ -448,7 +1012,16 @@ module.exports = {
     restoreFromBackup,
     listBackups,
     listAllBackups,
-    scheduleBackups,
+    listDestinationBackups,
+    fetchBackup,
+    readBackup,
+    loadSnapshot,
+    listSnapshots,
+    readBackupEntries,
+    diffBackup,
+    verifyBackups,
+    renameSectionBackups,
+    convertSectionBackups,
     backupConfig,
     restoreBackup
 };
\ No newline at end of file
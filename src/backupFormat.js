@@ -0,0 +1,446 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const encryption = require('./encryption');
+const { version: appVersion } = require('../package.json');
+
+/**
+ * On-disk format of thought-cli backups
+ *
+ * Every backup, section or full, is one JSON document:
+ *   { format, version, manifest: { type, createdAt, appVersion, sections: [...] }, sections: { name: content } }
+ * The manifest lists each section with its metadata, entry count and the SHA-256 of its stored
+ * content, so a backup can be checked and restored without relying on its file name.
+ * Backups written before the manifest (plain section copies and the old full backup JSON)
+ * are still read, they are reported as version 1.
+ *
+ * Version 3 adds incremental snapshots. An incremental full backup names the snapshot it builds on
+ * (manifest.parent) and stores each section either whole, as changes keyed by entry id in
+ * `changes`, or not at all when nothing changed. Its checksums cover the rebuilt section content,
+ * so rebuilding a snapshot checks the whole chain down to its base.
+ */
+
+const formatName = 'thought-cli-backup';
+const formatVersion = 3;
+// first version that carries checksums
+const manifestVersion = 2;
+const backupNamePattern = /^(.+)-(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.bak(\.gz)?$/;
+
+function checksum(content) {
+    return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+/**
+ * Counts the entries in stored section content without decrypting it
+ * @param {string} content - Structured or encrypted section content
+ * @returns {number} - Number of entries
+ */
+function countEntries(content) {
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+    return encryption.isEncryptedContent(content) ? lines.length - 1 : lines.length;
+}
+
+/**
+ * Builds a backup document with its manifest
+ * @param {string} type - 'section' or 'full'
+ * @param {Array} sections - { name, content, metadata } for each section
+ * @returns {Object} - The backup document
+ */
+function createArchive(type, sections) {
+    const archive = {
+        format: formatName,
+        version: formatVersion,
+        manifest: {
+            type,
+            createdAt: new Date().toISOString(),
+            appVersion,
+            sections: []
+        },
+        sections: {}
+    };
+
+    for (const section of sections) {
+        archive.sections[section.name] = section.content;
+        archive.manifest.sections.push(describeSection(section.name, section.content, section.metadata));
+    }
+    return archive;
+}
+
+function describeSection(name, content, metadata = {}) {
+    return { name, metadata, entries: countEntries(content), sha256: checksum(content) };
+}
+
+function getEntryId(line) {
+    try {
+        return JSON.parse(line).id || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function splitLines(content) {
+    return content.split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Applies stored changes to the previous content of a section
+ * @param {string} previous - Section content in the parent snapshot
+ * @param {Object} delta - { lines, removed } from an incremental snapshot
+ * @returns {string} - Section content in this snapshot
+ */
+function applyDelta(previous, delta) {
+    const removed = new Set(delta.removed);
+    const lines = splitLines(previous).filter(line => !removed.has(getEntryId(line)));
+    const positions = new Map(lines.map((line, index) => [getEntryId(line), index]));
+
+    for (const line of delta.lines) {
+        const id = getEntryId(line);
+        if (positions.has(id)) {
+            lines[positions.get(id)] = line;
+        } else {
+            positions.set(id, lines.length);
+            lines.push(line);
+        }
+    }
+    return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Works out the entries added, changed or removed since the previous snapshot
+ * @param {string} previous - Section content in the parent snapshot
+ * @param {string} content - Current section content
+ * @returns {Object|null} - { lines, removed }, or null when the section has to be stored whole
+ */
+function createDelta(previous, content) {
+    // sealed lines change with every rewrite, encrypted sections are always stored whole
+    if (previous === undefined || encryption.isEncryptedContent(previous) || encryption.isEncryptedContent(content)) {
+        return null;
+    }
+
+    const previousLines = new Map();
+    for (const line of splitLines(previous)) {
+        const id = getEntryId(line);
+        if (!id) return null;
+        previousLines.set(id, line);
+    }
+
+    const currentIds = new Set();
+    const lines = [];
+    for (const line of splitLines(content)) {
+        const id = getEntryId(line);
+        if (!id) return null;
+        currentIds.add(id);
+        if (previousLines.get(id) !== line) {
+            lines.push(line);
+        }
+    }
+    const delta = { lines, removed: [...previousLines.keys()].filter(id => !currentIds.has(id)) };
+
+    // entries moved around (an undone delete) can't be rebuilt from changes alone
+    if (applyDelta(previous, delta) !== content || JSON.stringify(delta).length >= content.length) {
+        return null;
+    }
+    return delta;
+}
+
+/**
+ * Builds an incremental snapshot on top of a rebuilt parent snapshot
+ * @param {Object} parent - The parent snapshot, rebuilt with applySnapshot
+ * @param {string} parentName - File name of the parent snapshot
+ * @param {Array} sections - { name, content, metadata } for each section
+ * @returns {Object} - The backup document
+ */
+function createIncrementalArchive(parent, parentName, sections) {
+    const archive = createArchive('incremental', []);
+    archive.manifest.parent = parentName;
+    archive.manifest.base = parent.manifest.base || parentName;
+    archive.manifest.depth = (parent.manifest.depth || 0) + 1;
+    archive.changes = {};
+
+    for (const section of sections) {
+        const described = describeSection(section.name, section.content, section.metadata);
+        const previous = parent.sections[section.name];
+
+        if (previous === section.content) {
+            described.stored = 'unchanged';
+        } else {
+            const delta = createDelta(previous, section.content);
+            if (delta) {
+                archive.changes[section.name] = delta;
+                described.stored = 'delta';
+            } else {
+                archive.sections[section.name] = section.content;
+                described.stored = 'full';
+            }
+        }
+        archive.manifest.sections.push(described);
+    }
+    return archive;
+}
+
+/**
+ * Rebuilds the sections of an incremental snapshot from its rebuilt parent
+ * @param {Object} parent - The parent snapshot with every section whole
+ * @param {Object} archive - The incremental snapshot as stored
+ * @returns {Object} - The snapshot with every section whole
+ * @throws {Error} - When a rebuilt section doesn't match its checksum
+ */
+function applySnapshot(parent, archive) {
+    const sections = {};
+    for (const section of archive.manifest.sections) {
+        let content;
+        if (section.stored === 'full') {
+            content = archive.sections[section.name];
+        } else if (section.stored === 'delta') {
+            content = applyDelta(parent.sections[section.name] || '', archive.changes[section.name]);
+        } else {
+            content = parent.sections[section.name];
+        }
+
+        if (content === undefined) {
+            throw new Error(`section ${section.name} is missing from ${archive.manifest.parent}`);
+        }
+        if (checksum(content) !== section.sha256) {
+            throw new Error(`section ${section.name} does not match its checksum when rebuilt on ${archive.manifest.parent}`);
+        }
+        sections[section.name] = content;
+    }
+
+    const manifestSections = archive.manifest.sections.map(({ stored, ...section }) => section);
+    return { ...archive, manifest: { ...archive.manifest, sections: manifestSections }, sections, changes: {} };
+}
+
+/**
+ * Lists the section contents stored in a backup, incremental snapshots only hold their changed entries
+ * @param {Object} archive - The backup document
+ * @returns {Object} - Section name to content
+ */
+function getStoredContents(archive) {
+    const contents = { ...archive.sections };
+    for (const [name, delta] of Object.entries(archive.changes || {})) {
+        contents[name] = delta.lines.map(line => line + '\n').join('');
+    }
+    return contents;
+}
+
+/**
+ * Replaces the content of one section in a backup and updates its manifest entry
+ * @param {Object} archive - The backup document
+ * @param {string} name - Section name
+ * @param {string} content - New content
+ * @param {string} newName - Name to store the section under, defaults to its current name
+ */
+function setSectionContent(archive, name, content, newName = name) {
+    const index = archive.manifest.sections.findIndex(section => section.name === name);
+    const metadata = index === -1 ? {} : archive.manifest.sections[index].metadata;
+
+    delete archive.sections[name];
+    if (archive.changes) {
+        delete archive.changes[name];
+    }
+    archive.sections[newName] = content;
+
+    const described = describeSection(newName, content, metadata);
+    if (archive.manifest.type === 'incremental') {
+        described.stored = 'full';
+    }
+    if (index === -1) {
+        archive.manifest.sections.push(described);
+    } else {
+        archive.manifest.sections[index] = described;
+    }
+}
+
+function upgradeLegacyFull(data) {
+    const names = Object.keys(data.sections);
+    return {
+        format: formatName,
+        version: 1,
+        manifest: {
+            type: 'full',
+            createdAt: data.timestamp || null,
+            appVersion: null,
+            sections: names.map(name => ({ name, metadata: (data.metadata || {})[name] || {}, entries: null, sha256: null }))
+        },
+        sections: data.sections
+    };
+}
+
+function upgradeLegacySection(content, section) {
+    return {
+        format: formatName,
+        version: 1,
+        manifest: {
+            type: 'section',
+            createdAt: null,
+            appVersion: null,
+            sections: [{ name: section, metadata: {}, entries: null, sha256: null }]
+        },
+        sections: { [section]: content }
+    };
+}
+
+/**
+ * Parses backup content in any known format
+ * @param {string} content - Uncompressed backup content
+ * @param {string} fallbackSection - Section named by the file name, used for old section backups
+ * @returns {Object} - The backup document, old formats are converted in memory
+ * @throws {Error} - When the backup is damaged or from a newer version
+ */
+function parseArchive(content, fallbackSection = null) {
+    // backup documents are pretty printed, section files hold one entry per line
+    const isDocument = content.startsWith('{\n');
+    let data = null;
+    if (isDocument) {
+        try {
+            data = JSON.parse(content);
+        } catch (err) {
+            throw new Error('backup is truncated or damaged');
+        }
+    }
+
+    if (data && data.format === formatName) {
+        if (data.version > formatVersion) {
+            throw new Error(`backup format version ${data.version} is newer than this version of thought-cli`);
+        }
+        if (!data.manifest || !Array.isArray(data.manifest.sections) || !data.sections) {
+            throw new Error('backup has no manifest');
+        }
+        return data;
+    }
+    if (data && data.sections && typeof data.sections === 'object') {
+        return upgradeLegacyFull(data);
+    }
+    if (!fallbackSection) {
+        throw new Error('backup does not say which section it belongs to');
+    }
+    return upgradeLegacySection(content, fallbackSection);
+}
+
+/**
+ * Parses the raw bytes of a backup file, used for backups that aren't on the local disk
+ * @param {Buffer} raw - File contents
+ * @param {string} fileName - File name, a .gz name means the data is gzipped
+ * @param {string} fallbackSection - Section named by the file name, used for old section backups
+ * @returns {Object} - The backup document
+ * @throws {Error} - When the data is damaged
+ */
+function parseArchiveData(raw, fileName, fallbackSection = null) {
+    let content;
+    try {
+        content = fileName.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf-8') : raw.toString('utf-8');
+    } catch (err) {
+        throw new Error(`compressed data is truncated or damaged (${err.message})`);
+    }
+    return parseArchive(content, fallbackSection);
+}
+
+/**
+ * Reads a backup file, compressed or not
+ * @param {string} filePath - Path to the backup
+ * @param {string} fallbackSection - Section named by the file name, used for old section backups
+ * @returns {Object} - The backup document
+ * @throws {Error} - When the file can't be read or is damaged
+ */
+function readArchive(filePath, fallbackSection = null) {
+    return parseArchiveData(fs.readFileSync(filePath), filePath, fallbackSection);
+}
+
+/**
+ * Writes a backup document, gzipped when the path ends in .gz
+ * @param {string} filePath - Path to write
+ * @param {Object} archive - The backup document
+ */
+function writeArchive(filePath, archive) {
+    // an old backup rewritten in place gets the checksums it was missing
+    const sections = archive.manifest.sections.map(section => (
+        section.sha256 ? section : describeSection(section.name, archive.sections[section.name], section.metadata)
+    ));
+    const manifest = { ...archive.manifest, appVersion: archive.manifest.appVersion || appVersion, sections };
+    const content = JSON.stringify({ ...archive, version: formatVersion, manifest }, null, 2);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, filePath.endsWith('.gz') ? zlib.gzipSync(content) : content);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Compares a backup's sections with its manifest
+ * @param {Object} archive - The backup document
+ * @returns {Array} - Readable problems, empty when everything matches or the backup has no checksums
+ */
+function checkArchive(archive) {
+    if (archive.version < manifestVersion) {
+        return [];
+    }
+
+    const problems = [];
+    const listed = new Set();
+    const changes = archive.changes || {};
+    for (const section of archive.manifest.sections) {
+        listed.add(section.name);
+        const content = archive.sections[section.name];
+        // incremental snapshots are checked section by section when they are rebuilt
+        if (section.stored === 'unchanged') continue;
+        if (section.stored === 'delta') {
+            if (!changes[section.name] || !Array.isArray(changes[section.name].lines)) {
+                problems.push(`changes for section ${section.name} are missing`);
+            }
+            continue;
+        }
+        if (typeof content !== 'string') {
+            problems.push(`section ${section.name} is missing`);
+        } else if (checksum(content) !== section.sha256) {
+            problems.push(`section ${section.name} does not match its checksum`);
+        } else if (countEntries(content) !== section.entries) {
+            problems.push(`section ${section.name} holds ${countEntries(content)} entries, the manifest lists ${section.entries}`);
+        }
+    }
+    [...Object.keys(archive.sections), ...Object.keys(changes)]
+        .filter(name => !listed.has(name))
+        .forEach(name => problems.push(`section ${name} is not in the manifest`));
+    return problems;
+}
+
+/**
+ * Reads a backup file and checks it against its manifest
+ * @param {string} filePath - Path to the backup
+ * @param {string} fallbackSection - Section named by the file name, used for old section backups
+ * @returns {Object} - { status: 'ok'|'legacy'|'corrupt', problems, archive }, incremental snapshots
+ * still need their chain rebuilt to be fully checked
+ */
+function verifyArchive(filePath, fallbackSection = null) {
+    let archive;
+    try {
+        archive = readArchive(filePath, fallbackSection);
+    } catch (err) {
+        return { status: 'corrupt', problems: [err.message], archive: null };
+    }
+
+    const problems = checkArchive(archive);
+    let status = 'ok';
+    if (problems.length > 0) {
+        status = 'corrupt';
+    } else if (archive.version < manifestVersion) {
+        status = 'legacy';
+    }
+    return { status, problems, archive };
+}
+
+module.exports = {
+    formatVersion,
+    backupNamePattern,
+    appVersion,
+    checksum,
+    countEntries,
+    createArchive,
+    createIncrementalArchive,
+    applySnapshot,
+    getStoredContents,
+    setSectionContent,
+    parseArchive,
+    parseArchiveData,
+    readArchive,
+    writeArchive,
+    checkArchive,
+    verifyArchive
+};
@@ -0,0 +1,362 @@
+const chalk = require('chalk');
+const config = require('./config');
+const logger = require('./logger');
+const tag = require('./tag');
+const entry = require('./entry');
+const query = require('./query');
+const searchIndex = require('./searchIndex');
+const sectionManager = require('./section');
+const backup = require('./backup');
+const scheduler = require('./scheduler');
+const destinations = require('./destinations');
+const encryption = require('./encryption');
+const { parseArgs } = require('./args');
+
+/**
+ * Non-interactive subcommands for thought-cli
+ * Each command runs once and returns a process exit code
+ */
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+const defaultPorts = { serve: 7777, view: 7778 };
+
+const usage = [
+    'usage: node script.js [--data-dir <dir>] <command> [options]',
+    '',
+    'commands:',
+    '  add [-s <section>] <message>          log a thought',
+    '  list [-s <section>] [--last <n>]      print logs of a section',
+    '  search <query> [-s <section>] [--tree] [--all-sections] [--backups]',
+    '                                        print logs matching a query, --tree adds nested sections,',
+    '                                        see /help in the app',
+    '  sections                              list all sections',
+    '  reindex                               rebuild the search index',
+    '  verify-backup                         check every backup against its checksums',
+    '  serve [--port <n>] [--host <addr>]    run the local JSON API, see the README',
+    '  view [--port <n>] [--host <addr>]     browse sections, search and backups in a web browser',
+    '  help                                  show this message',
+    '',
+    `the section defaults to "${config.defaultSection}"`,
+    'encrypted sections are opened with the passphrase in THOUGHT_PASSPHRASE'
+].join('\n');
+
+function formatLog(logEntry, highlight = null) {
+    const log = entry.formatEntry(logEntry);
+    if (!process.stdout.isTTY) {
+        return log;
+    }
+    const formatted = tag.hasTag(log) ? tag.formatTaggedLog(log) : log;
+    return highlight ? highlight(formatted) : formatted;
+}
+
+function resolveSection(name) {
+    const section = name || config.defaultSection;
+    if (!logger.getSections().includes(section)) {
+        console.error(chalk.red(`section not found: ${section}`));
+        return null;
+    }
+    if (logger.isSectionLocked(section)) {
+        console.error(chalk.red(`section ${section} is encrypted, set THOUGHT_PASSPHRASE to open it`));
+        return null;
+    }
+    return section;
+}
+
+/**
+ * Reads --port and --host for serve and view
+ * @param {string} command - Command name for the usage message
+ * @param {Array} args - Command arguments
+ * @param {number} defaultPort - Port used without --port
+ * @returns {Object} - { port, host, url }, or { exitCode } after printing the problem
+ */
+function parseAddress(command, args, defaultPort) {
+    const parsed = parseArgs(args, {
+        options: { port: 'string', host: 'string' },
+        aliases: { p: 'port' }
+    });
+    if (parsed.error || parsed.positionals.length > 0) {
+        console.error(chalk.yellow(parsed.error || `usage: ${command} [--port <n>] [--host <addr>]`));
+        return { exitCode: EXIT_USAGE };
+    }
+
+    const port = parsed.options.port === undefined ? defaultPort : Number(parsed.options.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        console.error(chalk.yellow('--port must be a number from 1 to 65535'));
+        return { exitCode: EXIT_USAGE };
+    }
+    const host = parsed.options.host || '127.0.0.1';
+    return { port, host, url: `http://${host.includes(':') ? `[${host}]` : host}:${port}` };
+}
+
+function listen(httpServer, address, onListening) {
+    httpServer.on('error', (err) => {
+        console.error(chalk.red(err.code === 'EADDRINUSE' ? `port ${address.port} is already in use` : `server error: ${err.message}`));
+        process.exit(EXIT_ERROR);
+    });
+    httpServer.listen(address.port, address.host, () => {
+        onListening();
+        if (!['127.0.0.1', 'localhost', '::1'].includes(address.host)) {
+            console.log(chalk.yellow('warning: reachable from other machines, anyone with the token has access to every section'));
+        }
+    });
+}
+
+const sectionSpec = {
+    options: { section: 'string' },
+    aliases: { s: 'section' }
+};
+
+const commands = {
+    add: (args) => {
+        const parsed = parseArgs(args, sectionSpec);
+        if (parsed.error) {
+            console.error(chalk.yellow(parsed.error));
+            return EXIT_USAGE;
+        }
+
+        const message = parsed.positionals.join(' ').trim();
+        if (message === '') {
+            console.error(chalk.yellow('usage: add [-s <section>] <message>'));
+            return EXIT_USAGE;
+        }
+
+        const section = resolveSection(parsed.options.section);
+        if (!section) return EXIT_ERROR;
+
+        const needsRotation = logger.saveLog(section, entry.createEntry(message));
+        if (needsRotation === null) {
+            return EXIT_ERROR;
+        }
+        if (needsRotation) {
+            try {
+                backup.backupSection(section, true, { quiet: true });
+                logger.saveLog(section, entry.createEntry('[SYSTEM] Log file rotated, previous logs backed up'));
+            } catch (err) {
+                console.error(chalk.yellow(`thought saved, but log rotation failed: ${err.message}`));
+            }
+        }
+        return EXIT_OK;
+    },
+
+    list: (args) => {
+        const parsed = parseArgs(args, {
+            options: { section: 'string', last: 'string' },
+            aliases: { s: 'section', n: 'last' }
+        });
+        if (parsed.error || parsed.positionals.length > 0) {
+            console.error(chalk.yellow(parsed.error || 'usage: list [-s <section>] [--last <n>]'));
+            return EXIT_USAGE;
+        }
+
+        let last = null;
+        if (parsed.options.last !== undefined) {
+            last = parseInt(parsed.options.last);
+            if (isNaN(last) || last < 1) {
+                console.error(chalk.yellow('--last must be a positive number'));
+                return EXIT_USAGE;
+            }
+        }
+
+        const section = resolveSection(parsed.options.section);
+        if (!section) return EXIT_ERROR;
+
+        const logs = logger.loadAllLogs(section);
+        const displayLogs = last ? logs.slice(-last) : logs;
+        displayLogs.forEach(log => console.log(formatLog(log)));
+        return EXIT_OK;
+    },
+
+    search: (args) => {
+        const parsed = parseArgs(args, {
+            options: { section: 'string', tree: 'boolean', 'all-sections': 'boolean', backups: 'boolean' },
+            aliases: { s: 'section', t: 'tree', a: 'all-sections', b: 'backups' }
+        });
+        if (parsed.error) {
+            console.error(chalk.yellow(parsed.error));
+            return EXIT_USAGE;
+        }
+
+        const queryString = parsed.positionals.join(' ').trim();
+        if (queryString === '') {
+            console.error(chalk.yellow('usage: search <query> [-s <section>] [--tree] [--all-sections] [--backups]'));
+            return EXIT_USAGE;
+        }
+
+        let compiled;
+        try {
+            compiled = query.compileQuery(queryString);
+        } catch (err) {
+            console.error(chalk.yellow(`invalid search: ${err.message}`));
+            return EXIT_USAGE;
+        }
+
+        let sections = null;
+        if (parsed.options.tree && !parsed.options['all-sections']) {
+            const name = parsed.options.section || config.defaultSection;
+            sections = sectionManager.getSubtree(name);
+            if (sections.length === 0) {
+                console.error(chalk.red(`section not found: ${name}`));
+                return EXIT_ERROR;
+            }
+        } else if (!parsed.options['all-sections']) {
+            const section = resolveSection(parsed.options.section);
+            if (!section) return EXIT_ERROR;
+            sections = [section];
+        }
+
+        const results = searchIndex.search(compiled, { sections, includeBackups: parsed.options.backups });
+        results.forEach(result => {
+            let prefix = '';
+            if (result.backup) {
+                prefix = `${result.section} (backup ${result.backup}): `;
+            } else if (!sections || sections.length > 1) {
+                prefix = `${result.section}: `;
+            }
+            console.log(prefix + formatLog(result, compiled.highlight));
+        });
+
+        // grep-style exit code so scripts can test for matches
+        return results.length > 0 ? EXIT_OK : EXIT_ERROR;
+    },
+
+    sections: (args) => {
+        if (args.length > 0) {
+            console.error(chalk.yellow('usage: sections'));
+            return EXIT_USAGE;
+        }
+
+        const metadata = logger.getSectionMetadata();
+        logger.getSections().forEach(section => {
+            const desc = metadata[section]?.description;
+            console.log(desc ? `${section}\t${desc}` : section);
+        });
+        return EXIT_OK;
+    },
+
+    reindex: (args) => {
+        if (args.length > 0) {
+            console.error(chalk.yellow('usage: reindex'));
+            return EXIT_USAGE;
+        }
+
+        const stats = searchIndex.rebuildIndex();
+        console.log(`indexed ${stats.entries} entries from ${stats.sections} sections and ${stats.backups} backups`);
+        return EXIT_OK;
+    },
+
+    'verify-backup': (args) => {
+        if (args.length > 0) {
+            console.error(chalk.yellow('usage: verify-backup'));
+            return EXIT_USAGE;
+        }
+
+        const counts = backup.verifyBackups();
+        console.log(`${counts.ok} ok, ${counts.legacy} in the old format, ${counts.corrupt} damaged`);
+        return counts.corrupt > 0 ? EXIT_ERROR : EXIT_OK;
+    },
+
+    serve: (args) => {
+        const address = parseAddress('serve', args, defaultPorts.serve);
+        if (address.exitCode !== undefined) return address.exitCode;
+
+        // required here so the other commands don't load the http module
+        const server = require('./server');
+        const api = server.createServer(server.getToken());
+
+        listen(api, address, () => {
+            console.log(chalk.green(`thought-cli api listening on ${address.url}`));
+            console.log(process.env.THOUGHT_API_TOKEN
+                ? 'token: from THOUGHT_API_TOKEN'
+                : `token: in ${server.getTokenFilePath()}`);
+        });
+
+        scheduler.start((result) => {
+            if (result.error) {
+                console.error(chalk.red(`automatic backup failed: ${result.error}`));
+            }
+        });
+
+        const stop = () => {
+            api.close();
+            const exitBackup = scheduler.runOnExit();
+            if (exitBackup && exitBackup.error) {
+                console.error(chalk.red(`backup on exit failed: ${exitBackup.error}`));
+            }
+            // give copies to destinations a minute, like the app does on exit
+            Promise.race([destinations.whenIdle(), new Promise(resolve => setTimeout(resolve, 60000))]).then(() => {
+                console.log(chalk.green('server stopped'));
+                process.exit(EXIT_OK);
+            });
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        // the listening server keeps the process running
+        return EXIT_OK;
+    },
+
+    view: (args) => {
+        const address = parseAddress('view', args, defaultPorts.view);
+        if (address.exitCode !== undefined) return address.exitCode;
+
+        const server = require('./server');
+        const viewer = require('./viewer');
+        const token = server.getToken();
+
+        listen(viewer.createViewer(token), address, () => {
+            console.log(chalk.green(`thought-cli viewer on ${address.url}`));
+            console.log(`open ${address.url}/?token=${encodeURIComponent(token)}`);
+        });
+
+        const stop = () => {
+            console.log(chalk.green('viewer stopped'));
+            process.exit(EXIT_OK);
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        return EXIT_OK;
+    },
+
+    help: () => {
+        console.log(usage);
+        return EXIT_OK;
+    }
+};
+
+/**
+ * Checks whether arguments name a subcommand
+ * @param {Array} args - Command line arguments after the script name
+ * @returns {boolean} - Whether a subcommand should be run instead of the interactive ui
+ */
+function isCommand(args) {
+    return args.length > 0;
+}
+
+/**
+ * Runs a subcommand
+ * @param {Array} args - Command line arguments after the script name
+ * @returns {number} - Process exit code
+ */
+function run(args) {
+    const [name, ...rest] = args;
+    const command = name === '--help' || name === '-h' ? commands.help : commands[name];
+
+    if (!command) {
+        console.error(chalk.yellow(`unknown command: ${name}`));
+        console.error(usage);
+        return EXIT_USAGE;
+    }
+
+    if (process.env.THOUGHT_PASSPHRASE) {
+        encryption.rememberPassphrase(process.env.THOUGHT_PASSPHRASE);
+    }
+    return command(rest);
+}
+
+module.exports = {
+    isCommand,
+    run
+};
@@ -1,16 +1,35 @@
+const os = require('os');
 const path = require('path');
 
+const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+
+// built-in defaults, settings.js layers the user config file, env vars and --data-dir on top
 const config = {
     baseDir: path.join(__dirname, '..'),
-    sectionsDir: path.join(__dirname, '..', 'sections'),
-    backupDir: path.join(__dirname, '..', 'backups'),
+    dataDir: path.join(dataHome, 'thought-cli'),
+    get sectionsDir() { return path.join(this.dataDir, 'sections'); },
+    get backupDir() { return path.join(this.dataDir, 'backups'); },
+    get exportDir() { return path.join(this.dataDir, 'exports'); },
+    get metadataFile() { return path.join(this.sectionsDir, 'metadata.json'); },
+    get indexDir() { return path.join(this.sectionsDir, '.index'); },
+    get tagRegistryFile() { return path.join(this.sectionsDir, 'tags.json'); },
+    sectionExtension: '.jsonl',
+    legacySectionExtension: '.txt',
     maxLogsToDisplay: 20,
     updateInterval: 60000,
     logRotationSize: 5 * 1024 * 1024,
-    metadataFile: path.join(__dirname, '..', 'sections', 'metadata.json'),
     maxSectionNameLength: 30,
     maxDescriptionLength: 100,
-    defaultSection: 'base'
+    defaultSection: 'base',
+    maxBackupsPerSection: 5,
+    backupRetentionDays: 30,
+    snapshotsPerBase: 7,
+    compressBackups: true,
+    autoBackupMinutes: 0,
+    backupEveryEntries: 0,
+    backupOnExit: false,
+    backupDestinations: [],
+    gitHistory: false
 };
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
@@ -0,0 +1,466 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const http = require('http');
+const https = require('https');
+const chalk = require('chalk');
+const config = require('./config');
+const backupFormat = require('./backupFormat');
+
+/**
+ * Backup destinations for thought-cli
+ * Backups are always written to backupDir first, backup.js then copies them to every destination
+ * in config.backupDestinations. An adapter stores backup files by name and offers the same four
+ * calls whatever is behind it:
+ *   list()              -> [{ name, size }]
+ *   read(name)          -> Buffer
+ *   write(name, data)
+ *   remove(names)
+ *
+ * mirror  - a directory, e.g. on a mounted drive
+ * archive - a single .tar.gz file holding every backup
+ * http    - a server taking GET, PUT and DELETE (WebDAV or a plain file server), the list of
+ *           backups is kept in an index file next to them so no directory listing is needed
+ *
+ * Copies run in the background, one at a time per destination. Failures are kept per
+ * destination for /backup-status and passed to the listener so the interface can show them.
+ */
+
+const destinationTypes = ['mirror', 'archive', 'http'];
+const indexFileName = 'thought-cli-backups.json';
+const requestTimeout = 30000;
+const maxFailures = 5;
+
+// destination name -> { lastCopy, failures }
+const status = new Map();
+// destination name -> promise of the last queued task
+const queues = new Map();
+let running = 0;
+let listener = null;
+
+function isBackupName(name) {
+    return backupFormat.backupNamePattern.test(name);
+}
+
+function writeFileAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+function createMirror(destination) {
+    const filePath = (name) => path.join(destination.path, name);
+
+    return {
+        async list() {
+            if (!fs.existsSync(destination.path)) {
+                return [];
+            }
+            return fs.readdirSync(destination.path)
+                .filter(isBackupName)
+                .map(name => ({ name, size: fs.statSync(filePath(name)).size }));
+        },
+        async read(name) {
+            return fs.readFileSync(filePath(name));
+        },
+        async write(name, data) {
+            writeFileAtomic(filePath(name), data);
+        },
+        async remove(names) {
+            names.forEach(name => fs.rmSync(filePath(name), { force: true }));
+        }
+    };
+}
+
+// tar headers are fixed width fields, numbers in octal
+function tarHeader(name, size, mtime, type = '0') {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+    header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136);
+    header.write(type, 156);
+    header.write('ustar\u000000', 257);
+
+    header.fill(' ', 148, 156);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return header;
+}
+
+function tarPadding(size) {
+    return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+function paxRecord(key, value) {
+    // the length prefix counts itself
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength;
+    while (length !== bodyLength + String(length).length) {
+        length = bodyLength + String(length).length;
+    }
+    return `${length}${body}`;
+}
+
+/**
+ * Packs files into an uncompressed tar, names too long for the header go in a pax record
+ * @param {Array} files - { name, data, mtimeMs }
+ * @returns {Buffer} - The tar data
+ */
+function packTar(files) {
+    const blocks = [];
+    for (const file of files) {
+        if (Buffer.byteLength(file.name) >= 100) {
+            const pax = Buffer.from(paxRecord('path', file.name));
+            blocks.push(tarHeader('PaxHeader', pax.length, file.mtimeMs, 'x'), pax, tarPadding(pax.length));
+        }
+        blocks.push(tarHeader(file.name.substring(0, 99), file.data.length, file.mtimeMs), file.data, tarPadding(file.data.length));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Reads the regular files of a tar
+ * @param {Buffer} tar - Uncompressed tar data
+ * @returns {Array} - { name, data, mtimeMs }
+ */
+function unpackTar(tar) {
+    const files = [];
+    let longName = null;
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12).trim(), 8) || 0;
+        const type = field(156, 1) || '0';
+        const data = tar.subarray(offset + 512, offset + 512 + size);
+        if (data.length < size) {
+            throw new Error('archive is truncated');
+        }
+        offset += 512 + size + tarPadding(size).length;
+
+        if (type === 'x') {
+            const match = data.toString('utf-8').match(/\d+ path=([^\n]*)\n/);
+            longName = match ? match[1] : null;
+            continue;
+        }
+        if (type === '0') {
+            files.push({ name: longName || field(0, 100), data: Buffer.from(data), mtimeMs: parseInt(field(136, 12).trim(), 8) * 1000 });
+        }
+        longName = null;
+    }
+    return files;
+}
+
+function createArchive(destination) {
+    function readFiles() {
+        if (!fs.existsSync(destination.path)) {
+            return [];
+        }
+        let tar;
+        try {
+            tar = zlib.gunzipSync(fs.readFileSync(destination.path));
+        } catch (err) {
+            throw new Error(`${destination.path} is not a readable .tar.gz (${err.message})`);
+        }
+        return unpackTar(tar);
+    }
+
+    function saveFiles(files) {
+        writeFileAtomic(destination.path, zlib.gzipSync(packTar(files)));
+    }
+
+    return {
+        async list() {
+            return readFiles().filter(file => isBackupName(file.name)).map(file => ({ name: file.name, size: file.data.length }));
+        },
+        async read(name) {
+            const file = readFiles().find(candidate => candidate.name === name);
+            if (!file) {
+                throw new Error(`${name} is not in ${destination.path}`);
+            }
+            return file.data;
+        },
+        async write(name, data) {
+            const files = readFiles().filter(file => file.name !== name);
+            saveFiles([...files, { name, data, mtimeMs: Date.now() }]);
+        },
+        async remove(names) {
+            saveFiles(readFiles().filter(file => !names.includes(file.name)));
+        }
+    };
+}
+
+function request(destination, method, name, body = null) {
+    const base = destination.url.endsWith('/') ? destination.url : `${destination.url}/`;
+    const url = new URL(encodeURIComponent(name), base);
+    const headers = {};
+    if (destination.token) {
+        headers.Authorization = `Bearer ${destination.token}`;
+    } else if (destination.username) {
+        headers.Authorization = `Basic ${Buffer.from(`${destination.username}:${destination.password || ''}`).toString('base64')}`;
+    }
+    if (body) {
+        headers['Content-Length'] = body.length;
+    }
+
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+            res.on('error', reject);
+        });
+        req.setTimeout(requestTimeout, () => {
+            req.destroy(new Error(`${url.host} did not answer within ${requestTimeout / 1000}s`));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function checkResponse(response, method, name, allowed = []) {
+    if ((response.status >= 200 && response.status < 300) || allowed.includes(response.status)) {
+        return response;
+    }
+    const hint = response.status === 401 || response.status === 403 ? ', check the username, password or token' : '';
+    throw new Error(`${method} ${name} failed with HTTP ${response.status}${hint}`);
+}
+
+function createHttp(destination) {
+    async function readIndex() {
+        const response = checkResponse(await request(destination, 'GET', indexFileName), 'GET', indexFileName, [404]);
+        if (response.status === 404) {
+            return [];
+        }
+        try {
+            const index = JSON.parse(response.body.toString('utf-8'));
+            return Array.isArray(index.backups) ? index.backups : [];
+        } catch (err) {
+            throw new Error(`${indexFileName} on ${destination.url} is damaged`);
+        }
+    }
+
+    async function saveIndex(backups) {
+        const body = Buffer.from(JSON.stringify({ backups }, null, 2));
+        checkResponse(await request(destination, 'PUT', indexFileName, body), 'PUT', indexFileName);
+    }
+
+    return {
+        async list() {
+            return (await readIndex()).filter(backup => isBackupName(backup.name));
+        },
+        async read(name) {
+            return checkResponse(await request(destination, 'GET', name), 'GET', name).body;
+        },
+        async write(name, data) {
+            checkResponse(await request(destination, 'PUT', name, data), 'PUT', name);
+            const backups = (await readIndex()).filter(backup => backup.name !== name);
+            await saveIndex([...backups, { name, size: data.length }]);
+        },
+        async remove(names) {
+            for (const name of names) {
+                checkResponse(await request(destination, 'DELETE', name), 'DELETE', name, [404]);
+            }
+            await saveIndex((await readIndex()).filter(backup => !names.includes(backup.name)));
+        }
+    };
+}
+
+const adapters = {
+    mirror: createMirror,
+    archive: createArchive,
+    http: createHttp
+};
+
+function expandPath(value) {
+    return path.resolve(value.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+/**
+ * Checks the backupDestinations setting
+ * @param {*} value - The parsed setting
+ * @returns {Object} - { value } with paths expanded, or { error } with a readable message
+ */
+function validateDestinations(value) {
+    if (!Array.isArray(value)) {
+        return { error: 'backupDestinations must be a list of destinations' };
+    }
+
+    const names = new Set();
+    const destinations = [];
+    for (const [index, destination] of value.entries()) {
+        const label = `backupDestinations[${index}]`;
+        if (!destination || typeof destination !== 'object' || Array.isArray(destination)) {
+            return { error: `${label} must be an object` };
+        }
+        if (typeof destination.name !== 'string' || !/^[a-zA-Z0-9-_]+$/.test(destination.name)) {
+            return { error: `${label} needs a name made of letters, digits, - and _` };
+        }
+        if (names.has(destination.name)) {
+            return { error: `${label}: the name ${destination.name} is used twice` };
+        }
+        names.add(destination.name);
+        if (!destinationTypes.includes(destination.type)) {
+            return { error: `${label}: type must be one of ${destinationTypes.join(', ')}` };
+        }
+
+        const checked = { ...destination };
+        if (destination.type === 'http') {
+            if (typeof destination.url !== 'string' || !/^https?:\/\/[^/]/.test(destination.url)) {
+                return { error: `${label}: an http destination needs a url starting with http:// or https://` };
+            }
+        } else {
+            if (typeof destination.path !== 'string' || destination.path.trim() === '') {
+                return { error: `${label}: a ${destination.type} destination needs a path` };
+            }
+            checked.path = expandPath(destination.path.trim());
+            if (destination.type === 'archive' && !checked.path.endsWith('.tar.gz')) {
+                return { error: `${label}: an archive path must end in .tar.gz` };
+            }
+        }
+
+        for (const [key, min] of [['maxBackupsPerSection', 1], ['backupRetentionDays', 0]]) {
+            if (destination[key] !== undefined && (!Number.isInteger(destination[key]) || destination[key] < min)) {
+                return { error: `${label}: ${key} must be a whole number of at least ${min}` };
+            }
+        }
+        destinations.push(checked);
+    }
+    return { value: destinations };
+}
+
+function getDestinations() {
+    return config.backupDestinations;
+}
+
+/**
+ * Finds a configured destination by name
+ * @param {string} name - Destination name
+ * @returns {Object|null} - The destination
+ */
+function getDestination(name) {
+    return getDestinations().find(destination => destination.name === name) || null;
+}
+
+/**
+ * Gives the adapter for a destination
+ * @param {Object} destination - A destination from backupDestinations
+ * @returns {Object} - { list, read, write, remove }
+ */
+function getAdapter(destination) {
+    return adapters[destination.type](destination);
+}
+
+/**
+ * Retention for a destination, its own limits fall back to the global ones
+ * @param {Object} destination - A destination from backupDestinations
+ * @returns {Object} - { maxBackupsPerSection, backupRetentionDays }
+ */
+function getRetention(destination) {
+    return {
+        maxBackupsPerSection: destination.maxBackupsPerSection ?? config.maxBackupsPerSection,
+        backupRetentionDays: destination.backupRetentionDays ?? config.backupRetentionDays
+    };
+}
+
+// where a destination points, for listings
+function describeDestination(destination) {
+    return `${destination.type} ${destination.type === 'http' ? destination.url : destination.path}`;
+}
+
+function getStatus(name) {
+    if (!status.has(name)) {
+        status.set(name, { lastCopy: null, failures: [] });
+    }
+    return status.get(name);
+}
+
+// a listener that throws must not stop the queue, the copy itself is done either way
+function notify(result) {
+    if (!listener) return;
+    try {
+        listener(result);
+    } catch (err) {
+        console.error(chalk.red(`backup destination listener failed: ${err.message}`));
+    }
+}
+
+/**
+ * Runs a task for a destination after the ones already queued for it
+ * @param {Object} destination - A destination from backupDestinations
+ * @param {string} action - What the task does, for failure reports
+ * @param {Function} task - Receives the adapter and returns a promise of a description of what was done
+ * @returns {Promise} - Settles once the task finished, never rejects
+ */
+function enqueue(destination, action, task) {
+    running++;
+    const previous = queues.get(destination.name) || Promise.resolve();
+    const run = previous.then(() => task(getAdapter(destination))).then((done) => {
+        getStatus(destination.name).lastCopy = { at: new Date().toISOString(), done };
+        notify({ destination: destination.name, action, done });
+    }, (err) => {
+        const failure = { at: new Date().toISOString(), action, error: err.message };
+        const destinationStatus = getStatus(destination.name);
+        destinationStatus.failures = [...destinationStatus.failures, failure].slice(-maxFailures);
+        notify({ destination: destination.name, action, error: err.message });
+    }).finally(() => {
+        running--;
+    });
+    queues.set(destination.name, run);
+    return run;
+}
+
+/**
+ * Waits for every queued copy
+ * @returns {Promise} - Resolves once all destinations are idle
+ */
+function whenIdle() {
+    return Promise.all([...queues.values()]);
+}
+
+function isIdle() {
+    return running === 0;
+}
+
+function setListener(onResult) {
+    listener = onResult;
+}
+
+/**
+ * Lists each destination with what happened to it this session
+ * @returns {Array} - { name, target, retention, lastCopy, failures }
+ */
+function describeStatus() {
+    return getDestinations().map(destination => ({
+        name: destination.name,
+        target: describeDestination(destination),
+        retention: getRetention(destination),
+        ...getStatus(destination.name),
+        failures: [...getStatus(destination.name).failures]
+    }));
+}
+
+module.exports = {
+    destinationTypes,
+    validateDestinations,
+    getDestinations,
+    getDestination,
+    getAdapter,
+    getRetention,
+    describeDestination,
+    enqueue,
+    whenIdle,
+    isIdle,
+    setListener,
+    describeStatus
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+
+/**
+ * Composes text in the user's editor for multi-line thoughts
+ */
+
+function getEditor() {
+    return process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+}
+
+/**
+ * Opens $VISUAL or $EDITOR on a temporary file and waits for it to close
+ * @param {string} initialText - Text to start with
+ * @returns {string|null} - The saved text or null if the editor failed
+ */
+function editText(initialText = '') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thought-cli-'));
+    const filePath = path.join(dir, 'thought.md');
+
+    try {
+        fs.writeFileSync(filePath, initialText);
+
+        // run through the shell, editor settings often carry arguments like "code --wait"
+        const result = spawnSync(`${getEditor()} "${filePath}"`, { stdio: 'inherit', shell: true });
+        if (result.error || result.status !== 0) {
+            console.error(chalk.red(`editor "${getEditor()}" failed, set $EDITOR to change it`));
+            return null;
+        }
+
+        return fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+        console.error(chalk.red('error running editor:'), err.message);
+        return null;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    getEditor,
+    editText
+};
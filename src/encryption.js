@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+
+/**
+ * Encryption at rest for thought-cli
+ *
+ * An encrypted section file starts with a header line holding the scrypt salt and a check value,
+ * every following line is one entry sealed with AES-256-GCM. Lines are still appended one at a
+ * time like in plain sections, and a backup copy of the file carries everything needed to decrypt it.
+ *
+ * Since version 2 each line is also bound to the one before it through its associated data, the
+ * first one to a random chain value in the header line of its own file, so lines that were moved,
+ * dropped, repeated or taken from another file fail to decrypt. Lines cut off the end of a file
+ * can't be told apart from a file that was never longer. Version 1 files are still read and are
+ * written in the new format the next time they are rewritten.
+ *
+ * Keys are derived once per session and kept in memory by salt. Passphrases that unlocked
+ * something are remembered too, so one global passphrase opens every section it was used for.
+ */
+
+const cipherName = 'aes-256-gcm';
+const keyLength = 32;
+const scryptParams = { N: 2 ** 15, r: 8, p: 1 };
+const checkValue = 'thought-cli';
+const headerVersion = 2;
+
+// salt -> derived key
+const keys = new Map();
+const passphrases = [];
+// salt -> passphrases already tried without luck, deriving a key is slow on purpose
+const tried = new Map();
+
+function deriveKey(passphrase, header) {
+    const { N, r, p } = header;
+    return crypto.scryptSync(passphrase, Buffer.from(header.salt, 'base64'), keyLength, {
+        N, r, p, maxmem: 128 * N * r * 2
+    });
+}
+
+function seal(key, plaintext, associatedData = null) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(cipherName, key, iv);
+    if (associatedData) cipher.setAAD(associatedData);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function open(key, sealed, associatedData = null) {
+    const decipher = crypto.createDecipheriv(cipherName, key, Buffer.from(sealed.iv, 'base64'));
+    if (associatedData) decipher.setAAD(associatedData);
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf-8');
+}
+
+function checkKey(key, header) {
+    try {
+        return open(key, header.check) === checkValue;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Creates the header for newly encrypted content and unlocks it
+ * @param {string} passphrase - The passphrase to protect it with
+ * @returns {Object} - The header
+ */
+function createHeader(passphrase) {
+    const header = {
+        version: headerVersion,
+        cipher: cipherName,
+        kdf: 'scrypt',
+        ...scryptParams,
+        salt: crypto.randomBytes(16).toString('base64')
+    };
+    const key = deriveKey(passphrase, header);
+    header.check = seal(key, checkValue);
+
+    keys.set(header.salt, key);
+    rememberPassphrase(passphrase);
+    return header;
+}
+
+function serializeHeader(header) {
+    return JSON.stringify({ encryption: header });
+}
+
+function parseHeaderLine(line) {
+    try {
+        const parsed = JSON.parse(line);
+        if (parsed && parsed.encryption && parsed.encryption.salt && parsed.encryption.check) {
+            return parsed.encryption;
+        }
+    } catch (err) {
+        // not a header
+    }
+    return null;
+}
+
+/**
+ * Reads the encryption header at the start of some content
+ * @param {string} content - Section or backup content
+ * @returns {Object|null} - The header or null for plain content
+ */
+function getHeader(content) {
+    const firstLine = content.substring(0, content.indexOf('\n') === -1 ? content.length : content.indexOf('\n'));
+    return parseHeaderLine(firstLine);
+}
+
+function isEncryptedContent(content) {
+    return getHeader(content) !== null;
+}
+
+/**
+ * Remembers a passphrase for this session so it is tried on every encrypted file
+ * @param {string} passphrase - The passphrase
+ */
+function rememberPassphrase(passphrase) {
+    if (!passphrases.includes(passphrase)) {
+        passphrases.push(passphrase);
+    }
+}
+
+/**
+ * Finds the key for a header, trying remembered passphrases if it wasn't derived yet
+ * @param {Object} header - The encryption header
+ * @returns {Buffer|null} - The key or null while locked
+ */
+function getKey(header) {
+    if (keys.has(header.salt)) {
+        return keys.get(header.salt);
+    }
+    if (!tried.has(header.salt)) {
+        tried.set(header.salt, new Set());
+    }
+    const failed = tried.get(header.salt);
+    for (const passphrase of passphrases.filter(candidate => !failed.has(candidate))) {
+        const key = deriveKey(passphrase, header);
+        if (checkKey(key, header)) {
+            keys.set(header.salt, key);
+            return key;
+        }
+        failed.add(passphrase);
+    }
+    return null;
+}
+
+/**
+ * Unlocks a header with a passphrase for the rest of the session
+ * @param {Object} header - The encryption header
+ * @param {string} passphrase - The passphrase to try
+ * @returns {boolean} - Whether the passphrase was right
+ */
+function unlock(header, passphrase) {
+    const key = deriveKey(passphrase, header);
+    if (!checkKey(key, header)) {
+        return false;
+    }
+    keys.set(header.salt, key);
+    rememberPassphrase(passphrase);
+    return true;
+}
+
+function isLocked(header) {
+    return getKey(header) === null;
+}
+
+function isChained(header) {
+    return header.version >= 2;
+}
+
+/**
+ * Gives a header a chain value of its own, for a file that is written from scratch
+ * Sections encrypted together share a key, the chain value keeps their lines apart.
+ * @param {Object} header - The encryption header
+ * @returns {Object} - A copy for the new file
+ */
+function startChain(header) {
+    return { ...header, version: headerVersion, chain: crypto.randomBytes(16).toString('base64') };
+}
+
+// what a line is bound to: the tag of the line before it, or the file's chain value for the first
+function getChainValue(header, previous) {
+    let sealed = null;
+    if (previous) {
+        try {
+            sealed = JSON.parse(previous);
+        } catch (err) {
+            throw new Error('the last line of the encrypted file is damaged, run /repair first');
+        }
+    }
+    // files chained before chain values were added start from the check value
+    const first = header.chain || header.check.tag;
+    return Buffer.from(sealed && !sealed.encryption ? sealed.tag : first, 'base64');
+}
+
+function requireKey(header) {
+    const key = getKey(header);
+    if (!key) {
+        throw new Error('encrypted content is locked, unlock it with its passphrase first');
+    }
+    return key;
+}
+
+/**
+ * Encrypts one serialized entry line
+ * @param {Object} header - The encryption header of the file
+ * @param {string} line - The plain line
+ * @param {string|null} previous - The last line of the file it is appended to, header line included
+ * @returns {string} - The sealed line
+ */
+function encryptLine(header, line, previous = null) {
+    const associatedData = isChained(header) ? getChainValue(header, previous) : null;
+    return JSON.stringify(seal(requireKey(header), line, associatedData));
+}
+
+/**
+ * Encrypts structured section content under a header
+ * @param {string} content - Plain JSONL content
+ * @param {Object} header - The encryption header to use
+ * @returns {string} - Header line followed by sealed lines
+ */
+function encryptContent(content, header) {
+    // rewritten version 1 files are chained from now on, the key stays the same
+    const chained = startChain(header);
+    const sealed = [serializeHeader(chained)];
+    content.split('\n')
+        .filter(line => line.trim() !== '')
+        .forEach(line => sealed.push(encryptLine(chained, line, sealed[sealed.length - 1])));
+    return sealed.join('\n') + '\n';
+}
+
+/**
+ * Decrypts encrypted content up to the first line that can't be read
+ * @param {string} content - Section or backup content
+ * @returns {Object} - { content, unreadable } with the plain content before that line and the number of lines left out
+ * @throws {Error} - When the content is locked
+ */
+function decryptReadable(content) {
+    const header = getHeader(content);
+    if (!header) {
+        return { content, unreadable: 0 };
+    }
+
+    const key = requireKey(header);
+    const lines = content.split('\n').slice(1).filter(line => line.trim() !== '');
+    const plain = [];
+    let previous = null;
+    for (const line of lines) {
+        try {
+            plain.push(open(key, JSON.parse(line), isChained(header) ? getChainValue(header, previous) : null) + '\n');
+        } catch (err) {
+            // every later line is chained to this one, none of them can be trusted either
+            break;
+        }
+        previous = line;
+    }
+    return { content: plain.join(''), unreadable: lines.length - plain.length };
+}
+
+/**
+ * Decrypts encrypted content back to plain JSONL, plain content is returned as is
+ * @param {string} content - Section or backup content
+ * @returns {string} - Plain content
+ * @throws {Error} - When the content is locked or has been tampered with
+ */
+function decryptContent(content) {
+    const readable = decryptReadable(content);
+    if (readable.unreadable > 0) {
+        throw new Error('encrypted content is damaged or was changed outside thought-cli');
+    }
+    return readable.content;
+}
+
+module.exports = {
+    createHeader,
+    serializeHeader,
+    getHeader,
+    isEncryptedContent,
+    rememberPassphrase,
+    getKey,
+    unlock,
+    isLocked,
+    encryptLine,
+    encryptContent,
+    startChain,
+    decryptReadable,
+    decryptContent
+};
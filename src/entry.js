@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const tag = require('./tag');
+const todo = require('./todo');
+
+/**
+ * Entry records for thought-cli
+ * Each thought is stored as one JSON object per line in its section file
+ */
+
+/**
+ * Generates a unique, roughly time-ordered entry id
+ * @returns {string} - The new id
+ */
+function generateId() {
+    return Date.now().toString(36) + crypto.randomBytes(3).toString('hex');
+}
+
+/**
+ * Creates a new entry record
+ * @param {string} text - The thought text
+ * @param {Object} options - Optional timestamp (Date or ISO string), tags and fields
+ * @returns {Object} - The entry record
+ */
+function createEntry(text, options = {}) {
+    const timestamp = options.timestamp ? new Date(options.timestamp) : new Date();
+    const tags = options.tags || tag.extractTags(text);
+    // due:friday means the friday after the thought was logged
+    const resolved = todo.resolveDue(text, tags, timestamp);
+
+    return {
+        id: options.id || generateId(),
+        timestamp: timestamp.toISOString(),
+        text: resolved.text,
+        tags,
+        fields: resolved.due ? { due: resolved.due, ...options.fields } : (options.fields || {})
+    };
+}
+
+/**
+ * Returns a copy of an entry with new text, keeping its id and timestamp
+ * A due:<when> in the new text counts from now
+ * @param {Object} original - The entry record to edit
+ * @param {string} text - The replacement text
+ * @returns {Object} - The edited entry record
+ */
+function editEntry(original, text) {
+    const tags = tag.extractTags(text);
+    const resolved = todo.resolveDue(text, tags);
+    const fields = { ...original.fields, editedAt: new Date().toISOString() };
+    if (resolved.due) {
+        fields.due = resolved.due;
+    } else {
+        delete fields.due;
+    }
+
+    return {
+        ...original,
+        text: resolved.text,
+        tags,
+        fields
+    };
+}
+
+/**
+ * Gets an entry's tags with aliases resolved against the current registry
+ * @param {Object} entry - The entry record
+ * @returns {Array} - Unique canonical tag names
+ */
+function getEntryTags(entry) {
+    return [...new Set(entry.tags.map(tag.resolveTag))];
+}
+
+/**
+ * Serializes an entry to a single line
+ * @param {Object} entry - The entry record
+ * @returns {string} - The JSON line (without trailing newline)
+ */
+function serializeEntry(entry) {
+    return JSON.stringify(entry);
+}
+
+/**
+ * Parses a single stored line into an entry
+ * @param {string} line - The stored line
+ * @returns {Object|null} - The entry record or null if the line is not a valid entry
+ */
+function parseEntryLine(line) {
+    try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry.id === 'string' && typeof entry.text === 'string' && entry.timestamp) {
+            return {
+                ...entry,
+                tags: Array.isArray(entry.tags) ? entry.tags : [],
+                fields: entry.fields && typeof entry.fields === 'object' ? entry.fields : {}
+            };
+        }
+    } catch (err) {
+        // not a json line
+    }
+    return null;
+}
+
+/**
+ * Formats a date the way thought-cli shows times
+ * @param {Date} date - The date to format
+ * @param {boolean} includeSeconds - Whether to include seconds
+ * @returns {string} - The formatted date and time
+ */
+function formatDateTime(date, includeSeconds = false) {
+    const day = date.toLocaleDateString();
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+
+    if (includeSeconds) {
+        const seconds = String(date.getSeconds()).padStart(2, '0');
+        return `${day}, ${hours}:${minutes}:${seconds}`;
+    }
+
+    return `${day}, ${hours}:${minutes}`;
+}
+
+const continuationIndent = '    ';
+
+/**
+ * Cleans up text typed over several lines before it is stored
+ * @param {string} text - The raw text
+ * @returns {string} - Text with unix line endings and no leading or trailing blank lines
+ */
+function normalizeText(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/^([ \t]*\n)+/, '').trimEnd();
+}
+
+/**
+ * Renders an entry for display, later lines of a multi-line thought are indented under the first
+ * @param {Object} entry - The entry record
+ * @returns {string} - The timestamp followed by the text
+ */
+function formatEntry(entry) {
+    const [first, ...rest] = entry.text.split('\n');
+    return [
+        `${formatDateTime(new Date(entry.timestamp), true)} ${first}`,
+        ...rest.map(line => (line === '' ? '' : continuationIndent + line))
+    ].join('\n');
+}
+
+/**
+ * Checks whether an entry was logged on the same local day as a date
+ * @param {Object} entry - The entry record
+ * @param {Date} date - The day to compare against
+ * @returns {boolean} - Whether both fall on the same day
+ */
+function isSameDay(entry, date) {
+    return new Date(entry.timestamp).toDateString() === date.toDateString();
+}
+
+/**
+ * Combines two lists of entries in chronological order, skipping entries that are already there
+ * An entry is already there when its id, or its timestamp and text, match one in the existing list
+ * @param {Array} existing - Entries to keep as they are
+ * @param {Array} incoming - Entries to add
+ * @returns {Object} - { entries, added } with the combined list and the number of entries added
+ */
+function mergeEntries(existing, incoming) {
+    const identify = entry => `${entry.timestamp}|${entry.text}`;
+    const ids = new Set(existing.map(entry => entry.id));
+    const identities = new Set(existing.map(identify));
+    const added = [];
+
+    for (const entry of incoming) {
+        if (ids.has(entry.id) || identities.has(identify(entry))) continue;
+        ids.add(entry.id);
+        identities.add(identify(entry));
+        added.push(entry);
+    }
+
+    // sort is stable, so entries with the same timestamp keep their order
+    const entries = [...existing, ...added].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return { entries, added: added.length };
+}
+
+module.exports = {
+    generateId,
+    createEntry,
+    editEntry,
+    getEntryTags,
+    serializeEntry,
+    parseEntryLine,
+    formatDateTime,
+    normalizeText,
+    formatEntry,
+    isSameDay,
+    mergeEntries
+};
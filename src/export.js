@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const logger = require('./logger');
+const entry = require('./entry');
+const tag = require('./tag');
+
+/**
+ * Export of sections to Markdown, JSON, CSV and self-contained HTML
+ */
+
+const formats = {
+    markdown: { extension: '.md', render: renderMarkdown },
+    json: { extension: '.json', render: renderJson },
+    csv: { extension: '.csv', render: renderCsv },
+    html: { extension: '.html', render: renderHtml }
+};
+
+const formatAliases = { md: 'markdown' };
+
+// terminal palette used to match chalk colors in html output
+const cssColors = {
+    black: '#000000',
+    red: '#cd3131',
+    green: '#0dbc79',
+    yellow: '#e5e510',
+    blue: '#2472c8',
+    magenta: '#bc3fbc',
+    cyan: '#11a8cd',
+    white: '#e5e5e5',
+    gray: '#666666',
+    grey: '#666666',
+    blackBright: '#666666',
+    redBright: '#f14c4c',
+    greenBright: '#23d18b',
+    yellowBright: '#f5f543',
+    blueBright: '#3b8eea',
+    magentaBright: '#d670d6',
+    cyanBright: '#29b8db',
+    whiteBright: '#ffffff'
+};
+
+/**
+ * Resolves a format name or alias
+ * @param {string} name - e.g. "md", "markdown", "csv"
+ * @returns {string|null} - The canonical format name or null if unknown
+ */
+function resolveFormat(name) {
+    const format = formatAliases[name?.toLowerCase()] || name?.toLowerCase();
+    return formats[format] ? format : null;
+}
+
+/**
+ * Collects everything an export needs for a list of sections
+ * @param {Array} sections - Section names
+ * @returns {Array} - { name, metadata, entries }
+ */
+function collectSections(sections) {
+    const metadata = logger.getSectionMetadata();
+    return sections.map(name => ({
+        name,
+        metadata: metadata[name] || {},
+        entries: logger.loadAllLogs(name)
+    }));
+}
+
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function getTimeOfDay(timestamp) {
+    return entry.formatDateTime(new Date(timestamp), true).split(', ').pop();
+}
+
+/**
+ * Groups entries by local day, keeping their order
+ * @param {Array} entries - Entry records
+ * @returns {Array} - { day, entries } in order of first appearance
+ */
+function groupByDay(entries) {
+    const groups = new Map();
+    for (const logEntry of entries) {
+        const day = getDayKey(logEntry.timestamp);
+        if (!groups.has(day)) groups.set(day, []);
+        groups.get(day).push(logEntry);
+    }
+    return [...groups.entries()].map(([day, dayEntries]) => ({ day, entries: dayEntries }));
+}
+
+function renderMarkdown(sectionsData) {
+    const lines = [];
+
+    sectionsData.forEach((section, index) => {
+        if (index > 0) lines.push('');
+        lines.push(`# ${section.name}`);
+        if (section.metadata.description) {
+            lines.push('', `> ${section.metadata.description}`);
+        }
+
+        groupByDay(section.entries).forEach(group => {
+            lines.push('', `## ${group.day}`, '');
+            group.entries.forEach(logEntry => {
+                // later lines of a multi-line thought are indented to stay inside the list item
+                const [first, ...rest] = logEntry.text.split('\n');
+                lines.push(`- **${getTimeOfDay(logEntry.timestamp)}** ${first}`);
+                rest.forEach(line => lines.push(line === '' ? '' : `  ${line}`));
+            });
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function renderJson(sectionsData) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        sections: sectionsData
+    }, null, 2) + '\n';
+}
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(sectionsData) {
+    const withSection = sectionsData.length > 1;
+    const header = withSection ? ['section', 'timestamp', 'tag', 'text'] : ['timestamp', 'tag', 'text'];
+    const rows = [header];
+
+    sectionsData.forEach(section => {
+        section.entries.forEach(logEntry => {
+            const row = [logEntry.timestamp, entry.getEntryTags(logEntry).join(';'), logEntry.text];
+            rows.push(withSection ? [section.name, ...row] : row);
+        });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turns a tag style from the registry into inline css
+ * @param {Object} style - Style from tag.getTagStyle
+ * @returns {string} - CSS declarations
+ */
+function getTagCss(style) {
+    const color = style.color.startsWith('#') ? style.color : (cssColors[style.color] || 'inherit');
+    const rules = [];
+
+    if (style.styles.includes('inverse')) {
+        rules.push(`background:${color}`, 'color:#1e1e1e');
+    } else {
+        rules.push(`color:${color}`);
+    }
+    if (style.styles.includes('bold')) rules.push('font-weight:bold');
+    if (style.styles.includes('dim')) rules.push('opacity:0.6');
+    if (style.styles.includes('italic')) rules.push('font-style:italic');
+
+    const decorations = [];
+    if (style.styles.includes('underline')) decorations.push('underline');
+    if (style.styles.includes('strikethrough')) decorations.push('line-through');
+    if (decorations.length > 0) rules.push(`text-decoration:${decorations.join(' ')}`);
+
+    return rules.join(';');
+}
+
+/**
+ * Renders entry text as html with the same tag colors as the terminal
+ * @param {string} text - The entry text
+ * @returns {string} - Escaped html
+ */
+function renderTaggedHtml(text) {
+    return tag.renderTaggedLog(text, {
+        text: escapeHtml,
+        tag: (style, tagText) => `<span class="tag" style="${getTagCss(style)}">${escapeHtml(tagText)}</span>`,
+        line: (style, html) => `<span style="${getTagCss(style)}">${html}</span>`
+    });
+}
+
+function renderHtml(sectionsData) {
+    const title = sectionsData.length === 1 ? sectionsData[0].name : 'thought-cli export';
+    const body = sectionsData.map(section => {
+        const description = section.metadata.description
+            ? `<p class="description">${escapeHtml(section.metadata.description)}</p>`
+            : '';
+        const days = groupByDay(section.entries).map(group => {
+            const items = group.entries.map(logEntry =>
+                `<li><time datetime="${logEntry.timestamp}">${getTimeOfDay(logEntry.timestamp)}</time> ` +
+                `<span class="text">${renderTaggedHtml(logEntry.text)}</span></li>`
+            ).join('\n');
+            return `<h3>${group.day}</h3>\n<ul>\n${items}\n</ul>`;
+        }).join('\n');
+        return `<section>\n<h2>${escapeHtml(section.name)}</h2>\n${description}\n${days}\n</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { background: #1e1e1e; color: #d4d4d4; font-family: ui-monospace, Menlo, Consolas, monospace; margin: 2em auto; max-width: 60em; padding: 0 1em; }
+h2 { color: #23d18b; }
+h3 { color: #888; font-weight: normal; border-bottom: 1px solid #333; }
+.description { color: #11a8cd; }
+ul { list-style: none; padding-left: 0; }
+li { margin: 0.3em 0; white-space: pre-wrap; }
+time { color: #888; margin-right: 0.5em; }
+</style>
+</head>
+<body>
+${body}
+<footer><p><small>exported ${escapeHtml(new Date().toISOString())}</small></p></footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Works out where an export goes
+ * @param {string|null} target - A file or directory given by the user, or null for the export directory
+ * @param {string} defaultName - File name to use when target is a directory
+ * @returns {string} - The output file path
+ */
+function resolveOutputPath(target, defaultName) {
+    if (!target) {
+        return path.join(config.exportDir, defaultName);
+    }
+
+    const resolved = path.resolve(target.replace(/^~(?=$|\/)/, os.homedir()));
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+        return path.join(resolved, defaultName);
+    }
+    return resolved;
+}
+
+/**
+ * Exports sections to a file
+ * @param {Array} sections - Section names to export
+ * @param {string} formatName - Format name or alias
+ * @param {string|null} target - Output file or directory
+ * @returns {string|null} - Path of the written file or null if failed
+ */
+function exportSections(sections, formatName, target = null) {
+    const format = resolveFormat(formatName);
+    if (!format) {
+        console.error(chalk.red(`unknown export format: ${formatName}`));
+        return null;
+    }
+
+    const locked = sections.filter(section => logger.isSectionLocked(section));
+    if (locked.length > 0) {
+        console.error(chalk.red(`locked sections can't be exported: ${locked.join(', ')}`));
+        return null;
+    }
+
+    try {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const baseName = sections.length === 1 ? logger.getSectionFileName(sections[0]) : 'all-sections';
+        const outputPath = resolveOutputPath(target, `${baseName}-${timestamp}${formats[format].extension}`);
+
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, formats[format].render(collectSections(sections)));
+        return outputPath;
+    } catch (err) {
+        console.error(chalk.red('error exporting:'), err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    formatNames: Object.keys(formats),
+    resolveFormat,
+    groupByDay,
+    getTimeOfDay,
+    escapeHtml,
+    getTagCss,
+    renderTaggedHtml,
+    exportSections
+};
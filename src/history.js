@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const config = require('./config');
+
+/**
+ * Version history of the sections directory, kept with the system git binary
+ * When gitHistory is on every write to a section becomes a commit in a repository inside
+ * sectionsDir, so any section can be viewed or rolled back to how it was at a given time.
+ * The repository is local only, nothing is ever pushed or fetched.
+ *
+ * Recording never interrupts writing a thought: a failure is kept in the status and shown
+ * by /history instead.
+ */
+
+const ignored = ['.index/', '*.tmp', '*.migrated', '*.lock'];
+// commits are made as thought-cli so no git identity needs to be configured
+const identity = ['-c', 'user.name=thought-cli', '-c', 'user.email=thought-cli@localhost', '-c', 'commit.gpgsign=false'];
+const maxOutput = 64 * 1024 * 1024;
+
+const status = {
+    lastError: null
+};
+
+function getGitDir() {
+    return path.join(config.sectionsDir, '.git');
+}
+
+function git(args) {
+    // the repository is always named explicitly so a repository around the data directory is never touched
+    const result = spawnSync('git', ['--git-dir', getGitDir(), '--work-tree', config.sectionsDir, ...args], {
+        cwd: config.sectionsDir,
+        encoding: 'utf-8',
+        maxBuffer: maxOutput
+    });
+    if (result.error) {
+        throw new Error(result.error.code === 'ENOENT' ? 'git is not installed or not on the PATH' : result.error.message);
+    }
+    return result;
+}
+
+function runGit(args) {
+    const result = git(args);
+    if (result.status !== 0) {
+        throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim()}`);
+    }
+    return result.stdout;
+}
+
+// path of a section file inside the repository, git always uses /
+function getSectionPath(section) {
+    return `${section}${config.sectionExtension}`;
+}
+
+function isEnabled() {
+    return config.gitHistory;
+}
+
+function hasRepository() {
+    return fs.existsSync(getGitDir());
+}
+
+function commitChanges(message) {
+    runGit(['add', '-A']);
+    // nothing staged means the change was already recorded
+    if (git(['diff', '--cached', '--quiet']).status === 0) {
+        return false;
+    }
+    runGit([...identity, 'commit', '-q', '--no-verify', '-m', message]);
+    return true;
+}
+
+/**
+ * Creates the repository with a first commit of the current sections
+ * @returns {boolean} - Whether a repository was created
+ */
+function ensureRepository() {
+    if (hasRepository()) {
+        return false;
+    }
+    runGit(['init', '-q']);
+    fs.writeFileSync(path.join(config.sectionsDir, '.gitignore'), ignored.join('\n') + '\n');
+    commitChanges('start history');
+    return true;
+}
+
+/**
+ * Records the current state of the sections directory when history is on
+ * @param {string} message - What changed, e.g. "add to work"
+ * @returns {boolean} - Whether a commit was made
+ */
+function record(message) {
+    if (!isEnabled()) {
+        return false;
+    }
+    try {
+        ensureRepository();
+        const committed = commitChanges(message);
+        status.lastError = null;
+        return committed;
+    } catch (err) {
+        status.lastError = err.message;
+        return false;
+    }
+}
+
+function requireHistory() {
+    if (!isEnabled()) {
+        throw new Error('history is off, turn it on with /config set gitHistory true');
+    }
+    if (!hasRepository()) {
+        throw new Error('no history recorded yet');
+    }
+}
+
+/**
+ * Lists the commits that changed a section, newest first, following renames
+ * @param {string} section - Section name
+ * @param {number} limit - Most commits to return
+ * @returns {Array} - { rev, date, message, added, removed }, added and removed count lines
+ * @throws {Error} - When history is off or git fails
+ */
+function getTimeline(section, limit) {
+    requireHistory();
+    const output = runGit(['log', '--follow', `-n${limit}`, '--format=%x1e%h%x09%aI%x09%s', '--numstat', '--', getSectionPath(section)]);
+
+    return output.split('\x1e').filter(chunk => chunk.trim() !== '').map(chunk => {
+        const [heading, ...stats] = chunk.split('\n');
+        const [rev, date, ...message] = heading.split('\t');
+        const counts = stats.map(line => line.split('\t')).filter(parts => parts.length >= 3);
+        return {
+            rev,
+            date: new Date(date),
+            message: message.join('\t'),
+            added: counts.reduce((sum, parts) => sum + (parseInt(parts[0], 10) || 0), 0),
+            removed: counts.reduce((sum, parts) => sum + (parseInt(parts[1], 10) || 0), 0)
+        };
+    });
+}
+
+/**
+ * Finds the commit for a revision or for the state at a moment
+ * @param {string|Date} target - A revision (abbreviated hash) or a Date
+ * @returns {Object} - { rev, date } with the abbreviated hash and when it was recorded
+ * @throws {Error} - When nothing matches
+ */
+function findRevision(target) {
+    requireHistory();
+    let rev;
+    if (target instanceof Date) {
+        rev = runGit(['rev-list', '-1', `--before=${target.toISOString()}`, 'HEAD']).trim();
+        if (!rev) {
+            throw new Error('no history recorded before that time');
+        }
+    } else {
+        const result = git(['rev-parse', '--verify', '--quiet', `${target}^{commit}`]);
+        if (result.status !== 0) {
+            throw new Error(`no revision ${target} in the history`);
+        }
+        rev = result.stdout.trim();
+    }
+
+    const [shortRev, date] = runGit(['log', '-1', '--format=%h%x09%aI', rev]).trim().split('\t');
+    return { rev: shortRev, date: new Date(date) };
+}
+
+/**
+ * Reads a section file as it was at a revision
+ * @param {string} section - Section name
+ * @param {string} rev - Revision from findRevision or getTimeline
+ * @returns {string|null} - The file content, null when the section didn't exist then
+ */
+function readSectionAt(section, rev) {
+    requireHistory();
+    const result = git(['show', `${rev}:${getSectionPath(section)}`]);
+    return result.status === 0 ? result.stdout : null;
+}
+
+function getStatus() {
+    return { ...status, enabled: isEnabled(), recording: hasRepository() };
+}
+
+module.exports = {
+    isEnabled,
+    record,
+    getTimeline,
+    findRevision,
+    readSectionAt,
+    getStatus
+};
@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const logger = require('./logger');
+const sectionManager = require('./section');
+const entry = require('./entry');
+const migrate = require('./migrate');
+const tag = require('./tag');
+const history = require('./history');
+
+/**
+ * Import of Markdown, plain text, CSV and JSON files into sections
+ * Every parser returns items of { text, timestamp (Date or null), tags, section (optional) }
+ */
+
+const timestampColumns = ['timestamp', 'date', 'datetime', 'time', 'created', 'created_at', 'createdat'];
+const textColumns = ['text', 'message', 'note', 'content', 'thought', 'body', 'entry'];
+const tagColumns = ['tag', 'tags'];
+const sectionColumns = ['section'];
+
+/**
+ * Parses a date from imported data
+ * @param {*} value - ISO string, thought-cli locale string, YYYY-MM-DD or epoch number
+ * @returns {Date|null} - The date or null if it cannot be read
+ */
+function parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number' || /^\d{10,13}$/.test(String(value))) {
+        const number = Number(value);
+        const date = new Date(number < 1e12 ? number * 1000 : number);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    const text = String(value).trim();
+    const legacy = migrate.parseLegacyLine(`${text} x`);
+    if (legacy) return legacy.timestamp;
+
+    const dayOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dayOnly) {
+        return new Date(parseInt(dayOnly[1]), parseInt(dayOnly[2]) - 1, parseInt(dayOnly[3]));
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads a markdown heading as a day, e.g. "2026-10-19", "October 19, 2026" or "Mon 19 October 2026"
+ * @param {string} heading - The heading text
+ * @returns {Date|null} - Midnight of that day or null if the heading is not a date
+ */
+function parseDayHeading(heading) {
+    const iso = heading.match(/^(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) {
+        return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+    }
+
+    const written = heading.match(/^(?:[A-Za-z]+,?\s+)?([A-Za-z]+\.? \d{1,2}(?:st|nd|rd|th)?,? \d{4}|\d{1,2} [A-Za-z]+\.? \d{4})$/);
+    if (written) {
+        const date = new Date(written[1].replace(/(\d)(st|nd|rd|th)/, '$1'));
+        if (!isNaN(date.getTime())) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Guesses the format of a file from its extension, then its content
+ * @param {string} filePath - The file being imported
+ * @param {string} content - The file content
+ * @returns {string} - 'markdown', 'csv', 'json' or 'text'
+ */
+function detectFormat(filePath, content) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.md' || extension === '.markdown') return 'markdown';
+    if (extension === '.csv') return 'csv';
+    if (extension === '.json' || extension === '.jsonl') return 'json';
+
+    const trimmed = content.trim();
+    if (/^[[{]/.test(trimmed)) return 'json';
+
+    const lines = trimmed.split(/\r?\n/);
+    if (lines.some(line => /^(#{1,6} |\s*([-*+]|\d+\.) )/.test(line))) return 'markdown';
+
+    const header = lines[0].toLowerCase().split(',').map(h => h.trim().replace(/^"|"$/g, ''));
+    if (header.length > 1 && header.some(h => textColumns.includes(h))) return 'csv';
+
+    return 'text';
+}
+
+function parseTextLine(line, fallbackTimestamp = null) {
+    const legacy = migrate.parseLegacyLine(line);
+    if (legacy) {
+        return { text: legacy.text, timestamp: legacy.timestamp, tags: [] };
+    }
+
+    const iso = line.match(/^(\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?)\s+(.*)$/);
+    if (iso) {
+        const timestamp = parseDate(iso[1]);
+        if (timestamp) return { text: iso[2], timestamp, tags: [] };
+    }
+
+    return { text: line, timestamp: fallbackTimestamp, tags: [] };
+}
+
+function parseText(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .map(line => parseTextLine(line));
+}
+
+function parseMarkdown(content) {
+    const items = [];
+    let currentDay = null;
+    let current = null;
+    let blankLines = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trimEnd();
+
+        if (line === '') {
+            // a blank line ends the item unless indented lines follow, as in multi-line exports
+            blankLines++;
+            continue;
+        }
+        const pendingBlankLines = blankLines;
+        blankLines = 0;
+
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            // headings that are dates set the day for the items below, others are ignored
+            currentDay = parseDayHeading(heading[1].trim()) || currentDay;
+            current = null;
+            continue;
+        }
+
+        if (/^\s*>/.test(line) || /^\s*(---|\*\*\*)\s*$/.test(line)) {
+            current = null;
+            continue;
+        }
+
+        const bullet = line.match(/^\s*(?:[-*+]|\d+\.)\s+(?:\[([ xX])\]\s+)?(.*)$/);
+        if (!bullet && current && /^\s+/.test(line)) {
+            // continuation lines keep their own line and any indentation past the list item's
+            current.text += '\n'.repeat(pendingBlankLines + 1) + line.replace(/^ {1,2}/, '');
+            continue;
+        }
+
+        let text = bullet ? bullet[2] : line.trim();
+        let timestamp = currentDay;
+
+        // "**18:14:18** text" or "18:14 text" as written by /export
+        const time = text.match(/^(?:\*\*)?(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\*\*)?\s+(.*)$/);
+        if (time && currentDay) {
+            timestamp = new Date(currentDay);
+            timestamp.setHours(parseInt(time[1]), parseInt(time[2]), time[3] ? parseInt(time[3]) : 0, 0);
+            text = time[4];
+        } else if (!bullet) {
+            const parsed = parseTextLine(text, currentDay);
+            text = parsed.text;
+            timestamp = parsed.timestamp;
+        }
+
+        if (bullet && bullet[1] !== undefined) {
+            text = `[${bullet[1] === ' ' ? 'todo' : 'done'}] ${text}`;
+        }
+
+        current = { text, timestamp, tags: [] };
+        items.push(current);
+    }
+
+    return items;
+}
+
+/**
+ * Splits CSV content into rows of fields (RFC 4180 quoting)
+ * @param {string} content - The CSV content
+ * @returns {Array} - Rows of strings
+ */
+function parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parseCsv(content) {
+    const rows = parseCsvRows(content);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const find = names => header.findIndex(h => names.includes(h));
+    let columns = {
+        timestamp: find(timestampColumns),
+        text: find(textColumns),
+        tags: find(tagColumns),
+        section: find(sectionColumns)
+    };
+    let dataRows = rows.slice(1);
+
+    if (columns.text === -1) {
+        // no header: a single column is text, otherwise a leading date and trailing text
+        dataRows = rows;
+        const leadingDate = rows[0].length > 1 && parseDate(rows[0][0]);
+        columns = {
+            timestamp: leadingDate ? 0 : -1,
+            text: rows[0].length - 1,
+            tags: -1,
+            section: -1
+        };
+    }
+
+    return dataRows.map(row => ({
+        text: (row[columns.text] || '').trim(),
+        timestamp: columns.timestamp !== -1 ? parseDate(row[columns.timestamp]) : null,
+        tags: columns.tags !== -1 ? (row[columns.tags] || '').split(/[;,\s]+/).filter(Boolean) : [],
+        section: columns.section !== -1 ? row[columns.section] : undefined
+    }));
+}
+
+function itemFromJson(value, section) {
+    if (typeof value === 'string') {
+        return { text: value, timestamp: null, tags: [], section };
+    }
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    const textKey = textColumns.find(key => typeof value[key] === 'string');
+    if (!textKey) return null;
+
+    const timestampKey = Object.keys(value).find(key => timestampColumns.includes(key.toLowerCase()));
+    let tags = value.tags || value.tag || [];
+    if (typeof tags === 'string') tags = tags.split(/[;,\s]+/);
+
+    return {
+        text: value[textKey],
+        timestamp: timestampKey ? parseDate(value[timestampKey]) : null,
+        tags: tags.filter(t => typeof t === 'string' && t !== ''),
+        section: value.section || section
+    };
+}
+
+function parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (err) {
+        // one object per line
+        data = content.split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .map(line => JSON.parse(line));
+    }
+
+    // thought-cli export: { sections: [{ name, entries }] }
+    if (data && Array.isArray(data.sections)) {
+        return data.sections.flatMap(section =>
+            (section.entries || []).map(value => itemFromJson(value, section.name)));
+    }
+    if (data && Array.isArray(data.entries)) {
+        data = data.entries;
+    }
+    if (!Array.isArray(data)) {
+        throw new Error('expected an array of entries');
+    }
+    return data.map(value => itemFromJson(value));
+}
+
+const parsers = {
+    markdown: parseMarkdown,
+    csv: parseCsv,
+    json: parseJson,
+    text: parseText
+};
+
+/**
+ * Builds an entry from an imported item, keeping tags that only lived in a separate column
+ * @param {Object} item - Parsed item
+ * @param {string} source - Name of the imported file
+ * @param {Date} importedAt - When the import ran
+ * @returns {Object} - The entry record
+ */
+function toEntry(item, source, importedAt) {
+    const textTags = tag.extractTags(item.text);
+    const extraTags = item.tags
+        .map(t => t.replace(/^[#[]|]$/g, ''))
+        .filter(t => t !== '' && !textTags.includes(tag.resolveTag(t)));
+    const text = extraTags.length > 0 ? tag.createTaggedMessage(extraTags, item.text) : item.text;
+
+    const fields = { importedFrom: source };
+    if (!item.timestamp) fields.importedAt = importedAt.toISOString();
+
+    return entry.createEntry(text, { timestamp: item.timestamp || importedAt, fields });
+}
+
+function getDuplicateKeys(logEntry) {
+    const text = logEntry.text.trim();
+    const second = new Date(logEntry.timestamp).toISOString().substring(0, 19);
+    return { exact: `${second}|${text}`, text };
+}
+
+/**
+ * Imports a file into one or more sections
+ * @param {string} filePath - The file to import
+ * @param {Object} options - section (target section name), defaultSection, dryRun
+ * @returns {Object|null} - { format, sections: [{ name, created, added, duplicates, entries }] } or null if failed
+ */
+function importFile(filePath, options = {}) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+        console.error(chalk.red(`file not found: ${resolvedPath}`));
+        return null;
+    }
+
+    let items;
+    let format;
+    try {
+        const content = fs.readFileSync(resolvedPath, 'utf-8').replace(/^\uFEFF/, '');
+        format = detectFormat(resolvedPath, content);
+        items = parsers[format](content).filter(item => item && item.text.trim() !== '');
+    } catch (err) {
+        console.error(chalk.red(`error reading ${resolvedPath}:`), err.message);
+        return null;
+    }
+
+    const source = path.basename(resolvedPath);
+    const importedAt = new Date();
+    const defaultSection = options.defaultSection || config.defaultSection;
+    const bySection = new Map();
+
+    for (const item of items) {
+        // nested names like work/projectA keep their levels, as with /section
+        const name = logger.sanitizeSectionName(String(options.section || item.section || defaultSection));
+        if (!bySection.has(name)) bySection.set(name, []);
+        bySection.get(name).push(toEntry(item, source, importedAt));
+    }
+
+    const existingSections = logger.getSections();
+    const results = [];
+    const writes = [];
+
+    for (const [name, newEntries] of bySection) {
+        const created = !existingSections.includes(name);
+        if (created) {
+            const validated = sectionManager.validateNewName(name);
+            if (validated.error) {
+                console.error(chalk.red(validated.error));
+                return null;
+            }
+        }
+        if (!created && logger.isSectionLocked(name)) {
+            console.error(chalk.red(`section ${name} is encrypted and locked, unlock it before importing into it`));
+            return null;
+        }
+
+        // the section is rewritten with the imported entries, so it has to be read completely first
+        let existing = [];
+        if (!created) {
+            try {
+                existing = logger.readAllLogs(name);
+            } catch (err) {
+                console.error(chalk.red(`import aborted, ${name} could not be read:`), err.message);
+                return null;
+            }
+        }
+
+        const exactKeys = new Set(existing.map(e => getDuplicateKeys(e).exact));
+        const texts = new Set(existing.map(e => getDuplicateKeys(e).text));
+        const toAdd = [];
+        let duplicates = 0;
+
+        for (const logEntry of newEntries) {
+            const keys = getDuplicateKeys(logEntry);
+            // entries without their own time can only be matched by text
+            const isDuplicate = logEntry.fields.importedAt ? texts.has(keys.text) : exactKeys.has(keys.exact);
+            if (isDuplicate) {
+                duplicates++;
+                continue;
+            }
+            exactKeys.add(keys.exact);
+            texts.add(keys.text);
+            toAdd.push(logEntry);
+        }
+
+        if (toAdd.length > 0) {
+            writes.push({ name, created, existing, toAdd });
+        }
+        results.push({ name, created, added: toAdd.length, duplicates, entries: toAdd });
+    }
+
+    if (!options.dryRun) {
+        // nothing is written until every target section could be read
+        for (const { name, created, existing, toAdd } of writes) {
+            try {
+                if (created) {
+                    logger.createSection(name, `imported from ${source}`);
+                }
+                const merged = [...existing, ...toAdd]
+                    .map((logEntry, index) => ({ logEntry, index }))
+                    .sort((a, b) => new Date(a.logEntry.timestamp) - new Date(b.logEntry.timestamp) || a.index - b.index)
+                    .map(item => item.logEntry);
+                logger.writeAllLogs(name, merged);
+            } catch (err) {
+                console.error(chalk.red(`error importing into ${name}:`), err.message);
+                return null;
+            }
+        }
+        history.record(`import ${source}`);
+    }
+    return { format, sections: results };
+}
+
+module.exports = {
+    detectFormat,
+    parseDate,
+    parseCsvRows,
+    importFile
+};
@@ -2,9 +2,18 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const config = require('./config');
+const entry = require('./entry');
+const searchIndex = require('./searchIndex');
+const encryption = require('./encryption');
+const history = require('./history');
+
+const lockRetryDelay = 10;
+const lockTimeout = 2000;
+// a lock this old was left behind by a process that died while holding it
+const staleLockAge = 10000;
 
 function getLogFilePath(section) {
-    return path.join(config.sectionsDir, `${section}.txt`);
+    return path.join(config.sectionsDir, `${section}${config.sectionExtension}`);
 }
 
 function getSectionMetadata() {
@@ -29,21 +38,49 @@ function saveSectionMetadata(metadata) {
 
 function getSections() {
     try {
-        const files = fs.readdirSync(config.sectionsDir);
-        return files
-            .filter(file => file.endsWith('.txt') && file !== 'metadata.json')
-            .map(file => file.replace('.txt', ''));
+        return listSectionFiles(config.sectionsDir, '').sort();
     } catch (err) {
         console.error(chalk.red('Error loading sections:'), err);
         return [];
     }
 }
 
+// nested sections live in subdirectories, names always use / whatever the platform
+function listSectionFiles(dir, prefix) {
+    const sections = [];
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+            sections.push(...listSectionFiles(path.join(dir, dirent.name), `${prefix}${dirent.name}/`));
+        } else if (dirent.isFile() && dirent.name.endsWith(config.sectionExtension)) {
+            sections.push(prefix + dirent.name.slice(0, -config.sectionExtension.length));
+        }
+    }
+    return sections;
+}
+
+function sanitizeSectionName(name) {
+    return name
+        .split('/')
+        .filter(part => part.trim() !== '')
+        .map(part => part.replace(/[^a-zA-Z0-9-_]/g, '_'))
+        .join('/');
+}
+
+// flat file name for a section, used for backups and exports, dots never appear in section names
+function getSectionFileName(section) {
+    return section.replace(/\//g, '.');
+}
+
+function getSectionFromFileName(fileName) {
+    return fileName.replace(/\./g, '/');
+}
+
 function createSection(name, description) {
-    const sanitizedName = name.replace(/[^a-zA-Z0-9-_]/g, '_');
+    const sanitizedName = sanitizeSectionName(name);
     const logFilePath = getLogFilePath(sanitizedName);
     
     if (!fs.existsSync(logFilePath)) {
+        fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
         fs.writeFileSync(logFilePath, '');
     }
     
@@ -63,27 +100,133 @@ function ensureDefaultSection() {
 }
 
 function getCurrentDateTime(includeSeconds = false) {
-    const now = new Date();
-    const date = now.toLocaleDateString();
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
+    return entry.formatDateTime(new Date(), includeSeconds);
+}
+
+function parseEntries(content) {
+    return content
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => entry.parseEntryLine(line))
+        .filter(Boolean);
+}
+
+function serializeEntries(entries) {
+    return entries.map(e => entry.serializeEntry(e) + '\n').join('');
+}
+
+// only the first line is read, that is where an encrypted section keeps its header
+function getSectionHeader(section) {
+    const logFilePath = getLogFilePath(section);
+    if (!fs.existsSync(logFilePath)) {
+        return null;
+    }
     
-    if (includeSeconds) {
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        return `${date}, ${hours}:${minutes}:${seconds}`;
+    const fd = fs.openSync(logFilePath, 'r');
+    try {
+        const buffer = Buffer.alloc(4096);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return encryption.getHeader(buffer.toString('utf-8', 0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// the last line of a file, read from the end so appending doesn't load the whole section
+function readLastLine(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        let position = fs.fstatSync(fd).size;
+        let tail = Buffer.alloc(0);
+        while (position > 0) {
+            const chunk = Buffer.alloc(Math.min(4096, position));
+            position -= chunk.length;
+            fs.readSync(fd, chunk, 0, chunk.length, position);
+            tail = Buffer.concat([chunk, tail]);
+
+            let end = tail.length;
+            while (end > 0 && (tail[end - 1] === 0x0a || tail[end - 1] === 0x0d)) end--;
+            const start = end > 0 ? tail.lastIndexOf(0x0a, end - 1) : -1;
+            if (end > 0 && (start !== -1 || position === 0)) {
+                return tail.toString('utf-8', start + 1, end);
+            }
+        }
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Runs a write while holding the file's lock, so the TUI, the server and the CLI can't
+ * interleave writes to the same section
+ * @param {string} filePath - The file being written
+ * @param {Function} write - The write, called once the lock is held
+ * @returns {*} - What the write returns
+ * @throws {Error} - When another process holds the lock for too long
+ */
+function withFileLock(filePath, write) {
+    const lockPath = `${filePath}.lock`;
+    const waiter = new Int32Array(new SharedArrayBuffer(4));
+    const deadline = Date.now() + lockTimeout;
+    let fd = null;
+    while (fd === null) {
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            try {
+                if (Date.now() - fs.statSync(lockPath).mtimeMs > staleLockAge) {
+                    fs.unlinkSync(lockPath);
+                    continue;
+                }
+            } catch (statErr) {
+                // released between the open and the stat, try again straight away
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`${path.basename(filePath)} is being written by another process, try again`);
+            }
+            Atomics.wait(waiter, 0, 0, lockRetryDelay);
+        }
     }
     
-    return `${date}, ${hours}:${minutes}`;
+    try {
+        return write();
+    } finally {
+        fs.closeSync(fd);
+        fs.unlinkSync(lockPath);
+    }
+}
+
+function isSectionEncrypted(section) {
+    return getSectionHeader(section) !== null;
+}
+
+function isSectionLocked(section) {
+    const header = getSectionHeader(section);
+    return header !== null && encryption.isLocked(header);
+}
+
+function unlockSection(section, passphrase) {
+    const header = getSectionHeader(section);
+    return header === null || encryption.unlock(header, passphrase);
 }
 
 function loadAllLogs(section) {
     try {
         const logFilePath = getLogFilePath(section);
         if (fs.existsSync(logFilePath)) {
-            return fs.readFileSync(logFilePath, 'utf-8')
-                .trim()
-                .split('\n')
-                .filter(line => line.trim() !== '');
+            if (isSectionLocked(section)) {
+                console.error(chalk.yellow(`section ${section} is encrypted and locked`));
+                return [];
+            }
+            const readable = encryption.decryptReadable(fs.readFileSync(logFilePath, 'utf-8'));
+            if (readable.unreadable > 0) {
+                const count = `${readable.unreadable} line${readable.unreadable === 1 ? '' : 's'}`;
+                console.error(chalk.yellow(`${count} of section ${section} could not be decrypted, /repair in that section keeps the readable part`));
+            }
+            return parseEntries(readable.content);
         }
     } catch (err) {
         console.error(chalk.red('Error loading logs:'), err);
@@ -91,40 +234,142 @@ function loadAllLogs(section) {
     return [];
 }
 
-function saveLog(section, logEntry) {
+/**
+ * Reads every entry of a section before rewriting it
+ * Unlike loadAllLogs it fails instead of returning what it could read, so a locked or
+ * damaged section is never replaced by the part of it that was readable.
+ * @param {string} section - Section name
+ * @returns {Array} - The entries, none when the file doesn't exist yet
+ * @throws {Error} - When the section is locked, can't be decrypted or has unreadable lines
+ */
+function readAllLogs(section) {
+    const logFilePath = getLogFilePath(section);
+    if (!fs.existsSync(logFilePath)) {
+        return [];
+    }
+    
+    const lines = encryption.decryptContent(fs.readFileSync(logFilePath, 'utf-8'))
+        .split('\n')
+        .filter(line => line.trim() !== '');
+    const entries = lines.map(line => entry.parseEntryLine(line));
+    const unreadable = entries.filter(logEntry => logEntry === null).length;
+    if (unreadable > 0) {
+        throw new Error(`section ${section} has ${unreadable} unreadable line${unreadable === 1 ? '' : 's'}, restore it from a backup first`);
+    }
+    return entries;
+}
+
+function writeSectionContent(section, content) {
+    const logFilePath = getLogFilePath(section);
+    const tempPath = `${logFilePath}.${process.pid}.tmp`;
+    
+    // write the new content beside the old file, then swap it in with a single rename
     try {
-        const logFilePath = getLogFilePath(section);
-        fs.appendFileSync(logFilePath, logEntry + '\n');
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        withFileLock(logFilePath, () => fs.renameSync(tempPath, logFilePath));
+    } catch (err) {
+        if (fs.existsSync(tempPath)) {
+            fs.unlinkSync(tempPath);
+        }
+        throw err;
+    }
+}
+
+function writeAllLogs(section, entries) {
+    const header = getSectionHeader(section);
+    const content = serializeEntries(entries);
+    writeSectionContent(section, header ? encryption.encryptContent(content, header) : content);
+}
+
+// empties a section after rotation, an encrypted section keeps its key but starts a new chain
+function clearLogFile(section) {
+    const header = getSectionHeader(section);
+    const logFilePath = getLogFilePath(section);
+    withFileLock(logFilePath, () => {
+        fs.writeFileSync(logFilePath, header ? encryption.serializeHeader(encryption.startChain(header)) + '\n' : '');
+    });
+    history.record(`rotate ${section}`);
+}
+
+function updateLog(section, updatedEntry) {
+    try {
+        const entries = readAllLogs(section);
+        const index = entries.findIndex(e => e.id === updatedEntry.id);
+        if (index === -1) return false;
         
-        const stats = fs.statSync(logFilePath);
-        return stats.size > config.logRotationSize;
+        entries[index] = updatedEntry;
+        writeAllLogs(section, entries);
+        history.record(`edit in ${section}`);
+        return true;
     } catch (err) {
-        console.error(chalk.red('Error saving log:'), err);
+        console.error(chalk.red('Error updating log:'), err);
         return false;
     }
 }
 
-function createBackup(section, rotate = false) {
+function deleteLog(section, id) {
+    try {
+        const entries = readAllLogs(section);
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) return null;
+        
+        const [removed] = entries.splice(index, 1);
+        writeAllLogs(section, entries);
+        history.record(`delete from ${section}`);
+        return { entry: removed, index };
+    } catch (err) {
+        console.error(chalk.red('Error deleting log:'), err);
+        return null;
+    }
+}
+
+function insertLog(section, logEntry, index) {
+    try {
+        const entries = readAllLogs(section);
+        entries.splice(Math.min(index, entries.length), 0, logEntry);
+        writeAllLogs(section, entries);
+        history.record(`put back in ${section}`);
+        return true;
+    } catch (err) {
+        console.error(chalk.red('Error restoring log:'), err);
+        return false;
+    }
+}
+
+// returns whether the section is due for rotation, or null when the entry could not be saved
+function saveLog(section, logEntry) {
     try {
         const logFilePath = getLogFilePath(section);
-        if (fs.existsSync(logFilePath)) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(config.backupDir, `${section}-${timestamp}.bak`);
-            
-            fs.copyFileSync(logFilePath, backupPath);
-            
-            if (rotate) {
-                fs.writeFileSync(logFilePath, '');
-                return true;
-            } else {
-                console.log(chalk.green(`Logs backed up to ${backupPath}`));
-                return false;
-            }
+        const previousFingerprint = searchIndex.getFingerprint(logFilePath);
+        const header = getSectionHeader(section);
+        
+        if (header) {
+            // encrypted thoughts never reach the search index journal, each line is chained to
+            // the one before it so nothing may be appended between reading it and appending
+            withFileLock(logFilePath, () => {
+                // read again under the lock, a rotation may have started a new chain meanwhile
+                const current = getSectionHeader(section);
+                const sealed = encryption.encryptLine(current, entry.serializeEntry(logEntry), readLastLine(logFilePath));
+                fs.appendFileSync(logFilePath, sealed + '\n');
+            });
+        } else {
+            fs.appendFileSync(logFilePath, entry.serializeEntry(logEntry) + '\n');
+            searchIndex.recordEntry(section, logEntry, previousFingerprint);
         }
+        history.record(`add to ${section}`);
+        
+        const stats = fs.statSync(logFilePath);
+        return stats.size > config.logRotationSize;
     } catch (err) {
-        console.error(chalk.red('Error creating backup:'), err);
+        console.error(chalk.red('Error saving log:'), err);
+        return null;
     }
-    return false;
 }
 
 function ensureDirectories() {
@@ -141,11 +386,27 @@ module.exports = {
     getSectionMetadata,
     saveSectionMetadata,
     getSections,
+    sanitizeSectionName,
+    getSectionFileName,
+    getSectionFromFileName,
     createSection,
     ensureDefaultSection,
     getCurrentDateTime,
+    parseEntries,
+    serializeEntries,
+    getSectionHeader,
+    isSectionEncrypted,
+    isSectionLocked,
+    unlockSection,
+    withFileLock,
     loadAllLogs,
+    readAllLogs,
+    writeSectionContent,
+    writeAllLogs,
+    clearLogFile,
+    updateLog,
+    deleteLog,
+    insertLog,
     saveLog,
-    createBackup,
     ensureDirectories
 };
\ No newline at end of file
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const logger = require('./logger');
+const entry = require('./entry');
+const encryption = require('./encryption');
+
+/**
+ * One-time migration of plain text sections to structured entries
+ * Legacy lines look like "<toLocaleDateString()>, HH:MM:SS message"
+ */
+
+const legacyLinePattern = /^(\d{1,4}\D{1,2}\d{1,4}\D{1,2}\d{1,4})\.?, (\d{2}):(\d{2}):(\d{2}) ?(.*)$/;
+
+/**
+ * Works out the order of year, month and day in this machine's locale date string
+ * @returns {Array} - Part names in the order they appear, e.g. ['month', 'day', 'year']
+ */
+function getLocaleDateOrder() {
+    const sample = new Date(2001, 10, 22).toLocaleDateString();
+    const parts = sample.match(/\d+/g) || [];
+    const order = parts.map(part => {
+        const value = parseInt(part, 10);
+        if (value === 2001 || value === 1) return 'year';
+        if (value === 11) return 'month';
+        if (value === 22) return 'day';
+        return null;
+    });
+
+    if (order.length !== 3 || order.includes(null) || new Set(order).size !== 3) {
+        return ['month', 'day', 'year'];
+    }
+    return order;
+}
+
+/**
+ * Parses a legacy date string using the locale order
+ * @param {string} dateString - The date part of a legacy line
+ * @param {Array} order - Part order from getLocaleDateOrder
+ * @returns {Object|null} - { year, month, day } or null if the date is invalid
+ */
+function parseLegacyDate(dateString, order) {
+    const numbers = dateString.match(/\d+/g).map(n => parseInt(n, 10));
+    const parts = {};
+    order.forEach((name, index) => {
+        parts[name] = numbers[index];
+    });
+
+    if (parts.year < 100) parts.year += 2000;
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31) {
+        return null;
+    }
+    return parts;
+}
+
+/**
+ * Parses a single legacy line
+ * @param {string} line - The legacy line
+ * @param {Array} order - Part order from getLocaleDateOrder
+ * @returns {Object|null} - { timestamp, text } or null if the line has no recognizable timestamp
+ */
+function parseLegacyLine(line, order = getLocaleDateOrder()) {
+    const match = line.match(legacyLinePattern);
+    if (!match) return null;
+
+    const date = parseLegacyDate(match[1], order);
+    if (!date) return null;
+
+    const timestamp = new Date(
+        date.year,
+        date.month - 1,
+        date.day,
+        parseInt(match[2], 10),
+        parseInt(match[3], 10),
+        parseInt(match[4], 10)
+    );
+    if (isNaN(timestamp.getTime())) return null;
+
+    return { timestamp, text: match[5] };
+}
+
+/**
+ * Converts legacy text content into entry records
+ * Lines without a timestamp inherit the previous entry's time and are marked as such
+ * @param {string} content - The legacy file content
+ * @param {Date} fallbackDate - Time to use when no earlier line has one
+ * @returns {Array} - The entry records
+ */
+function parseLegacyContent(content, fallbackDate = new Date()) {
+    const order = getLocaleDateOrder();
+    const entries = [];
+    let lastTimestamp = fallbackDate;
+
+    content.split('\n')
+        .filter(line => line.trim() !== '')
+        .forEach(line => {
+            const parsed = parseLegacyLine(line, order);
+            if (parsed) {
+                lastTimestamp = parsed.timestamp;
+                entries.push(entry.createEntry(parsed.text, { timestamp: parsed.timestamp }));
+            } else {
+                entries.push(entry.createEntry(line, {
+                    timestamp: lastTimestamp,
+                    fields: { legacyUntimed: true }
+                }));
+            }
+        });
+
+    return entries;
+}
+
+/**
+ * Checks whether content is in the structured entry format
+ * @param {string} content - File or backup content
+ * @returns {boolean} - Whether every non-empty line is an entry record
+ */
+function isStructuredContent(content) {
+    // encrypted content is always structured underneath
+    if (encryption.isEncryptedContent(content)) {
+        return true;
+    }
+    return content
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .every(line => entry.parseEntryLine(line) !== null);
+}
+
+/**
+ * Normalizes section content to the structured format, converting legacy text if needed
+ * @param {string} content - File or backup content
+ * @returns {string} - Structured content
+ */
+function toStructuredContent(content) {
+    if (isStructuredContent(content)) {
+        return content;
+    }
+    return logger.serializeEntries(parseLegacyContent(content));
+}
+
+/**
+ * Migrates every legacy .txt section that has no structured file yet
+ * The original file is kept with a .migrated suffix
+ * @returns {number} - Number of sections migrated
+ */
+function migrateLegacySections() {
+    let migratedCount = 0;
+
+    try {
+        if (!fs.existsSync(config.sectionsDir)) {
+            return 0;
+        }
+
+        const legacyFiles = fs.readdirSync(config.sectionsDir)
+            .filter(file => file.endsWith(config.legacySectionExtension));
+
+        for (const file of legacyFiles) {
+            const section = file.slice(0, -config.legacySectionExtension.length);
+            const legacyPath = path.join(config.sectionsDir, file);
+
+            if (fs.existsSync(logger.getLogFilePath(section))) {
+                continue;
+            }
+
+            const stats = fs.statSync(legacyPath);
+            const content = fs.readFileSync(legacyPath, 'utf-8');
+            const entries = parseLegacyContent(content, stats.mtime);
+
+            logger.writeAllLogs(section, entries);
+            fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+
+            console.log(chalk.green(`migrated ${entries.length} entries in section: ${section}`));
+            migratedCount++;
+        }
+    } catch (err) {
+        console.error(chalk.red('error migrating legacy sections:'), err);
+    }
+
+    return migratedCount;
+}
+
+/**
+ * Copies data from the old location inside the app checkout to the data directory
+ * Only runs while the data directory has no sections yet, the old copy is left in place
+ * @returns {boolean} - Whether data was copied
+ */
+function migrateLegacyDataDir() {
+    const legacySectionsDir = path.join(config.baseDir, 'sections');
+    const legacyBackupDir = path.join(config.baseDir, 'backups');
+
+    if (path.resolve(legacySectionsDir) === path.resolve(config.sectionsDir)
+        || !fs.existsSync(legacySectionsDir)
+        || fs.existsSync(config.sectionsDir)) {
+        return false;
+    }
+
+    try {
+        fs.cpSync(legacySectionsDir, config.sectionsDir, { recursive: true });
+        if (fs.existsSync(legacyBackupDir) && !fs.existsSync(config.backupDir)) {
+            fs.cpSync(legacyBackupDir, config.backupDir, { recursive: true });
+        }
+        console.log(chalk.green(`copied your sections to ${config.dataDir}`));
+        console.log(chalk.dim(`the old copy in ${config.baseDir} is no longer used and can be removed`));
+        return true;
+    } catch (err) {
+        console.error(chalk.red('error copying data to the new data directory:'), err);
+        return false;
+    }
+}
+
+module.exports = {
+    getLocaleDateOrder,
+    parseLegacyLine,
+    parseLegacyContent,
+    isStructuredContent,
+    toStructuredContent,
+    migrateLegacyDataDir,
+    migrateLegacySections
+};
@@ -0,0 +1,378 @@
+const chalk = require('chalk');
+const entry = require('./entry');
+const tag = require('./tag');
+
+/**
+ * Search query language for thought-cli
+ *
+ * deploy AND (tag:todo OR tag:important) -staging after:2026-09-01 before:2026-10-01
+ *
+ * - words and "quoted phrases" match text case-insensitively
+ * - /pattern/flags matches text with a regular expression
+ * - AND, OR and NOT (uppercase) combine terms, adjacent terms are ANDed, parentheses group
+ * - a leading - negates a term or group
+ * - tag:<name>, section:<name>, after:<date> (inclusive) and before:<date> (exclusive)
+ *   filter by field, dates are YYYY-MM-DD, "today" or "yesterday"
+ * - section:work/* matches work and every section nested below it
+ */
+
+const fieldNames = ['tag', 'section', 'after', 'before'];
+
+const ansiPattern = /(\u001b\[[0-9;]*m)/;
+
+/**
+ * Parses a date filter value into the start of that local day
+ * @param {string} value - YYYY-MM-DD, "today" or "yesterday"
+ * @returns {Date} - Midnight at the start of the day
+ */
+function parseDateValue(value) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (value === 'today') return today;
+    if (value === 'yesterday') {
+        return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    }
+
+    const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+        if (date.getMonth() === parseInt(match[2]) - 1) {
+            return date;
+        }
+    }
+
+    throw new Error(`invalid date "${value}", use YYYY-MM-DD`);
+}
+
+/**
+ * Reads a /pattern/flags token starting at a position
+ * @param {string} input - The query string
+ * @param {number} start - Index of the opening slash
+ * @returns {Object|null} - { regex, end } or null if there is no closing slash
+ */
+function readRegex(input, start) {
+    let i = start + 1;
+    while (i < input.length && input[i] !== '/') {
+        if (input[i] === '\\') i++;
+        i++;
+    }
+    if (i >= input.length) return null;
+
+    const source = input.substring(start + 1, i);
+    const flagsMatch = input.substring(i + 1).match(/^[a-z]*/);
+    const flags = flagsMatch[0];
+    const end = i + 1 + flags.length;
+
+    if (end < input.length && !/[\s()]/.test(input[end])) return null;
+
+    try {
+        return { regex: new RegExp(source, flags.replace('g', '')), end };
+    } catch (err) {
+        throw new Error(`invalid regular expression /${source}/${flags}: ${err.message}`);
+    }
+}
+
+/**
+ * Reads a double quoted string starting at a position
+ * @param {string} input - The query string
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} - { value, end }
+ */
+function readQuoted(input, start) {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+        throw new Error('unterminated quote');
+    }
+    return { value: input.substring(start + 1, close), end: close + 1 };
+}
+
+/**
+ * Splits a query string into tokens
+ * @param {string} input - The query string
+ * @returns {Array} - Tokens
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+            continue;
+        }
+
+        if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT' });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const quoted = readQuoted(input, i);
+            tokens.push({ type: 'term', value: quoted.value });
+            i = quoted.end;
+            continue;
+        }
+
+        if (char === '/') {
+            const regex = readRegex(input, i);
+            if (regex) {
+                tokens.push({ type: 'regex', regex: regex.regex });
+                i = regex.end;
+                continue;
+            }
+        }
+
+        let end = i;
+        while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+        const word = input.substring(i, end);
+        i = end;
+
+        if (word === 'AND' || word === 'OR' || word === 'NOT') {
+            tokens.push({ type: word });
+            continue;
+        }
+
+        const colon = word.indexOf(':');
+        const field = colon > 0 ? word.substring(0, colon).toLowerCase() : null;
+        if (field && fieldNames.includes(field)) {
+            let value = word.substring(colon + 1);
+            if (value === '' && input[i] === '"') {
+                const quoted = readQuoted(input, i);
+                value = quoted.value;
+                i = quoted.end;
+            }
+            if (value === '') {
+                throw new Error(`missing value for ${field}:`);
+            }
+            tokens.push(createFieldToken(field, value));
+            continue;
+        }
+
+        tokens.push({ type: 'term', value: word });
+    }
+
+    return tokens;
+}
+
+function createFieldToken(field, value) {
+    if (field === 'after' || field === 'before') {
+        return { type: 'field', field, value: parseDateValue(value.toLowerCase()) };
+    }
+    if (field === 'tag') {
+        return { type: 'field', field, value: tag.resolveTag(value.replace(/^#/, '')) };
+    }
+    return { type: 'field', field, value };
+}
+
+/**
+ * Parses a query string into a syntax tree
+ * @param {string} input - The query string
+ * @returns {Object} - The root node
+ * @throws {Error} - With a readable message when the query is invalid
+ */
+function parseQuery(input) {
+    const tokens = tokenize(input);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            next();
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseUnary();
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') next();
+            left = { type: 'and', left, right: parseUnary() };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        const token = next();
+        if (!token) {
+            throw new Error('unexpected end of query');
+        }
+
+        if (token.type === 'NOT') {
+            return { type: 'not', operand: parseUnary() };
+        }
+
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('missing closing parenthesis');
+            }
+            next();
+            return inner;
+        }
+
+        if (token.type === 'term' || token.type === 'regex' || token.type === 'field') {
+            return token;
+        }
+
+        throw new Error(`unexpected ${token.type}`);
+    }
+
+    if (tokens.length === 0) {
+        throw new Error('empty query');
+    }
+
+    const root = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`unexpected ${peek().type}`);
+    }
+    return root;
+}
+
+/**
+ * Checks whether an entry matches a parsed query
+ * @param {Object} node - The query syntax tree
+ * @param {Object} logEntry - The entry record
+ * @param {string} section - The section the entry belongs to
+ * @returns {boolean} - Whether the entry matches
+ */
+function matches(node, logEntry, section) {
+    switch (node.type) {
+        case 'and':
+            return matches(node.left, logEntry, section) && matches(node.right, logEntry, section);
+        case 'or':
+            return matches(node.left, logEntry, section) || matches(node.right, logEntry, section);
+        case 'not':
+            return !matches(node.operand, logEntry, section);
+        case 'term':
+            return logEntry.text.toLowerCase().includes(node.value.toLowerCase());
+        case 'regex':
+            return node.regex.test(logEntry.text);
+        case 'field':
+            return matchesField(node, logEntry, section);
+        default:
+            return false;
+    }
+}
+
+function matchesField(node, logEntry, section) {
+    switch (node.field) {
+        case 'tag':
+            return entry.getEntryTags(logEntry).includes(node.value);
+        case 'section': {
+            const name = logEntry.section || section;
+            if (node.value.endsWith('/*')) {
+                const parent = node.value.slice(0, -2);
+                return name === parent || name.startsWith(`${parent}/`);
+            }
+            return name === node.value;
+        }
+        case 'after':
+            return new Date(logEntry.timestamp) >= node.value;
+        case 'before':
+            return new Date(logEntry.timestamp) < node.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Collects the text patterns a result should highlight, skipping negated ones
+ * @param {Object} node - The query syntax tree
+ * @param {boolean} negated - Whether the node sits under a NOT
+ * @returns {Array} - Global regular expressions
+ */
+function getHighlightPatterns(node, negated = false) {
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return [
+                ...getHighlightPatterns(node.left, negated),
+                ...getHighlightPatterns(node.right, negated)
+            ];
+        case 'not':
+            return getHighlightPatterns(node.operand, !negated);
+        case 'term':
+            if (negated || node.value === '') return [];
+            return [new RegExp(node.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi')];
+        case 'regex':
+            if (negated) return [];
+            return [new RegExp(node.regex.source, node.regex.flags + 'g')];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Highlights matched terms in an already formatted line, leaving color codes untouched
+ * @param {string} line - The formatted line
+ * @param {Array} patterns - Patterns from getHighlightPatterns
+ * @returns {string} - The line with matches highlighted
+ */
+function highlight(line, patterns) {
+    if (patterns.length === 0) return line;
+
+    return line.split(ansiPattern)
+        .map(chunk => (ansiPattern.test(chunk) ? chunk : highlightChunk(chunk, patterns)))
+        .join('');
+}
+
+function highlightChunk(text, patterns) {
+    const ranges = [];
+    for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+            if (match[0] !== '') ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    if (ranges.length === 0) return text;
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    let result = '';
+    let position = 0;
+    for (const [start, end] of ranges) {
+        if (end <= position) continue;
+        const from = Math.max(start, position);
+        result += text.substring(position, from) + chalk.inverse(text.substring(from, end));
+        position = end;
+    }
+    return result + text.substring(position);
+}
+
+/**
+ * Parses a query and returns a matcher and highlighter for it
+ * @param {string} input - The query string
+ * @returns {Object} - { root, test(entry, section), highlight(line) }
+ * @throws {Error} - With a readable message when the query is invalid
+ */
+function compileQuery(input) {
+    const root = parseQuery(input);
+    const patterns = getHighlightPatterns(root);
+
+    return {
+        root,
+        test: (logEntry, section) => matches(root, logEntry, section),
+        highlight: line => highlight(line, patterns)
+    };
+}
+
+module.exports = {
+    tokenize,
+    parseQuery,
+    matches,
+    compileQuery,
+    highlight,
+    parseDateValue
+};
@@ -0,0 +1,103 @@
+const config = require('./config');
+const backup = require('./backup');
+
+/**
+ * Automatic backups for thought-cli
+ * Full backups run every autoBackupMinutes, after backupEveryEntries new entries and on exit
+ * when backupOnExit is set. Runs are quiet, the outcome goes to the listener given to start
+ * so the interface decides where to show it.
+ */
+
+const maxFailures = 5;
+
+let timer = null;
+let listener = null;
+const status = {
+    lastRun: null,
+    nextRun: null,
+    failures: [],
+    entriesSinceBackup: 0
+};
+
+/**
+ * Takes a full backup now and records the outcome
+ * @param {string} reason - What triggered the run: interval, entries or exit
+ * @returns {Object} - { reason, at, path } or { reason, at, error }
+ */
+function run(reason) {
+    const result = { reason, at: new Date().toISOString() };
+    try {
+        result.path = backup.createFullBackup({ quiet: true });
+        status.lastRun = result;
+        status.entriesSinceBackup = 0;
+    } catch (err) {
+        result.error = err.message;
+        status.failures = [...status.failures, result].slice(-maxFailures);
+    }
+
+    if (timer) {
+        status.nextRun = new Date(Date.now() + config.autoBackupMinutes * 60000).toISOString();
+    }
+    if (listener) {
+        listener(result);
+    }
+    return result;
+}
+
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    status.nextRun = null;
+}
+
+/**
+ * Starts or restarts the interval from the current settings
+ * @param {Function} onRun - Called with the result of every automatic run
+ */
+function start(onRun = listener) {
+    stop();
+    listener = onRun;
+    if (config.autoBackupMinutes > 0) {
+        const interval = config.autoBackupMinutes * 60000;
+        timer = setInterval(() => run('interval'), interval);
+        // a pending backup shouldn't keep the process alive on its own
+        timer.unref();
+        status.nextRun = new Date(Date.now() + interval).toISOString();
+    }
+}
+
+/**
+ * Counts a new entry and backs up once backupEveryEntries have been added
+ * @returns {Object|null} - The result when a backup ran
+ */
+function recordEntry() {
+    status.entriesSinceBackup++;
+    if (config.backupEveryEntries > 0 && status.entriesSinceBackup >= config.backupEveryEntries) {
+        return run('entries');
+    }
+    return null;
+}
+
+/**
+ * Takes the exit backup when backupOnExit is set
+ * @returns {Object|null} - The result when a backup ran
+ */
+function runOnExit() {
+    stop();
+    return config.backupOnExit ? run('exit') : null;
+}
+
+function getStatus() {
+    return { ...status, failures: [...status.failures] };
+}
+
+module.exports = {
+    run,
+    start,
+    stop,
+    recordEntry,
+    runOnExit,
+    getStatus
+};
@@ -0,0 +1,591 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const entry = require('./entry');
+const encryption = require('./encryption');
+const backupFormat = require('./backupFormat');
+
+/**
+ * Persistent full-text index over sections and backups
+ *
+ * The index is a snapshot (index.json) plus an append-only journal (journal.jsonl).
+ * saveLog appends to the journal, anything else that changes a file is picked up
+ * by comparing file fingerprints before each search, and /reindex rebuilds it all.
+ * Documents keep their entry so backup matches can be shown without unpacking.
+ * The loaded index stays in memory and is only read again when another process changed it.
+ */
+
+const indexVersion = 1;
+const snapshotFile = 'index.json';
+const journalFile = 'journal.jsonl';
+const journalCompactionThreshold = 200;
+
+// the index as this process last loaded or saved it, with how far its journal has been read
+let loaded = null;
+
+// terms can be found by any part of them, so each index gets a sorted list of every suffix
+// of every term, the terms containing a token are the suffixes starting with it
+const termLookups = new WeakMap();
+
+function getSnapshotPath() {
+    return path.join(config.indexDir, snapshotFile);
+}
+
+function getJournalPath() {
+    return path.join(config.indexDir, journalFile);
+}
+
+function createEmptyIndex() {
+    return { version: indexVersion, documents: {}, terms: {}, sources: {} };
+}
+
+/**
+ * Splits text into lowercase index tokens
+ * @param {string} text - The text to tokenize
+ * @returns {Array} - Unique tokens
+ */
+function tokenize(text) {
+    return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+function getFingerprint(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        return `${stats.size}-${stats.mtimeMs}`;
+    } catch (err) {
+        return null;
+    }
+}
+
+function getFileIdentity(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        // the snapshot is replaced by a rename, so the inode tells a rewrite of the same size apart
+        return `${stats.ino}-${stats.size}-${stats.mtimeMs}`;
+    } catch (err) {
+        return null;
+    }
+}
+
+// terms like constructor are also names on every object, so only own keys count as terms
+function getPostings(data, term) {
+    return Object.hasOwn(data.terms, term) ? data.terms[term] : null;
+}
+
+function addDocument(data, doc) {
+    removeDocument(data, doc.key);
+    data.documents[doc.key] = doc;
+
+    const tokens = [...tokenize(doc.text), ...doc.tags.map(t => `tag:${t}`)];
+    for (const token of tokens) {
+        if (!getPostings(data, token)) {
+            termLookups.get(data)?.pending.add(token);
+            data.terms[token] = [];
+        }
+        data.terms[token].push(doc.key);
+    }
+}
+
+function removeDocument(data, key) {
+    const doc = data.documents[key];
+    if (!doc) return;
+
+    const tokens = [...tokenize(doc.text), ...doc.tags.map(t => `tag:${t}`)];
+    for (const token of tokens) {
+        const postings = getPostings(data, token);
+        if (!postings) continue;
+        const remaining = postings.filter(k => k !== key);
+        if (remaining.length > 0) {
+            data.terms[token] = remaining;
+        } else {
+            delete data.terms[token];
+        }
+    }
+    delete data.documents[key];
+}
+
+function createDocument(sourceKey, section, logEntry, backupName) {
+    const doc = {
+        key: `${sourceKey}|${logEntry.id}`,
+        source: sourceKey,
+        section,
+        id: logEntry.id,
+        timestamp: logEntry.timestamp,
+        text: logEntry.text,
+        tags: entry.getEntryTags(logEntry),
+        fields: logEntry.fields
+    };
+    if (backupName) doc.backup = backupName;
+    return doc;
+}
+
+function dropSource(data, sourceKey) {
+    const keys = new Set(Object.keys(data.documents)
+        .filter(key => data.documents[key].source === sourceKey));
+
+    if (keys.size > 0) {
+        // one pass over the postings is much cheaper than removing documents one by one
+        for (const [token, postings] of Object.entries(data.terms)) {
+            const remaining = postings.filter(key => !keys.has(key));
+            if (remaining.length > 0) {
+                data.terms[token] = remaining;
+            } else {
+                delete data.terms[token];
+            }
+        }
+        keys.forEach(key => delete data.documents[key]);
+    }
+    delete data.sources[sourceKey];
+}
+
+function parseEntries(content) {
+    // required here rather than at the top, migrate depends on logger which depends on this module
+    const migrate = require('./migrate');
+    if (!migrate.isStructuredContent(content)) {
+        // backups taken before structured storage hold plain text lines
+        return migrate.parseLegacyContent(content);
+    }
+    return content.split('\n')
+        .map(line => entry.parseEntryLine(line))
+        .filter(Boolean);
+}
+
+/**
+ * Lists every file the index should cover
+ * @returns {Array} - { key, path, type, section, name }
+ */
+function listSources() {
+    // required here for the same reason as migrate in parseEntries
+    const logger = require('./logger');
+    const sources = [];
+
+    if (fs.existsSync(config.sectionsDir)) {
+        logger.getSections().forEach(section => {
+            sources.push({
+                key: `section:${section}`,
+                path: path.join(config.sectionsDir, `${section}${config.sectionExtension}`),
+                type: 'section',
+                section
+            });
+        });
+    }
+
+    if (fs.existsSync(config.backupDir)) {
+        fs.readdirSync(config.backupDir)
+            .forEach(file => {
+                const isFull = file.startsWith('full-backup-');
+                const match = file.match(backupFormat.backupNamePattern);
+                if (!match) return;
+                sources.push({
+                    key: `backup:${file}`,
+                    path: path.join(config.backupDir, file),
+                    type: isFull ? 'full' : 'backup',
+                    section: isFull ? null : logger.getSectionFromFileName(match[1]),
+                    name: file
+                });
+            });
+    }
+
+    return sources;
+}
+
+function parseSectionContent(content) {
+    return content.split('\n')
+        .map(line => entry.parseEntryLine(line))
+        .filter(Boolean);
+}
+
+/**
+ * Reads the section contents held by a source
+ * @param {Object} source - Source from listSources
+ * @param {Function} callback - Called with (section, content, parse, backupName) for each section content
+ */
+function forEachContent(source, callback) {
+    if (source.type === 'section') {
+        callback(source.section, fs.readFileSync(source.path, 'utf-8'), parseSectionContent);
+    } else {
+        // incremental snapshots only add the entries that changed, the rest is in earlier snapshots
+        const archive = backupFormat.readArchive(source.path, source.section);
+        for (const [section, content] of Object.entries(backupFormat.getStoredContents(archive))) {
+            callback(section, content, parseEntries, source.name);
+        }
+    }
+}
+
+function indexSource(data, source) {
+    dropSource(data, source.key);
+    const fingerprint = getFingerprint(source.path);
+    let encrypted = false;
+
+    forEachContent(source, (section, content, parse, backupName) => {
+        // encrypted content stays out of the index on disk, search decrypts it in memory
+        if (encryption.isEncryptedContent(content)) {
+            encrypted = true;
+            return;
+        }
+        parse(content).forEach(logEntry => addDocument(data, createDocument(source.key, section, logEntry, backupName)));
+    });
+
+    data.sources[source.key] = encrypted ? { fingerprint, encrypted } : { fingerprint };
+}
+
+/**
+ * Builds documents for encrypted sources that are unlocked in this session
+ * @param {Object} data - The index
+ * @param {Array|null} sections - Sections in scope, null for all
+ * @returns {Array} - Documents, never stored
+ */
+function getEncryptedDocuments(data, sections) {
+    const documents = [];
+
+    for (const source of listSources()) {
+        if (!data.sources[source.key]?.encrypted) continue;
+        if (source.type === 'section' && sections && !sections.includes(source.section)) continue;
+
+        try {
+            forEachContent(source, (section, content, parse, backupName) => {
+                const header = encryption.getHeader(content);
+                if (!header || encryption.isLocked(header)) return;
+                parse(encryption.decryptContent(content))
+                    .forEach(logEntry => documents.push(createDocument(source.key, section, logEntry, backupName)));
+            });
+        } catch (err) {
+            console.error(chalk.red(`error reading ${source.key}:`), err.message);
+        }
+    }
+    return documents;
+}
+
+function applyJournalOp(data, op) {
+    const source = data.sources[op.source];
+    // only trust the journal if the index was current for this file before the write
+    if (!source || source.fingerprint !== op.previousFingerprint) {
+        return;
+    }
+    addDocument(data, op.doc);
+    source.fingerprint = op.fingerprint;
+}
+
+function readSnapshot() {
+    if (fs.existsSync(getSnapshotPath())) {
+        const snapshot = JSON.parse(fs.readFileSync(getSnapshotPath(), 'utf-8'));
+        if (snapshot.version === indexVersion) {
+            return snapshot;
+        }
+    }
+    return createEmptyIndex();
+}
+
+/**
+ * Applies the journal lines appended since it was last read
+ * @param {Object} state - The loaded index, its journal offset and length are moved on
+ * @param {number} journalSize - Current size of the journal in bytes
+ */
+function readJournal(state, journalSize) {
+    if (journalSize <= state.journalOffset) {
+        return;
+    }
+
+    const buffer = Buffer.alloc(journalSize - state.journalOffset);
+    const fd = fs.openSync(getJournalPath(), 'r');
+    try {
+        fs.readSync(fd, buffer, 0, buffer.length, state.journalOffset);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // a line without its newline is still being written, or torn, it is left for the next read
+    const end = buffer.lastIndexOf('\n');
+    if (end === -1) {
+        return;
+    }
+    state.journalOffset += end + 1;
+
+    buffer.toString('utf-8', 0, end)
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .forEach(line => {
+            state.journalLength++;
+            try {
+                applyJournalOp(state.data, JSON.parse(line));
+            } catch (err) {
+                // a torn line is dropped, the fingerprint check reindexes that file
+            }
+        });
+}
+
+function loadIndex() {
+    const snapshotIdentity = getFileIdentity(getSnapshotPath());
+
+    try {
+        const journalSize = fs.existsSync(getJournalPath()) ? fs.statSync(getJournalPath()).size : 0;
+        const stale = !loaded
+            || loaded.indexDir !== config.indexDir
+            || loaded.snapshotIdentity !== snapshotIdentity
+            || journalSize < loaded.journalOffset;
+
+        if (stale) {
+            loaded = { indexDir: config.indexDir, snapshotIdentity, data: readSnapshot(), journalOffset: 0, journalLength: 0 };
+        }
+        readJournal(loaded, journalSize);
+    } catch (err) {
+        console.error(chalk.red('error loading search index, rebuilding:'), err.message);
+        loaded = { indexDir: config.indexDir, snapshotIdentity, data: createEmptyIndex(), journalOffset: 0, journalLength: 0 };
+    }
+
+    return loaded;
+}
+
+function saveSnapshot(data) {
+    fs.mkdirSync(config.indexDir, { recursive: true });
+    const tempPath = `${getSnapshotPath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, getSnapshotPath());
+    fs.writeFileSync(getJournalPath(), '');
+
+    loaded.snapshotIdentity = getFileIdentity(getSnapshotPath());
+    loaded.journalOffset = 0;
+    loaded.journalLength = 0;
+}
+
+/**
+ * Brings the index up to date with every section and backup file
+ * @returns {Object} - The current index
+ */
+function refreshIndex() {
+    const { data, journalLength } = loadIndex();
+    const sources = listSources();
+    let changed = journalLength >= journalCompactionThreshold;
+
+    for (const source of sources) {
+        const known = data.sources[source.key];
+        if (!known || known.fingerprint !== getFingerprint(source.path)) {
+            try {
+                indexSource(data, source);
+            } catch (err) {
+                console.error(chalk.red(`error indexing ${source.key}:`), err.message);
+                dropSource(data, source.key);
+            }
+            changed = true;
+        }
+    }
+
+    const currentKeys = new Set(sources.map(s => s.key));
+    for (const key of Object.keys(data.sources)) {
+        if (!currentKeys.has(key)) {
+            dropSource(data, key);
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        try {
+            saveSnapshot(data);
+        } catch (err) {
+            console.error(chalk.red('error saving search index:'), err.message);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Rebuilds the whole index from scratch
+ * @returns {Object} - Counts of indexed entries, sections and backups
+ */
+function rebuildIndex() {
+    fs.rmSync(config.indexDir, { recursive: true, force: true });
+    loaded = null;
+    const data = refreshIndex();
+    const sources = Object.keys(data.sources);
+
+    return {
+        entries: Object.keys(data.documents).length,
+        sections: sources.filter(key => key.startsWith('section:')).length,
+        backups: sources.filter(key => key.startsWith('backup:')).length
+    };
+}
+
+/**
+ * Records an appended entry in the journal, called by saveLog
+ * @param {string} section - The section written to
+ * @param {Object} logEntry - The entry that was appended
+ * @param {string|null} previousFingerprint - Fingerprint of the section file before the append
+ */
+function recordEntry(section, logEntry, previousFingerprint) {
+    try {
+        if (!fs.existsSync(getSnapshotPath())) {
+            return;
+        }
+        const sourceKey = `section:${section}`;
+        const op = {
+            source: sourceKey,
+            doc: createDocument(sourceKey, section, logEntry),
+            previousFingerprint,
+            fingerprint: getFingerprint(path.join(config.sectionsDir, `${section}${config.sectionExtension}`))
+        };
+        fs.appendFileSync(getJournalPath(), JSON.stringify(op) + '\n');
+    } catch (err) {
+        // the index catches up on the next search
+    }
+}
+
+function mergeSorted(a, b) {
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        const next = j >= b.length || (i < a.length && a[i] <= b[j]) ? a[i++] : b[j++];
+        if (merged[merged.length - 1] !== next) merged.push(next);
+    }
+    return merged;
+}
+
+function getTermLookup(data) {
+    let lookup = termLookups.get(data);
+    if (!lookup) {
+        lookup = { suffixes: [], pending: new Set(Object.keys(data.terms)) };
+        termLookups.set(data, lookup);
+    }
+
+    if (lookup.pending.size > 0) {
+        const added = [];
+        lookup.pending.forEach(term => {
+            if (term.startsWith('tag:')) return;
+            for (let i = 0; i < term.length; i++) {
+                added.push(`${term.slice(i)}\0${term}`);
+            }
+        });
+        lookup.suffixes = mergeSorted(lookup.suffixes, added.sort());
+        lookup.pending.clear();
+    }
+    return lookup;
+}
+
+/**
+ * Finds the indexed terms that contain a token
+ * @param {Object} data - The index
+ * @param {string} token - A token from tokenize
+ * @returns {Array} - The terms, tags left out
+ */
+function findTerms(data, token) {
+    const { suffixes } = getTermLookup(data);
+    let low = 0;
+    let high = suffixes.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (suffixes[middle] < token) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    const terms = new Set();
+    for (let i = low; i < suffixes.length && suffixes[i].startsWith(token); i++) {
+        const term = suffixes[i].slice(suffixes[i].indexOf('\0') + 1);
+        // removed terms stay in the list until the index is loaded again
+        if (getPostings(data, term)) terms.add(term);
+    }
+    return [...terms];
+}
+
+function unionOf(sets) {
+    const result = new Set();
+    sets.forEach(set => set.forEach(key => result.add(key)));
+    return result;
+}
+
+function intersect(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+    return new Set([...a].filter(key => b.has(key)));
+}
+
+/**
+ * Narrows a query to candidate documents using the inverted index
+ * @param {Object} node - The query syntax tree
+ * @param {Object} data - The index
+ * @returns {Set|null} - Candidate keys, or null when every document is a candidate
+ */
+function getCandidates(node, data) {
+    switch (node.type) {
+        case 'and':
+            return intersect(getCandidates(node.left, data), getCandidates(node.right, data));
+        case 'or': {
+            const left = getCandidates(node.left, data);
+            const right = getCandidates(node.right, data);
+            return left === null || right === null ? null : unionOf([left, right]);
+        }
+        case 'term': {
+            const tokens = tokenize(node.value);
+            if (tokens.length === 0) return null;
+            return tokens
+                .map(token => unionOf(findTerms(data, token).map(t => data.terms[t])))
+                .reduce(intersect, null);
+        }
+        case 'field':
+            if (node.field === 'tag') {
+                return new Set(getPostings(data, `tag:${node.value}`) || []);
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Searches sections and optionally backups through the index
+ * @param {Object} compiled - A query from query.compileQuery
+ * @param {Object} options - sections (array, null for all) and includeBackups
+ * @returns {Array} - Matching entries with section (and backup name for backup matches), oldest first
+ */
+function search(compiled, options = {}) {
+    const data = refreshIndex();
+    const sections = options.sections || null;
+    const candidates = getCandidates(compiled.root, data);
+    const keys = candidates === null ? Object.keys(data.documents) : [...candidates];
+
+    const documents = [...keys.map(key => data.documents[key]), ...getEncryptedDocuments(data, sections)];
+    const matches = documents
+        .filter(doc => doc && (!sections || sections.includes(doc.section)))
+        .filter(doc => (doc.backup ? options.includeBackups : true))
+        .filter(doc => compiled.test(doc, doc.section));
+
+    // backups repeat live entries, only keep versions that no longer exist anywhere else
+    const identify = doc => `${doc.timestamp}|${doc.text}`;
+    const seen = new Set([...Object.values(data.documents), ...documents]
+        .filter(doc => doc && !doc.backup).map(identify));
+
+    return matches
+        .filter(doc => {
+            if (!doc.backup) return true;
+            const identity = identify(doc);
+            if (seen.has(identity)) return false;
+            seen.add(identity);
+            return true;
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map(doc => {
+            const result = {
+                id: doc.id,
+                timestamp: doc.timestamp,
+                text: doc.text,
+                tags: doc.tags,
+                fields: doc.fields || {},
+                section: doc.section
+            };
+            if (doc.backup) result.backup = doc.backup;
+            return result;
+        });
+}
+
+module.exports = {
+    tokenize,
+    getFingerprint,
+    refreshIndex,
+    rebuildIndex,
+    recordEntry,
+    search
+};
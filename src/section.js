@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const entry = require('./entry');
+const backup = require('./backup');
+const migrate = require('./migrate');
+const encryption = require('./encryption');
+const searchIndex = require('./searchIndex');
+const history = require('./history');
+
+/**
+ * Section management for thought-cli
+ * Rename, delete, archive, merge and describe sections. Every operation returns
+ * { error } with a readable message instead of throwing.
+ *
+ * Sections nest with path-style names (work/projectA), stored as subdirectories.
+ */
+
+// only names in the section list count, so a name like ../../x never turns into a path outside the data directory
+function sectionExists(name) {
+    return typeof name === 'string' && logger.getSections().includes(name);
+}
+
+/**
+ * Checks a new section name and returns its sanitized form
+ * @param {string} name - The name as typed by the user
+ * @returns {Object} - { name } or { error }
+ */
+function validateNewName(name) {
+    const sanitized = logger.sanitizeSectionName((name || '').trim());
+    if (sanitized === '') {
+        return { error: 'section name cannot be empty' };
+    }
+    if (sanitized.split('/').some(part => part.length > config.maxSectionNameLength)) {
+        return { error: `section name too long (max ${config.maxSectionNameLength} chars per level)` };
+    }
+    if (sectionExists(sanitized)) {
+        return { error: `section ${sanitized} already exists` };
+    }
+    return { name: sanitized };
+}
+
+function checkExisting(name, action) {
+    if (!sectionExists(name)) {
+        return { error: `no section named ${name}` };
+    }
+    if (action && name === config.defaultSection) {
+        return { error: `the default section can't be ${action}, change defaultSection with /config first` };
+    }
+    return null;
+}
+
+/**
+ * Returns the parent of a nested section name
+ * @param {string} name - e.g. "work/projectA"
+ * @returns {string|null} - e.g. "work", or null for a top level section
+ */
+function getParent(name) {
+    const slash = name.lastIndexOf('/');
+    return slash === -1 ? null : name.substring(0, slash);
+}
+
+/**
+ * Lists a section and every section nested below it
+ * @param {string} name - Section name
+ * @param {Array} sections - All section names, loaded when not given
+ * @returns {Array} - Section names in the subtree
+ */
+function getSubtree(name, sections = logger.getSections()) {
+    return sections.filter(s => s === name || s.startsWith(`${name}/`));
+}
+
+/**
+ * Resolves a /cd style path against the current section
+ * ".." goes up a level, a leading / starts from the top
+ * @param {string} current - Current section name, or '' at the top
+ * @param {string} target - The path typed by the user
+ * @returns {string} - The resolved name, '' for the top
+ */
+function resolvePath(current, target) {
+    const parts = target.startsWith('/') || !current ? [] : current.split('/');
+    for (const part of target.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+/**
+ * Builds a tree out of path-style section names
+ * Levels that only hold nested sections appear as nodes without a section of their own
+ * @param {Array} sections - Section names
+ * @returns {Array} - Top level nodes { name, label, isSection, children }
+ */
+function buildTree(sections) {
+    const root = { children: [] };
+    const nodes = new Map();
+
+    for (const name of [...sections].sort()) {
+        let parent = root;
+        const parts = name.split('/');
+        parts.forEach((part, index) => {
+            const nodeName = parts.slice(0, index + 1).join('/');
+            if (!nodes.has(nodeName)) {
+                const node = { name: nodeName, label: part, isSection: false, children: [] };
+                nodes.set(nodeName, node);
+                parent.children.push(node);
+            }
+            parent = nodes.get(nodeName);
+        });
+        parent.isSection = true;
+    }
+    return root.children;
+}
+
+// removes directories left empty once the last nested section in them is gone
+function pruneEmptyDirectories(name) {
+    let dir = path.dirname(logger.getLogFilePath(name));
+    while (path.resolve(dir) !== path.resolve(config.sectionsDir) && fs.existsSync(dir)
+        && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Tells whether a section is archived
+ * @param {string} name - Section name
+ * @param {Object} metadata - Section metadata, loaded when not given
+ * @returns {boolean} - Whether the section is hidden from the menu
+ */
+function isArchived(name, metadata = logger.getSectionMetadata()) {
+    return Boolean(metadata[name]?.archivedAt);
+}
+
+/**
+ * Lists sections split into the ones shown in the menu and the archived ones
+ * @returns {Object} - { active, archived } arrays of section names
+ */
+function listSections() {
+    const metadata = logger.getSectionMetadata();
+    const sections = logger.getSections();
+    return {
+        active: sections.filter(name => !isArchived(name, metadata)),
+        archived: sections.filter(name => isArchived(name, metadata))
+    };
+}
+
+/**
+ * Renames a section along with its metadata and backups, nested sections move with it
+ * @param {string} name - Current section name
+ * @param {string} newName - New section name, may move the section to another level
+ * @returns {Object} - { name, backups } with the sanitized new name and renamed backup count, or { error }
+ */
+function renameSection(name, newName) {
+    const problem = checkExisting(name, 'renamed');
+    if (problem) return problem;
+
+    const validated = validateNewName(newName);
+    if (validated.error) return validated;
+    if (validated.name.startsWith(`${name}/`)) {
+        return { error: `cannot move ${name} inside itself` };
+    }
+
+    const moves = getSubtree(name).map(from => ({ from, to: validated.name + from.substring(name.length) }));
+    if (moves.some(move => move.from === config.defaultSection)) {
+        return { error: `${name} holds the default section, change defaultSection with /config first` };
+    }
+    const taken = moves.find(move => sectionExists(move.to));
+    if (taken) {
+        return { error: `section ${taken.to} already exists` };
+    }
+
+    try {
+        const metadata = logger.getSectionMetadata();
+        let backups = 0;
+
+        for (const move of moves) {
+            const target = logger.getLogFilePath(move.to);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.renameSync(logger.getLogFilePath(move.from), target);
+
+            if (metadata[move.from]) {
+                metadata[move.to] = metadata[move.from];
+                delete metadata[move.from];
+            }
+            backups += backup.renameSectionBackups(move.from, move.to);
+        }
+
+        logger.saveSectionMetadata(metadata);
+        moves.forEach(move => pruneEmptyDirectories(move.from));
+        history.record(`rename ${name} to ${validated.name}`);
+        return { name: validated.name, backups };
+    } catch (err) {
+        return { error: `could not rename section ${name}: ${err.message}` };
+    }
+}
+
+function removeSection(name) {
+    fs.unlinkSync(logger.getLogFilePath(name));
+    pruneEmptyDirectories(name);
+
+    const metadata = logger.getSectionMetadata();
+    if (metadata[name]) {
+        delete metadata[name];
+        logger.saveSectionMetadata(metadata);
+    }
+}
+
+/**
+ * Deletes a section after backing it up
+ * @param {string} name - Section name
+ * @returns {Object} - { backupPath } or { error }
+ */
+function deleteSection(name) {
+    const problem = checkExisting(name, 'deleted');
+    if (problem) return problem;
+
+    const backupPath = backup.backupSection(name);
+    if (!backupPath) {
+        return { error: `backup of ${name} failed, section not deleted` };
+    }
+
+    try {
+        removeSection(name);
+        history.record(`delete section ${name}`);
+        return { backupPath };
+    } catch (err) {
+        return { error: `could not delete section ${name}: ${err.message}` };
+    }
+}
+
+/**
+ * Archives or unarchives a section, archived sections are hidden from the menu but still searchable
+ * @param {string} name - Section name
+ * @param {boolean} archived - Whether the section should be archived
+ * @returns {Object} - { archived } or { error }
+ */
+function setArchived(name, archived) {
+    const problem = checkExisting(name, archived ? 'archived' : null);
+    if (problem) return problem;
+
+    const metadata = logger.getSectionMetadata();
+    if (isArchived(name, metadata) === archived) {
+        return { error: `section ${name} is ${archived ? 'already' : 'not'} archived` };
+    }
+
+    const sectionMetadata = { ...metadata[name] };
+    if (archived) {
+        sectionMetadata.archivedAt = new Date().toISOString();
+    } else {
+        delete sectionMetadata.archivedAt;
+    }
+    metadata[name] = sectionMetadata;
+    logger.saveSectionMetadata(metadata);
+    history.record(`${archived ? 'archive' : 'unarchive'} ${name}`);
+    return { archived };
+}
+
+/**
+ * Changes the description of a section
+ * @param {string} name - Section name
+ * @param {string} description - New description, empty to remove it
+ * @returns {Object} - { description } or { error }
+ */
+function setDescription(name, description) {
+    const problem = checkExisting(name, null);
+    if (problem) return problem;
+
+    const trimmed = (description || '').trim();
+    if (trimmed.length > config.maxDescriptionLength) {
+        return { error: `description too long (max ${config.maxDescriptionLength} chars)` };
+    }
+
+    const metadata = logger.getSectionMetadata();
+    metadata[name] = { ...metadata[name], description: trimmed };
+    logger.saveSectionMetadata(metadata);
+    history.record(`describe ${name}`);
+    return { description: trimmed };
+}
+
+/**
+ * Moves every entry of one section into another in chronological order, then deletes the source
+ * Both sections are backed up first
+ * @param {string} source - Section to merge and remove
+ * @param {string} target - Section that receives the entries
+ * @returns {Object} - { added, total } or { error }
+ */
+function mergeSections(source, target) {
+    if (source === target) {
+        return { error: 'cannot merge a section into itself' };
+    }
+    const problem = checkExisting(source, 'merged away') || checkExisting(target, null);
+    if (problem) return problem;
+
+    const locked = [source, target].find(name => logger.isSectionLocked(name));
+    if (locked) {
+        return { error: `section ${locked} is locked, open it with its passphrase first` };
+    }
+    if (logger.isSectionEncrypted(source) && !logger.isSectionEncrypted(target)) {
+        return { error: `${source} is encrypted, encrypt ${target} before merging into it` };
+    }
+
+    if (!backup.backupSection(source) || !backup.backupSection(target)) {
+        return { error: 'backup failed, sections not merged' };
+    }
+
+    try {
+        const merged = entry.mergeEntries(logger.readAllLogs(target), logger.readAllLogs(source));
+
+        logger.writeAllLogs(target, merged.entries);
+        removeSection(source);
+        history.record(`merge ${source} into ${target}`);
+        return { added: merged.added, total: merged.entries.length };
+    } catch (err) {
+        return { error: `could not merge ${source} into ${target}: ${err.message}` };
+    }
+}
+
+/**
+ * Encrypts a section and the copies of it in existing backups
+ * @param {string} name - Section name
+ * @param {Object} header - Encryption header from encryption.createHeader, shared when encrypting several sections
+ * @returns {Object} - { backups, leftovers, inHistory } with converted backup counts, plain copies left behind
+ *   and whether plain versions stay in the git history, or { error }
+ */
+function encryptSection(name, header) {
+    const problem = checkExisting(name, null);
+    if (problem) return problem;
+    if (logger.isSectionEncrypted(name)) {
+        return { error: `section ${name} is already encrypted` };
+    }
+
+    try {
+        const content = fs.readFileSync(logger.getLogFilePath(name), 'utf-8');
+        logger.writeSectionContent(name, encryption.encryptContent(content, header));
+
+        const backups = backup.convertSectionBackups(name, backupContent => (
+            encryption.isEncryptedContent(backupContent)
+                ? backupContent
+                : encryption.encryptContent(migrate.toStructuredContent(backupContent), header)
+        ));
+        // drop the plain text of this section from the index right away
+        searchIndex.refreshIndex();
+        history.record(`encrypt ${name}`);
+
+        const migrated = path.join(config.sectionsDir, `${name}${config.legacySectionExtension}.migrated`);
+        return { backups, leftovers: fs.existsSync(migrated) ? [migrated] : [], inHistory: history.getStatus().recording };
+    } catch (err) {
+        return { error: `could not encrypt section ${name}: ${err.message}` };
+    }
+}
+
+/**
+ * Decrypts a section and the copies of it in existing backups, the section must be unlocked
+ * @param {string} name - Section name
+ * @returns {Object} - { backups } with converted backup counts, or { error }
+ */
+function decryptSection(name) {
+    const problem = checkExisting(name, null);
+    if (problem) return problem;
+    if (!logger.isSectionEncrypted(name)) {
+        return { error: `section ${name} is not encrypted` };
+    }
+    if (logger.isSectionLocked(name)) {
+        return { error: `section ${name} is locked, open it with its passphrase first` };
+    }
+
+    try {
+        const content = fs.readFileSync(logger.getLogFilePath(name), 'utf-8');
+        logger.writeSectionContent(name, encryption.decryptContent(content));
+
+        // backups sealed with a passphrase that isn't known this session fail and stay encrypted
+        const backups = backup.convertSectionBackups(name, backupContent => encryption.decryptContent(backupContent));
+        history.record(`decrypt ${name}`);
+        return { backups };
+    } catch (err) {
+        return { error: `could not decrypt section ${name}: ${err.message}` };
+    }
+}
+
+/**
+ * Drops the lines of an encrypted section that can't be decrypted, the section must be unlocked
+ * A damaged or torn line breaks the chain, so everything from it on goes. The whole file is
+ * backed up first so the dropped lines can still be looked at.
+ * @param {string} name - Section name
+ * @returns {Object} - { kept, dropped, backupPath } with entry and line counts, or { error }
+ */
+function repairSection(name) {
+    const problem = checkExisting(name, null);
+    if (problem) return problem;
+    if (!logger.isSectionEncrypted(name)) {
+        return { error: `section ${name} is not encrypted` };
+    }
+    if (logger.isSectionLocked(name)) {
+        return { error: `section ${name} is locked, open it with its passphrase first` };
+    }
+
+    try {
+        const readable = encryption.decryptReadable(fs.readFileSync(logger.getLogFilePath(name), 'utf-8'));
+        if (readable.unreadable === 0) {
+            return { error: `every line of section ${name} can be read, nothing to repair` };
+        }
+
+        const backupPath = backup.backupSection(name, false, { quiet: true });
+        const entries = logger.parseEntries(readable.content);
+        logger.writeAllLogs(name, entries);
+        history.record(`repair ${name}`);
+        return { kept: entries.length, dropped: readable.unreadable, backupPath };
+    } catch (err) {
+        return { error: `could not repair section ${name}: ${err.message}` };
+    }
+}
+
+/**
+ * Rolls a section back to how it was at a revision of the history
+ * @param {string} name - Section name
+ * @param {string} rev - Revision from history.findRevision or history.getTimeline
+ * @returns {Object} - { entries } with the entry count after the rollback, or { error }
+ */
+function revertSection(name, rev) {
+    const problem = checkExisting(name, null);
+    if (problem) return problem;
+
+    try {
+        const content = history.readSectionAt(name, rev);
+        if (content === null) {
+            return { error: `section ${name} did not exist at ${rev}` };
+        }
+        const header = encryption.getHeader(content);
+        if (header && encryption.isLocked(header)) {
+            return { error: `${name} was encrypted with a passphrase not known this session at ${rev}` };
+        }
+
+        logger.writeSectionContent(name, content);
+        searchIndex.refreshIndex();
+        history.record(`revert ${name} to ${rev}`);
+        return { entries: logger.parseEntries(encryption.decryptContent(content)).length };
+    } catch (err) {
+        return { error: `could not revert ${name}: ${err.message}` };
+    }
+}
+
+module.exports = {
+    sectionExists,
+    validateNewName,
+    getParent,
+    getSubtree,
+    resolvePath,
+    buildTree,
+    isArchived,
+    listSections,
+    renameSection,
+    deleteSection,
+    setArchived,
+    setDescription,
+    mergeSections,
+    encryptSection,
+    decryptSection,
+    repairSection,
+    revertSection
+};
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const entry = require('./entry');
+const query = require('./query');
+const searchIndex = require('./searchIndex');
+const sectionManager = require('./section');
+const backup = require('./backup');
+const scheduler = require('./scheduler');
+
+/**
+ * Local JSON API for thought-cli, started with `node script.js serve`
+ * Lets editor extensions, bookmarklets and scripts log without a terminal. It listens on
+ * 127.0.0.1 unless told otherwise and every request needs the token kept in the data
+ * directory as "Authorization: Bearer <token>".
+ *
+ * Handlers use the same functions as the app and return { status, body }, failures are
+ * { error } bodies with a matching status code, nothing is printed per request.
+ *
+ *   GET    /sections                           list sections
+ *   POST   /sections                           create one, { name, description }
+ *   PATCH  /sections/<name>                    change its description, { description }
+ *   GET    /sections/<name>/entries?last=n     list entries, oldest first
+ *   POST   /sections/<name>/entries            add one, { text }
+ *   PATCH  /sections/<name>/entries/<id>       edit one, { text }
+ *   DELETE /sections/<name>/entries/<id>       delete one
+ *   GET    /search?q=&section=&tree=&all=&backups=
+ *   GET    /backups                            list backups
+ *   POST   /backups                            back up a section, { section }, or everything
+ */
+
+const maxBodySize = 1024 * 1024;
+const tokenFileName = 'api-token';
+
+function getTokenFilePath() {
+    return path.join(config.dataDir, tokenFileName);
+}
+
+/**
+ * Reads the API token, creating one the first time
+ * THOUGHT_API_TOKEN overrides the token file
+ * @returns {string} - The token
+ */
+function getToken() {
+    if (process.env.THOUGHT_API_TOKEN) {
+        return process.env.THOUGHT_API_TOKEN;
+    }
+    const tokenFile = getTokenFilePath();
+    if (fs.existsSync(tokenFile)) {
+        const saved = fs.readFileSync(tokenFile, 'utf-8').trim();
+        if (saved !== '') return saved;
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    fs.writeFileSync(tokenFile, token + '\n', { mode: 0o600 });
+    return token;
+}
+
+function respond(status, body) {
+    return { status, body };
+}
+
+function fail(status, message) {
+    return { status, body: { error: message } };
+}
+
+/**
+ * Compares a token from a request with the real one in constant time
+ * @param {string} given - Token sent by the client
+ * @param {string} token - The API token
+ * @returns {boolean} - Whether they match
+ */
+function tokensMatch(given, token) {
+    const givenBytes = Buffer.from(given || '');
+    const expected = Buffer.from(token);
+    return givenBytes.length === expected.length && crypto.timingSafeEqual(givenBytes, expected);
+}
+
+function isAuthorized(req, token) {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    return Boolean(match) && tokensMatch(match[1], token);
+}
+
+// entries go out as stored, one shape for every endpoint
+function toJson(logEntry) {
+    return {
+        id: logEntry.id,
+        timestamp: logEntry.timestamp,
+        text: logEntry.text,
+        tags: logEntry.tags,
+        fields: logEntry.fields
+    };
+}
+
+// 404 for unknown sections, 423 for encrypted ones that no known passphrase opens
+function checkSection(name) {
+    if (!sectionManager.sectionExists(name)) {
+        return fail(404, `no section named ${name}`);
+    }
+    if (logger.isSectionLocked(name)) {
+        return fail(423, `section ${name} is encrypted, start the server with THOUGHT_PASSPHRASE to open it`);
+    }
+    return null;
+}
+
+function requireText(body) {
+    if (!body || typeof body.text !== 'string' || body.text.trim() === '') {
+        return fail(400, 'text must be a non-empty string');
+    }
+    return null;
+}
+
+function checkDescription(description) {
+    if (description !== undefined && typeof description !== 'string') {
+        return fail(400, 'description must be a string');
+    }
+    if ((description || '').trim().length > config.maxDescriptionLength) {
+        return fail(400, `description too long (max ${config.maxDescriptionLength} chars)`);
+    }
+    return null;
+}
+
+function listSections() {
+    const metadata = logger.getSectionMetadata();
+    const sections = logger.getSections().map(name => {
+        const locked = logger.isSectionLocked(name);
+        return {
+            name,
+            description: metadata[name]?.description || '',
+            archived: sectionManager.isArchived(name, metadata),
+            encrypted: logger.isSectionEncrypted(name),
+            locked,
+            entries: locked ? null : logger.loadAllLogs(name).length
+        };
+    });
+    return respond(200, { sections });
+}
+
+function createSection(params, body) {
+    if (!body || typeof body.name !== 'string') {
+        return fail(400, 'name must be a string');
+    }
+    const problem = checkDescription(body.description);
+    if (problem) return problem;
+
+    const name = body.name.trim();
+    // the app quietly replaces odd characters, a client is told instead
+    if (name !== logger.sanitizeSectionName(name)) {
+        return fail(400, 'invalid section name, use letters, digits, - and _ with / between nested sections');
+    }
+    if (sectionManager.sectionExists(name)) {
+        return fail(409, `section ${name} already exists`);
+    }
+    const validated = sectionManager.validateNewName(name);
+    if (validated.error) {
+        return fail(400, validated.error);
+    }
+
+    const description = (body.description || '').trim();
+    logger.createSection(validated.name, description);
+    return respond(201, { name: validated.name, description });
+}
+
+function describeSection(params, body) {
+    const problem = checkSection(params.section) || checkDescription(body && body.description);
+    if (problem) return problem;
+    if (!body || body.description === undefined) {
+        return fail(400, 'description must be a string');
+    }
+
+    const result = sectionManager.setDescription(params.section, body.description);
+    return result.error ? fail(400, result.error) : respond(200, { name: params.section, description: result.description });
+}
+
+function listEntries(params, body, searchParams) {
+    const problem = checkSection(params.section);
+    if (problem) return problem;
+
+    let entries = logger.loadAllLogs(params.section);
+    const total = entries.length;
+    if (searchParams.has('last')) {
+        const last = Number(searchParams.get('last'));
+        if (!Number.isInteger(last) || last < 1) {
+            return fail(400, 'last must be a positive whole number');
+        }
+        entries = entries.slice(-last);
+    }
+    return respond(200, { section: params.section, total, entries: entries.map(toJson) });
+}
+
+function addEntry(params, body) {
+    const problem = checkSection(params.section) || requireText(body);
+    if (problem) return problem;
+
+    const logEntry = entry.createEntry(body.text.trim());
+    const result = { section: params.section, entry: toJson(logEntry) };
+    const needsRotation = logger.saveLog(params.section, logEntry);
+    if (needsRotation === null) {
+        return fail(500, `could not save the entry to ${params.section}`);
+    }
+    if (needsRotation) {
+        try {
+            backup.backupSection(params.section, true, { quiet: true });
+            logger.saveLog(params.section, entry.createEntry('[SYSTEM] Log file rotated, previous logs backed up'));
+        } catch (err) {
+            // the entry is saved either way
+            result.warning = `log rotation failed: ${err.message}`;
+        }
+    }
+    scheduler.recordEntry();
+    return respond(201, result);
+}
+
+function findEntry(params) {
+    const problem = checkSection(params.section);
+    if (problem) return { problem };
+    const found = logger.loadAllLogs(params.section).find(logEntry => logEntry.id === params.id);
+    return found ? { found } : { problem: fail(404, `no entry ${params.id} in ${params.section}`) };
+}
+
+function editEntry(params, body) {
+    const { found, problem } = findEntry(params);
+    if (problem) return problem;
+    const invalid = requireText(body);
+    if (invalid) return invalid;
+
+    const edited = entry.editEntry(found, body.text.trim());
+    if (!logger.updateLog(params.section, edited)) {
+        return fail(500, `could not save the edit to ${params.section}`);
+    }
+    return respond(200, { section: params.section, entry: toJson(edited) });
+}
+
+function deleteEntry(params) {
+    const { problem } = findEntry(params);
+    if (problem) return problem;
+
+    const removed = logger.deleteLog(params.section, params.id);
+    if (!removed) {
+        return fail(500, `could not delete from ${params.section}`);
+    }
+    return respond(200, { section: params.section, entry: toJson(removed.entry) });
+}
+
+function search(params, body, searchParams) {
+    const queryString = (searchParams.get('q') || '').trim();
+    if (queryString === '') {
+        return fail(400, 'q is required');
+    }
+
+    let compiled;
+    try {
+        compiled = query.compileQuery(queryString);
+    } catch (err) {
+        return fail(400, `invalid search: ${err.message}`);
+    }
+
+    const flag = (name) => ['true', '1', ''].includes(searchParams.get(name));
+    let sections = null;
+    if (!flag('all')) {
+        const name = searchParams.get('section') || config.defaultSection;
+        if (flag('tree')) {
+            sections = sectionManager.getSubtree(name);
+            if (sections.length === 0) {
+                return fail(404, `no section named ${name}`);
+            }
+        } else {
+            const problem = checkSection(name);
+            if (problem) return problem;
+            sections = [name];
+        }
+    }
+
+    const results = searchIndex.search(compiled, { sections, includeBackups: flag('backups') })
+        .map(result => ({ section: result.section, backup: result.backup || null, ...toJson(result) }));
+    return respond(200, { query: queryString, results });
+}
+
+function listBackups() {
+    const backups = backup.listAllBackups().map(backupFile => ({
+        name: backupFile.name,
+        type: backupFile.type,
+        section: backupFile.section,
+        timestamp: backupFile.timestamp,
+        modified: backupFile.date.toISOString(),
+        size: backupFile.size
+    }));
+    return respond(200, { backups });
+}
+
+function createBackup(params, body) {
+    const section = body ? body.section : undefined;
+    if (section !== undefined && typeof section !== 'string') {
+        return fail(400, 'section must be a string');
+    }
+    if (section) {
+        const problem = checkSection(section);
+        if (problem) return problem;
+    }
+
+    try {
+        const backupPath = section
+            ? backup.backupSection(section, false, { quiet: true })
+            : backup.createFullBackup({ quiet: true });
+        return respond(201, { type: section ? 'section' : 'full', name: path.basename(backupPath) });
+    } catch (err) {
+        return fail(500, `backup failed: ${err.message}`);
+    }
+}
+
+const routes = [
+    { method: 'GET', pattern: /^\/sections$/, handler: listSections },
+    { method: 'POST', pattern: /^\/sections$/, handler: createSection },
+    { method: 'GET', pattern: /^\/sections\/(?<section>.+)\/entries$/, handler: listEntries },
+    { method: 'POST', pattern: /^\/sections\/(?<section>.+)\/entries$/, handler: addEntry },
+    { method: 'PATCH', pattern: /^\/sections\/(?<section>.+)\/entries\/(?<id>[^/]+)$/, handler: editEntry },
+    { method: 'DELETE', pattern: /^\/sections\/(?<section>.+)\/entries\/(?<id>[^/]+)$/, handler: deleteEntry },
+    { method: 'PATCH', pattern: /^\/sections\/(?<section>.+)$/, handler: describeSection },
+    { method: 'GET', pattern: /^\/search$/, handler: search },
+    { method: 'GET', pattern: /^\/backups$/, handler: listBackups },
+    { method: 'POST', pattern: /^\/backups$/, handler: createBackup }
+];
+
+/**
+ * Finds the handler for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {Object} - { handler, params }, or { status } 404 or 405 when nothing matches
+ */
+function matchRoute(method, pathname) {
+    const matching = routes
+        .map(route => ({ route, match: pathname.match(route.pattern) }))
+        .filter(candidate => candidate.match);
+    if (matching.length === 0) {
+        return { status: 404 };
+    }
+
+    const found = matching.find(candidate => candidate.route.method === method);
+    if (!found) {
+        return { status: 405, allowed: matching.map(candidate => candidate.route.method) };
+    }
+
+    const params = {};
+    for (const [key, value] of Object.entries(found.match.groups || {})) {
+        params[key] = decodeURIComponent(value);
+    }
+    return { handler: found.route.handler, params };
+}
+
+function readBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBodySize && !failed) {
+            failed = true;
+            callback(fail(413, `request body over ${maxBodySize} bytes`));
+        }
+        if (!failed) chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (failed) return;
+        const text = Buffer.concat(chunks).toString('utf-8');
+        if (text.trim() === '') {
+            callback(null, null);
+            return;
+        }
+        try {
+            callback(null, JSON.parse(text));
+        } catch (err) {
+            callback(fail(400, `body is not valid JSON: ${err.message}`));
+        }
+    });
+}
+
+function send(res, response, headers = {}) {
+    res.writeHead(response.status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(response.body) + '\n');
+}
+
+/**
+ * Creates the API server
+ * @param {string} token - Token every request has to carry
+ * @returns {http.Server} - The server, not listening yet
+ */
+function createServer(token) {
+    // bookmarklets run on other origins, the token is what protects the API
+    const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE'
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            res.end();
+            return;
+        }
+        if (!isAuthorized(req, token)) {
+            send(res, fail(401, 'missing or wrong token, send "Authorization: Bearer <token>"'), cors);
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        let route;
+        try {
+            route = matchRoute(req.method, url.pathname);
+        } catch (err) {
+            send(res, fail(400, 'malformed URL'), cors);
+            return;
+        }
+        if (!route.handler) {
+            const headers = route.allowed ? { ...cors, Allow: route.allowed.join(', ') } : cors;
+            send(res, route.status === 405 ? fail(405, `${req.method} is not allowed here`) : fail(404, `no endpoint ${url.pathname}`), headers);
+            return;
+        }
+
+        readBody(req, (problem, body) => {
+            if (problem) {
+                send(res, problem, cors);
+                return;
+            }
+            let response;
+            try {
+                response = route.handler(route.params, body, url.searchParams);
+            } catch (err) {
+                response = fail(500, err.message);
+            }
+            send(res, response, cors);
+        });
+    });
+}
+
+module.exports = {
+    getToken,
+    getTokenFilePath,
+    tokensMatch,
+    createServer
+};
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const destinations = require('./destinations');
+
+/**
+ * Layered settings for thought-cli
+ * Built-in defaults from config.js, then the user config file, then THOUGHT_* env vars,
+ * then the --data-dir flag. Values are validated and written back into the config object.
+ */
+
+const schema = {
+    dataDir: { type: 'path', description: 'where sections, backups and exports are stored' },
+    defaultSection: { type: 'name', description: 'section used when none is given' },
+    maxSectionNameLength: { type: 'integer', min: 1, max: 200, description: 'longest allowed section name' },
+    maxDescriptionLength: { type: 'integer', min: 1, max: 10000, description: 'longest allowed section description' },
+    maxLogsToDisplay: { type: 'integer', min: 1, description: 'logs shown when the terminal size is unknown' },
+    updateInterval: { type: 'integer', min: 1000, description: 'clock refresh interval in milliseconds' },
+    logRotationSize: { type: 'integer', min: 1024, description: 'section file size in bytes that triggers rotation' },
+    maxBackupsPerSection: { type: 'integer', min: 1, description: 'backups kept per section' },
+    backupRetentionDays: { type: 'integer', min: 0, description: 'days to keep backups, 0 keeps them forever' },
+    snapshotsPerBase: { type: 'integer', min: 1, description: 'full backups per chain, the first holds everything and the rest only changes, 1 turns incremental backups off' },
+    compressBackups: { type: 'boolean', description: 'gzip backup files' },
+    autoBackupMinutes: { type: 'integer', min: 0, description: 'minutes between automatic full backups, 0 turns them off' },
+    backupEveryEntries: { type: 'integer', min: 0, description: 'new entries that trigger an automatic full backup, 0 turns it off' },
+    backupOnExit: { type: 'boolean', description: 'take a full backup when the app closes' },
+    backupDestinations: { type: 'destinations', description: 'places every backup is copied to, a JSON list of mirror, archive and http destinations' },
+    gitHistory: { type: 'boolean', description: 'record every change to sections as a commit in a git repository in the sections directory' }
+};
+
+const defaults = {};
+for (const key of Object.keys(schema)) {
+    defaults[key] = config[key];
+}
+
+const sources = {};
+let fileValues = {};
+
+function getConfigFilePath() {
+    if (process.env.THOUGHT_CONFIG_FILE) {
+        return path.resolve(process.env.THOUGHT_CONFIG_FILE);
+    }
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'thought-cli', 'config.json');
+}
+
+function toEnvName(key) {
+    return 'THOUGHT_' + key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
+
+function expandPath(value) {
+    return path.resolve(value.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+function describeType(setting) {
+    switch (setting.type) {
+        case 'integer': {
+            const range = setting.max !== undefined ? ` between ${setting.min} and ${setting.max}` : ` of at least ${setting.min}`;
+            return `a whole number${range}`;
+        }
+        case 'boolean':
+            return 'true or false';
+        case 'name':
+            return 'a name made of letters, digits, - and _, with / between nested sections';
+        case 'destinations':
+            return 'a JSON list of destinations';
+        default:
+            return 'a path';
+    }
+}
+
+/**
+ * Checks a typed value against the schema
+ * @param {string} key - Setting name
+ * @param {*} value - The value to check
+ * @returns {Object} - { value } normalized, or { error } with a readable message
+ */
+function validateValue(key, value) {
+    const setting = schema[key];
+    if (!setting) {
+        return { error: `unknown setting "${key}"` };
+    }
+
+    const invalid = { error: `${key} must be ${describeType(setting)} (got ${JSON.stringify(value)})` };
+
+    switch (setting.type) {
+        case 'integer':
+            if (!Number.isInteger(value) || value < setting.min || (setting.max !== undefined && value > setting.max)) {
+                return invalid;
+            }
+            return { value };
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : invalid;
+        case 'name':
+            return typeof value === 'string' && /^[a-zA-Z0-9-_]+(\/[a-zA-Z0-9-_]+)*$/.test(value) ? { value } : invalid;
+        case 'destinations':
+            return destinations.validateDestinations(value);
+        default:
+            return typeof value === 'string' && value.trim() !== '' ? { value: expandPath(value.trim()) } : invalid;
+    }
+}
+
+/**
+ * Parses a setting given as text (env var or /config set) and validates it
+ * @param {string} key - Setting name
+ * @param {string} raw - The text value
+ * @returns {Object} - { value } or { error }
+ */
+function parseValue(key, raw) {
+    const setting = schema[key];
+    if (!setting) {
+        return { error: `unknown setting "${key}"` };
+    }
+
+    const text = String(raw).trim();
+    if (setting.type === 'integer') {
+        return validateValue(key, /^-?\d+$/.test(text) ? parseInt(text, 10) : text);
+    }
+    if (setting.type === 'boolean') {
+        const lower = text.toLowerCase();
+        if (['true', 'yes', 'on', '1'].includes(lower)) return { value: true };
+        if (['false', 'no', 'off', '0'].includes(lower)) return { value: false };
+        return validateValue(key, text);
+    }
+    if (setting.type === 'destinations') {
+        try {
+            return validateValue(key, JSON.parse(text));
+        } catch (err) {
+            return { error: `${key} must be ${describeType(setting)} (${err.message})` };
+        }
+    }
+    return validateValue(key, text);
+}
+
+function readConfigFile(filePath, errors) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        errors.push(`${filePath}: not valid JSON (${err.message})`);
+        return {};
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`${filePath}: expected an object of settings`);
+        return {};
+    }
+    return data;
+}
+
+function applyValue(key, value, source) {
+    config[key] = value;
+    sources[key] = source;
+}
+
+/**
+ * Loads every settings layer into the config object
+ * @param {Object} options - dataDir from the --data-dir flag
+ * @returns {Array} - Readable problems found, invalid values are skipped
+ */
+function loadConfig(options = {}) {
+    const errors = [];
+    const filePath = getConfigFilePath();
+
+    for (const key of Object.keys(schema)) {
+        applyValue(key, defaults[key], 'default');
+    }
+
+    fileValues = readConfigFile(filePath, errors);
+    for (const [key, value] of Object.entries(fileValues)) {
+        const result = validateValue(key, value);
+        if (result.error) {
+            errors.push(`${filePath}: ${result.error}`);
+        } else {
+            applyValue(key, result.value, 'file');
+        }
+    }
+
+    for (const key of Object.keys(schema)) {
+        const envName = toEnvName(key);
+        if (process.env[envName] === undefined) continue;
+        const result = parseValue(key, process.env[envName]);
+        if (result.error) {
+            errors.push(`${envName}: ${result.error}`);
+        } else {
+            applyValue(key, result.value, 'env');
+        }
+    }
+
+    if (options.dataDir) {
+        const result = parseValue('dataDir', options.dataDir);
+        if (result.error) {
+            errors.push(`--data-dir: ${result.error}`);
+        } else {
+            applyValue('dataDir', result.value, 'flag');
+        }
+    }
+
+    errors.forEach(error => console.error(chalk.yellow(`config: ${error}`)));
+    return errors;
+}
+
+/**
+ * Removes the global --data-dir flag from command line arguments
+ * @param {Array} args - Command line arguments after the script name
+ * @returns {Object} - { args, dataDir } or { error }
+ */
+function extractDataDirFlag(args) {
+    const rest = [];
+    let dataDir = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--') {
+            rest.push(...args.slice(i));
+            break;
+        }
+        if (args[i] === '--data-dir') {
+            if (i + 1 >= args.length) {
+                return { error: 'option --data-dir requires a value' };
+            }
+            dataDir = args[++i];
+        } else if (args[i].startsWith('--data-dir=')) {
+            dataDir = args[i].substring('--data-dir='.length);
+        } else {
+            rest.push(args[i]);
+        }
+    }
+
+    return { args: rest, dataDir };
+}
+
+/**
+ * Tells which layer a setting's current value came from
+ * @param {string} key - Setting name
+ * @returns {string} - 'default', 'file', 'env' or 'flag'
+ */
+function getSource(key) {
+    return sources[key] || 'default';
+}
+
+/**
+ * Formats a setting value for display, destinations are listed by name so credentials stay off screen
+ * @param {*} value - The setting value
+ * @returns {string} - Readable value
+ */
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return value.length === 0 ? 'none' : value.map(destination => `${destination.name} (${destination.type})`).join(', ');
+    }
+    return String(value);
+}
+
+/**
+ * Lists every setting with its current value and where it came from
+ * @returns {Array} - { key, value, source, description, envName }
+ */
+function describeSettings() {
+    return Object.keys(schema).map(key => ({
+        key,
+        value: config[key],
+        source: getSource(key),
+        description: schema[key].description,
+        envName: toEnvName(key)
+    }));
+}
+
+function writeConfigFile(values) {
+    const filePath = getConfigFilePath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(values, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Saves a setting to the user config file and applies it unless a higher layer overrides it
+ * dataDir is only saved, switching data directories needs a restart
+ * @param {string} key - Setting name
+ * @param {string} raw - The text value
+ * @returns {Object} - { value, overriddenBy, restartRequired } or { error }
+ */
+function setSetting(key, raw) {
+    const result = parseValue(key, raw);
+    if (result.error) {
+        return result;
+    }
+
+    try {
+        writeConfigFile({ ...fileValues, [key]: result.value });
+    } catch (err) {
+        return { error: `could not write ${getConfigFilePath()}: ${err.message}` };
+    }
+    fileValues = { ...fileValues, [key]: result.value };
+
+    const source = sources[key];
+    const overriddenBy = source === 'env' || source === 'flag' ? source : null;
+    const restartRequired = key === 'dataDir' && !overriddenBy && result.value !== config.dataDir;
+
+    if (!overriddenBy && !restartRequired) {
+        applyValue(key, result.value, 'file');
+    }
+    return { value: result.value, overriddenBy, restartRequired };
+}
+
+/**
+ * Removes a setting from the user config file, falling back to the default
+ * @param {string} key - Setting name
+ * @returns {Object} - { value, overriddenBy, restartRequired } or { error }
+ */
+function unsetSetting(key) {
+    if (!schema[key]) {
+        return { error: `unknown setting "${key}"` };
+    }
+
+    const remaining = { ...fileValues };
+    delete remaining[key];
+    try {
+        writeConfigFile(remaining);
+    } catch (err) {
+        return { error: `could not write ${getConfigFilePath()}: ${err.message}` };
+    }
+    fileValues = remaining;
+
+    const source = sources[key];
+    const overriddenBy = source === 'env' || source === 'flag' ? source : null;
+    const restartRequired = key === 'dataDir' && !overriddenBy && defaults.dataDir !== config.dataDir;
+
+    if (!overriddenBy && !restartRequired) {
+        applyValue(key, defaults[key], 'default');
+    }
+    return { value: defaults[key], overriddenBy, restartRequired };
+}
+
+module.exports = {
+    schema,
+    getConfigFilePath,
+    loadConfig,
+    extractDataDirFlag,
+    getSource,
+    formatValue,
+    describeSettings,
+    setSetting,
+    unsetSetting
+};
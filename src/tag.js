@@ -1,33 +1,241 @@
+const fs = require('fs');
 const chalk = require('chalk');
+const config = require('./config');
 
 /**
- * Formats a log entry based on its tag
- * @param {string} log - The log entry to format
- * @returns {string} - The formatted log entry
+ * Tags mark entries either as [tag] (comma separated for several) or inline as #tag.
+ * Colors, styles and aliases come from the tag registry file, which users can edit.
  */
-function formatTaggedLog(log) {
-    if (log.includes('[')) {
-        const tagMatch = log.match(/\[(.*?)\]/);
-        if (tagMatch) {
-            const tag = tagMatch[1];
-            const tagIndex = log.indexOf(`[${tag}]`);
-            const beforeTag = log.substring(0, tagIndex);
-            const afterTag = log.substring(tagIndex + tag.length + 2);
-            
-            switch(tag.toLowerCase()) {
-                case 'important': 
-                    return chalk.red(log);
-                case 'idea': 
-                    return chalk.green(log);
-                case 'todo': 
-                    return chalk.blue(log);
-                default: 
-                    // Format only the tag in cyan, keep the rest of the log as is
-                    return beforeTag + chalk.cyan(`[${tag}]`) + afterTag;
+
+const tagPattern = /\[([^[\]]+)\]|(^|\s)#([A-Za-z][\w-]*)/g;
+
+const defaultRegistry = {
+    defaultColor: 'cyan',
+    tags: {
+        important: { color: 'red', line: true, aliases: ['imp'] },
+        idea: { color: 'green', line: true },
+        todo: { color: 'blue', line: true }
+    }
+};
+
+const chalkStyles = ['bold', 'dim', 'italic', 'underline', 'inverse', 'strikethrough'];
+
+let registryCache = null;
+let registryMtime = null;
+
+/**
+ * Checks whether a color is usable with chalk
+ * @param {string} color - A chalk color name or a #rrggbb hex value
+ * @returns {boolean} - Whether the color is valid
+ */
+function isValidColor(color) {
+    if (typeof color !== 'string') return false;
+    if (/^#[0-9a-fA-F]{6}$/.test(color)) return true;
+    return typeof chalk[color] === 'function' && !chalkStyles.includes(color);
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates a registry object, dropping invalid settings with a warning
+ * @param {Object} registry - The parsed registry
+ * @returns {Object} - A registry safe to use for formatting
+ */
+function validateRegistry(registry) {
+    if (!isObject(registry)) {
+        console.error(chalk.yellow('tag registry: expected an object, using the default tags'));
+        return validateRegistry(defaultRegistry);
+    }
+    const result = {
+        defaultColor: isValidColor(registry.defaultColor) ? registry.defaultColor : defaultRegistry.defaultColor,
+        tags: {},
+        aliases: {}
+    };
+
+    if (registry.tags !== undefined && !isObject(registry.tags)) {
+        console.error(chalk.yellow('tag registry: "tags" should be an object of tag names'));
+    }
+    const tags = isObject(registry.tags) ? registry.tags : {};
+
+    for (const [name, settings] of Object.entries(tags)) {
+        const tagName = name.toLowerCase();
+        const style = {};
+        if (!isObject(settings)) {
+            console.error(chalk.yellow(`tag registry: settings for tag ${tagName} should be an object, skipped`));
+            continue;
+        }
+
+        if (settings.color !== undefined) {
+            if (isValidColor(settings.color)) {
+                style.color = settings.color;
+            } else {
+                console.error(chalk.yellow(`tag registry: unknown color "${settings.color}" for tag ${tagName}`));
             }
         }
+
+        const styles = [].concat(settings.style || []);
+        style.style = styles.filter(s => {
+            if (chalkStyles.includes(s)) return true;
+            console.error(chalk.yellow(`tag registry: unknown style "${s}" for tag ${tagName}`));
+            return false;
+        });
+
+        style.line = settings.line === true;
+        result.tags[tagName] = style;
+
+        for (const alias of [].concat(settings.aliases || [])) {
+            result.aliases[String(alias).toLowerCase()] = tagName;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Writes the default tag registry if the user has none yet
+ */
+function ensureTagRegistry() {
+    try {
+        if (!fs.existsSync(config.tagRegistryFile)) {
+            fs.writeFileSync(config.tagRegistryFile, JSON.stringify(defaultRegistry, null, 2));
+        }
+    } catch (err) {
+        console.error(chalk.red('error creating tag registry:'), err);
+    }
+}
+
+/**
+ * Loads the tag registry, reusing the cached copy while the file is unchanged
+ * @returns {Object} - The validated registry
+ */
+function loadTagRegistry() {
+    let mtime = null;
+    try {
+        if (fs.existsSync(config.tagRegistryFile)) {
+            mtime = fs.statSync(config.tagRegistryFile).mtimeMs;
+        }
+    } catch (err) {
+        mtime = null;
+    }
+
+    if (registryCache && mtime === registryMtime) {
+        return registryCache;
+    }
+
+    let registry = defaultRegistry;
+    if (mtime !== null) {
+        try {
+            registry = JSON.parse(fs.readFileSync(config.tagRegistryFile, 'utf-8'));
+        } catch (err) {
+            console.error(chalk.red(`error reading tag registry ${config.tagRegistryFile}:`), err.message);
+        }
+    }
+
+    registryCache = validateRegistry(registry);
+    registryMtime = mtime;
+    return registryCache;
+}
+
+/**
+ * Normalizes a tag name and resolves aliases
+ * @param {string} name - The tag as written
+ * @returns {string} - The canonical tag name
+ */
+function resolveTag(name) {
+    const tagName = name.trim().toLowerCase();
+    return loadTagRegistry().aliases[tagName] || tagName;
+}
+
+/**
+ * Builds a chalk styler for a tag
+ * @param {string} name - The canonical tag name
+ * @returns {Object} - { styler, color, styles, line } where line means the whole entry takes the style
+ */
+function getTagStyle(name) {
+    const registry = loadTagRegistry();
+    const style = registry.tags[name] || {};
+    const color = style.color || registry.defaultColor;
+
+    let styler = color.startsWith('#') ? chalk.hex(color) : chalk[color];
+    for (const s of style.style || []) {
+        styler = styler[s];
+    }
+
+    return { styler, color, styles: style.style || [], line: style.line === true };
+}
+
+/**
+ * Splits a bracket or comma separated tag list
+ * @param {string} list - e.g. "todo,urgent"
+ * @returns {Array} - Canonical tag names
+ */
+function splitTagList(list) {
+    return list.split(',')
+        .map(t => t.trim())
+        .filter(t => t !== '')
+        .map(resolveTag);
+}
+
+/**
+ * Extracts every tag from a log entry, in order of appearance
+ * @param {string} log - The log entry to extract from
+ * @returns {Array} - Unique canonical tag names
+ */
+function extractTags(log) {
+    const tags = [];
+    for (const match of log.matchAll(tagPattern)) {
+        const names = match[1] !== undefined ? splitTagList(match[1]) : [resolveTag(match[3])];
+        names.forEach(name => {
+            if (!tags.includes(name)) tags.push(name);
+        });
+    }
+    return tags;
+}
+
+/**
+ * Renders a log entry piece by piece so tags can be styled for any output
+ * @param {string} log - The log entry to render
+ * @param {Object} renderers - text(string), tag(style, string) and line(style, string) functions
+ * @returns {string} - The rendered log entry
+ */
+function renderTaggedLog(log, renderers) {
+    let lineStyle = null;
+    let result = '';
+    let position = 0;
+
+    for (const match of log.matchAll(tagPattern)) {
+        const [text, bracketContent, prefix, hashName] = match;
+        const names = bracketContent !== undefined ? splitTagList(bracketContent) : [resolveTag(hashName)];
+        if (names.length === 0) continue;
+
+        const styles = names.map(getTagStyle);
+        if (!lineStyle) {
+            lineStyle = styles.find(s => s.line) || null;
+        }
+
+        const tagStart = match.index + (bracketContent !== undefined ? 0 : prefix.length);
+        result += renderers.text(log.substring(position, tagStart));
+        result += renderers.tag(styles[0], log.substring(tagStart, match.index + text.length));
+        position = match.index + text.length;
     }
-    return log;
+    result += renderers.text(log.substring(position));
+
+    return lineStyle ? renderers.line(lineStyle, result) : result;
+}
+
+/**
+ * Formats a log entry, highlighting every tag it contains
+ * @param {string} log - The log entry to format
+ * @returns {string} - The formatted log entry
+ */
+function formatTaggedLog(log) {
+    return renderTaggedLog(log, {
+        text: text => text,
+        tag: (style, text) => style.styler(text),
+        line: (style, text) => style.styler(text)
+    });
 }
 
 /**
@@ -36,35 +244,82 @@ function formatTaggedLog(log) {
  * @returns {boolean} - Whether the log entry contains a tag
  */
 function hasTag(log) {
-    return log.includes('[') && log.match(/\[(.*?)\]/);
+    return extractTags(log).length > 0;
 }
 
 /**
- * Extracts the tag from a log entry
+ * Extracts the first tag from a log entry
  * @param {string} log - The log entry to extract from
  * @returns {string|null} - The extracted tag or null if no tag found
  */
 function extractTag(log) {
-    if (hasTag(log)) {
-        const tagMatch = log.match(/\[(.*?)\]/);
-        return tagMatch[1];
+    const tags = extractTags(log);
+    return tags.length > 0 ? tags[0] : null;
+}
+
+/**
+ * Counts tag usage across entries
+ * @param {Array} entries - Entry records with resolved tags
+ * @returns {Array} - { tag, count, lastUsed } sorted by count, most used first
+ */
+function getTagStats(entries) {
+    const stats = new Map();
+
+    for (const entry of entries) {
+        const timestamp = new Date(entry.timestamp);
+        for (const name of entry.tags) {
+            const stat = stats.get(name) || { tag: name, count: 0, lastUsed: timestamp };
+            stat.count++;
+            if (timestamp > stat.lastUsed) stat.lastUsed = timestamp;
+            stats.set(name, stat);
+        }
+    }
+
+    return [...stats.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Checks whether a set of tags matches a filter
+ * @param {Array} entryTags - Canonical tags of an entry
+ * @param {Array} filterTags - Canonical tags to look for
+ * @param {string} mode - 'any' to match one of the tags, 'all' to require every tag
+ * @returns {boolean} - Whether the entry matches
+ */
+function matchesTags(entryTags, filterTags, mode = 'any') {
+    if (mode === 'all') {
+        return filterTags.every(t => entryTags.includes(t));
     }
-    return null;
+    return filterTags.some(t => entryTags.includes(t));
 }
 
 /**
  * Creates a tagged message
- * @param {string} tag - The tag to add
+ * @param {string|Array} tags - The tag, a comma separated list or an array of tags
  * @param {string} message - The message to tag
  * @returns {string} - The tagged message
  */
-function createTaggedMessage(tag, message) {
-    return `[${tag}] ${message}`;
+function createTaggedMessage(tags, message) {
+    const names = Array.isArray(tags) ? tags : tags.split(',');
+    const prefix = names
+        .map(t => t.trim())
+        .filter(t => t !== '')
+        .map(t => `[${t}]`)
+        .join(' ');
+    return `${prefix} ${message}`;
 }
 
 module.exports = {
     formatTaggedLog,
+    renderTaggedLog,
     hasTag,
     extractTag,
+    extractTags,
+    resolveTag,
+    splitTagList,
+    getTagStats,
+    matchesTags,
+    getTagStyle,
+    loadTagRegistry,
+    ensureTagRegistry,
     createTaggedMessage
-};
\ No newline at end of file
+};
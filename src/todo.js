@@ -0,0 +1,237 @@
+const config = require('./config');
+const tag = require('./tag');
+
+/**
+ * Todo state for thought-cli
+ * A thought tagged todo can carry a due date written as due:<when> in its text and is done
+ * once it has a doneAt field. Relative dates like due:friday are resolved when the thought is
+ * logged and written back as due:YYYY-MM-DD, so the text always says the same as the due field.
+ */
+
+const todoTag = 'todo';
+const duePattern = /(^|\s)due:(\S+)/i;
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// open todos with a due date and the state of the section files they were collected from
+let dueTodos = null;
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function formatDay(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function parseDay(value, base) {
+    const today = startOfDay(base);
+    if (value === 'today') return today;
+    if (value === 'tomorrow') return addDays(today, 1);
+
+    // the next one, today when it is that day
+    const weekday = weekdays.findIndex(name => name === value || name.slice(0, 3) === value);
+    if (weekday !== -1) {
+        return addDays(today, (weekday - today.getDay() + 7) % 7);
+    }
+
+    const relative = value.match(/^\+(\d+)([dw])$/);
+    if (relative) {
+        return addDays(today, parseInt(relative[1], 10) * (relative[2] === 'w' ? 7 : 1));
+    }
+
+    const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+        if (date.getMonth() === parseInt(match[2], 10) - 1) return date;
+    }
+    return null;
+}
+
+/**
+ * Parses a due date value
+ * @param {string} value - today, tomorrow, a weekday, +3d, +2w or YYYY-MM-DD, optionally followed by @HH:MM
+ * @param {Date} base - The moment relative dates count from
+ * @returns {string} - YYYY-MM-DD, or YYYY-MM-DD@HH:MM with a time
+ * @throws {Error} - With a readable message when the value is not a date
+ */
+function parseDue(value, base = new Date()) {
+    const [dayPart, timePart, ...extra] = value.toLowerCase().split('@');
+    const day = parseDay(dayPart, base);
+    if (!day || extra.length > 0) {
+        throw new Error(`unknown due date "${value}", use today, tomorrow, a weekday, +3d, +2w or YYYY-MM-DD`);
+    }
+    if (timePart === undefined) {
+        return formatDay(day);
+    }
+
+    const time = timePart.match(/^(\d{1,2}):(\d{2})$/);
+    if (!time || parseInt(time[1], 10) > 23 || parseInt(time[2], 10) > 59) {
+        throw new Error(`unknown due time "${timePart}", use HH:MM`);
+    }
+    return `${formatDay(day)}@${pad(time[1])}:${time[2]}`;
+}
+
+/**
+ * Checks whether an entry is a todo
+ * @param {Object} logEntry - The entry record
+ * @returns {boolean} - Whether it is tagged todo, aliases included
+ */
+function isTodo(logEntry) {
+    return (logEntry.tags || []).some(name => tag.resolveTag(name) === todoTag);
+}
+
+function isDone(logEntry) {
+    return Boolean(logEntry.fields?.doneAt);
+}
+
+/**
+ * Resolves a due:<when> in the text of a todo
+ * @param {string} text - The thought text
+ * @param {Array} tags - Tags of the thought, only todos get a due date
+ * @param {Date} base - The moment relative dates count from, when the thought was logged
+ * @returns {Object} - { text, due } with the date written out, due is null without one, plus error when it can't be read
+ */
+function resolveDue(text, tags, base = new Date()) {
+    const match = text.match(duePattern);
+    if (!match || !isTodo({ tags })) {
+        return { text, due: null };
+    }
+
+    try {
+        const due = parseDue(match[2], base);
+        return { text: text.replace(duePattern, `${match[1]}due:${due}`), due };
+    } catch (err) {
+        return { text, due: null, error: err.message };
+    }
+}
+
+/**
+ * Works out the moment a todo comes due
+ * @param {Object} logEntry - The entry record
+ * @returns {Date|null} - The start of the due day or the due time, null without a due date
+ */
+function getDueTime(logEntry) {
+    const due = logEntry.fields?.due;
+    if (!due) return null;
+
+    const [day, time] = due.split('@');
+    const [year, month, date] = day.split('-').map(Number);
+    const [hours, minutes] = time ? time.split(':').map(Number) : [0, 0];
+    return new Date(year, month - 1, date, hours, minutes);
+}
+
+/**
+ * Tells where a todo stands
+ * @param {Object} logEntry - The entry record
+ * @param {Date} now - The current time
+ * @returns {string|null} - done, overdue, today, upcoming or open, null for entries that aren't todos
+ */
+function getState(logEntry, now = new Date()) {
+    if (!isTodo(logEntry)) return null;
+    if (isDone(logEntry)) return 'done';
+
+    const dueTime = getDueTime(logEntry);
+    if (!dueTime) return 'open';
+
+    const hasTime = logEntry.fields.due.includes('@');
+    // a day without a time is overdue once it has passed, a time once it has
+    const deadline = hasTime ? dueTime : addDays(dueTime, 1);
+    if (now >= deadline) return 'overdue';
+    return formatDay(dueTime) === formatDay(now) ? 'today' : 'upcoming';
+}
+
+/**
+ * Sorts todos for a list: soonest due first, those without a due date after them in logged order
+ * @param {Array} todos - Entry records
+ * @returns {Array} - A sorted copy
+ */
+function sortByDue(todos) {
+    return [...todos].sort((a, b) => {
+        const dueA = getDueTime(a);
+        const dueB = getDueTime(b);
+        if (dueA && dueB && dueA - dueB !== 0) return dueA - dueB;
+        if (dueA && !dueB) return -1;
+        if (!dueA && dueB) return 1;
+        return new Date(a.timestamp) - new Date(b.timestamp);
+    });
+}
+
+/**
+ * Finds todos in every section that isn't archived or locked
+ * @param {Object} options - done to return finished todos instead of open ones
+ * @returns {Array} - Entry records with their section
+ */
+function collectTodos(options = {}) {
+    // required here, the search modules build on entry which builds on this one
+    const query = require('./query');
+    const searchIndex = require('./searchIndex');
+    const sectionManager = require('./section');
+
+    const { active } = sectionManager.listSections();
+    return searchIndex.search(query.compileQuery(`tag:${todoTag}`), { sections: active })
+        .filter(logEntry => isTodo(logEntry) && isDone(logEntry) === Boolean(options.done));
+}
+
+// changes whenever a section file is written, added, removed, archived, unlocked or locked
+function getSectionsFingerprint() {
+    // required here like in collectTodos, logger and searchIndex build on entry which builds on this one
+    const logger = require('./logger');
+    const searchIndex = require('./searchIndex');
+
+    const sections = logger.getSections().map(name => [
+        name,
+        searchIndex.getFingerprint(logger.getLogFilePath(name)),
+        logger.isSectionLocked(name)
+    ].join(':'));
+    return [searchIndex.getFingerprint(config.metadataFile), ...sections].join('|');
+}
+
+/**
+ * Finds open todos that have a due date, for reminders
+ * Reminders check on every clock tick, so the todos are only collected again once a section changed.
+ * @returns {Array} - Entry records with their section
+ */
+function collectDueTodos() {
+    const fingerprint = getSectionsFingerprint();
+    if (!dueTodos || dueTodos.fingerprint !== fingerprint) {
+        dueTodos = { fingerprint, todos: collectTodos().filter(logEntry => getDueTime(logEntry) !== null) };
+    }
+    return dueTodos.todos;
+}
+
+/**
+ * Marks a todo done or open again
+ * @param {Object} logEntry - The entry record
+ * @param {boolean} done - Whether it is done
+ * @returns {Object} - A copy with doneAt set to now or removed
+ */
+function setDone(logEntry, done) {
+    const fields = { ...logEntry.fields };
+    if (done) {
+        fields.doneAt = new Date().toISOString();
+    } else {
+        delete fields.doneAt;
+    }
+    return { ...logEntry, fields };
+}
+
+module.exports = {
+    parseDue,
+    resolveDue,
+    isTodo,
+    isDone,
+    getDueTime,
+    getState,
+    sortByDue,
+    collectTodos,
+    collectDueTodos,
+    setDone
+};
@@ -4,6 +4,20 @@ const config = require('./config');
 const logger = require('./logger');
 const backup = require('./backup');
 const tag = require('./tag');
+const entry = require('./entry');
+const query = require('./query');
+const searchIndex = require('./searchIndex');
+const exporter = require('./export');
+const importer = require('./import');
+const sectionManager = require('./section');
+const settings = require('./settings');
+const editor = require('./editor');
+const encryption = require('./encryption');
+const scheduler = require('./scheduler');
+const destinations = require('./destinations');
+const history = require('./history');
+const todo = require('./todo');
+const { parseArgs } = require('./args');
 
 const rl = readline.createInterface({
     input: process.stdin,
@@ -15,7 +29,16 @@ const rl = readline.createInterface({
 let clockInterval;
 let logs = [];
 let isDisplayingHelp = false;
+let isEditing = false;
 let currentSection = null;
+let undoStack = [];
+const expandedNodes = new Set();
+let view = { entries: null, header: null, highlight: null, start: null };
+let multiLineBuffer = null;
+// set by automatic backups and shown with the next redraw instead of printing over the view
+let pendingNotice = null;
+// todos already reminded about this session
+const remindedTodos = new Set();
 
 function getMaxLogsForTerminal() {
     const terminalRows = process.stdout.rows || 24;
@@ -28,70 +51,416 @@ function getMaxLogsForTerminal() {
     return Math.max(5, terminalRows - reservedLines);
 }
 
-function updateDisplay(logsToDisplay = null, forceRefresh = false, headerMessage = null) {
-    if (isDisplayingHelp && !forceRefresh) return;
+function updateDisplay(logsToDisplay = null, forceRefresh = false, headerMessage = null, highlight = null) {
+    if ((isDisplayingHelp || isEditing) && !forceRefresh) return;
     
+    if (logsToDisplay) {
+        // a result set keeps its header while paging through it
+        view = { entries: logsToDisplay, header: headerMessage, highlight, start: null };
+        renderView();
+        return;
+    }
+    
+    if (view.entries) {
+        view = { entries: null, header: null, highlight: null, start: null };
+    }
+    renderView(headerMessage);
+}
+
+// redraws the current view and page, used by the clock so paging isn't lost
+function refreshDisplay() {
+    if (isDisplayingHelp || isEditing) return;
+    renderView();
+}
+
+// terminal rows a page of entries can fill
+function getPageHeight() {
+    return Math.max(5, getMaxLogsForTerminal() - (view.header ? 1 : 0));
+}
+
+/**
+ * Lays out the entries of the current view for one redraw or page move
+ * Entry numbers and row counts are worked out once here, so a long section stays quick to page through.
+ * @param {Array} entries - The entries being paged
+ * @returns {Object} - { entries, height, numbers, rows }
+ */
+function createLayout(entries) {
+    return {
+        entries,
+        height: getPageHeight(),
+        // entry id -> its number in the section
+        numbers: new Map(logs.map((logEntry, index) => [logEntry.id, index + 1])),
+        // entry index -> rows it takes, filled as entries are measured
+        rows: new Map()
+    };
+}
+
+function formatViewEntry(logEntry, numbers) {
+    const log = entry.formatEntry(logEntry);
+    const label = getEntryLabel(logEntry, numbers);
+    const state = todo.getState(logEntry);
+    // finished todos step back so open ones stand out
+    const formatted = state === 'done' ? chalk.dim(log) : (tag.hasTag(log) ? tag.formatTaggedLog(log) : log);
+    const note = state && todoNotes[state] ? ` ${todoNotes[state](logEntry)}` : '';
+    return `${label} ${view.highlight ? view.highlight(formatted) : formatted}${note}`;
+}
+
+// rows an entry takes on screen, multi-line thoughts and lines wider than the terminal take more than one
+function getEntryHeight(layout, index) {
+    if (!layout.rows.has(index)) {
+        const columns = process.stdout.columns || 80;
+        layout.rows.set(index, formatViewEntry(layout.entries[index], layout.numbers)
+            .replace(/\u001b\[[0-9;]*m/g, '')
+            .split('\n')
+            .reduce((rows, line) => rows + Math.max(1, Math.ceil(line.length / columns)), 0));
+    }
+    return layout.rows.get(index);
+}
+
+// number of entries from start that fit on a page, at least one so a very long thought still shows
+function countFitting(layout, start) {
+    let rows = 0;
+    let count = 0;
+    while (start + count < layout.entries.length) {
+        rows += getEntryHeight(layout, start + count);
+        if (rows > layout.height && count > 0) break;
+        count++;
+    }
+    return count;
+}
+
+// first index of the page that ends right before end
+function getStartBefore(layout, end) {
+    let rows = 0;
+    let start = end;
+    while (start > 0) {
+        rows += getEntryHeight(layout, start - 1);
+        if (rows > layout.height && start < end) break;
+        start--;
+    }
+    return start;
+}
+
+// first index of every page, counted from the oldest entry
+function getPageStarts(layout) {
+    const starts = [0];
+    let start = countFitting(layout, 0);
+    while (start < layout.entries.length) {
+        starts.push(start);
+        start += countFitting(layout, start);
+    }
+    return starts;
+}
+
+// first index shown, a null start follows the newest entries
+function getPageStart(layout) {
+    const last = getStartBefore(layout, layout.entries.length);
+    return view.start === null ? last : Math.min(view.start, last);
+}
+
+function renderView(notice = null) {
     console.clear();
     
     const metadata = logger.getSectionMetadata();
     const description = metadata[currentSection]?.description || '';
     
-    console.log(chalk.bold.green(`${currentSection} (section) - ${logger.getCurrentDateTime()}`));
+    const kind = [
+        sectionManager.isArchived(currentSection, metadata) ? 'archived' : null,
+        logger.isSectionEncrypted(currentSection) ? 'encrypted' : null,
+        'section'
+    ].filter(Boolean).join(' ');
+    console.log(chalk.bold.green(`${currentSection} (${kind}) - ${logger.getCurrentDateTime()}`));
 
     if (description) {
         console.log(chalk.cyan(`${description}`));
     }
     console.log(chalk.dim('type "/help" for commands or "/menu" to return to menu'));
     
-    if (headerMessage) {
-        console.log(headerMessage);
+    if (view.header) {
+        console.log(view.header);
+    }
+    if (notice) {
+        console.log(notice);
+    }
+    if (pendingNotice) {
+        console.log(pendingNotice);
+        pendingNotice = null;
     }
     
-    const maxLogs = getMaxLogsForTerminal();
-    
-    const displayLogs = logsToDisplay || logs.slice(-maxLogs);
+    const entries = view.entries || logs;
+    const layout = createLayout(entries);
+    const start = getPageStart(layout);
+    const displayLogs = entries.slice(start, start + countFitting(layout, start));
     
     if (displayLogs.length === 0) {
         console.log(chalk.dim('no logs to display. type a thought and press enter'));
     } else {
-        if (!logsToDisplay && logs.length > maxLogs) {
-            console.log(chalk.dim(`Showing most recent ${maxLogs} of ${logs.length} logs`));
+        if (displayLogs.length < entries.length) {
+            console.log(chalk.dim(`showing ${start + 1}-${start + displayLogs.length} of ${entries.length} (/older, /newer, /page <n>, /top, /goto <date>)`));
         }
         
-        displayLogs.forEach(log => {
-            if (tag.hasTag(log)) {
-                console.log(tag.formatTaggedLog(log));
-                return;
-            }
-            console.log(log);
-        });
+        displayLogs.forEach(logEntry => console.log(formatViewEntry(logEntry, layout.numbers)));
     }
     
     rl.prompt(true);
 }
 
+/**
+ * Moves the current view to another page
+ * Pages are as tall as the terminal allows, so how many entries one holds depends on their length.
+ * @param {Function} getStart - Receives { start, end, layout } for the current page and returns the new start or null for the newest page
+ * @param {Object} layout - Layout of the view from createLayout, when the caller already made one
+ */
+function movePage(getStart, layout = createLayout(view.entries || logs)) {
+    const current = getPageStart(layout);
+    const start = getStart({ start: current, end: current + countFitting(layout, current), layout });
+    view.start = start === null || start >= getStartBefore(layout, layout.entries.length) ? null : Math.max(0, start);
+    renderView();
+}
+
+const changeMarks = {
+    added: chalk.green('+'),
+    removed: chalk.red('-'),
+    was: chalk.yellow('~ was'),
+    now: chalk.yellow('~ now')
+};
+
+const todoNotes = {
+    done: logEntry => chalk.dim(`done ${entry.formatDateTime(new Date(logEntry.fields.doneAt))}`),
+    overdue: () => chalk.bgRed.white(' overdue '),
+    today: () => chalk.yellow('due today')
+};
+
+function getEntryLabel(logEntry, numbers) {
+    // rows of /backup-diff
+    if (logEntry.change) {
+        const mark = changeMarks[logEntry.change];
+        return logEntry.section ? `${mark} ${chalk.magenta(`${logEntry.section}:`)}` : mark;
+    }
+    if (logEntry.backup) {
+        return chalk.dim(`${logEntry.section} (backup):`);
+    }
+    // entries from other sections carry their section name instead of a number
+    if (logEntry.section && logEntry.section !== currentSection) {
+        return chalk.magenta(`${logEntry.section}:`);
+    }
+    const number = chalk.dim(`${numbers.get(logEntry.id) || 0}.`);
+    return logEntry.section ? `${chalk.magenta(`${logEntry.section}:`)}${number}` : number;
+}
+
+function loadEntries(allSections) {
+    if (!allSections) {
+        return logs;
+    }
+    
+    return logger.getSections()
+        .filter(section => !logger.isSectionLocked(section))
+        .flatMap(section => {
+            const sectionLogs = section === currentSection ? logs : logger.loadAllLogs(section);
+            return sectionLogs.map(logEntry => ({ ...logEntry, section }));
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+function splitFlags(args) {
+    const flags = args.filter(arg => arg.startsWith('--'));
+    const rest = args.filter(arg => !arg.startsWith('--'));
+    return { flags, rest };
+}
+
 function startClock() {
-    clockInterval = setInterval(() => updateDisplay(), config.updateInterval);
+    clockInterval = setInterval(() => {
+        checkReminders();
+        refreshDisplay();
+    }, config.updateInterval);
+    checkReminders();
     updateDisplay();
 }
 
+function addNotice(notice) {
+    pendingNotice = pendingNotice ? `${pendingNotice}\n${notice}` : notice;
+}
+
+// todos that came due since the last check become a notice on the next redraw
+function checkReminders() {
+    const now = new Date();
+    let due;
+    try {
+        due = todo.collectDueTodos()
+            .filter(logEntry => todo.getDueTime(logEntry) <= now && !remindedTodos.has(logEntry.id));
+    } catch (err) {
+        return;
+    }
+    if (due.length === 0) return;
+    
+    due.forEach(logEntry => remindedTodos.add(logEntry.id));
+    if (due.length === 1) {
+        const [logEntry] = due;
+        // one that came due since the last tick is just due, not overdue yet
+        const late = todo.getState(logEntry, now) === 'overdue' && now - todo.getDueTime(logEntry) > config.updateInterval;
+        const when = late ? 'is overdue' : 'is due';
+        addNotice(chalk.yellow(`reminder: ${logEntry.section}: ${logEntry.text.split('\n')[0]} ${when}`));
+    } else {
+        addNotice(chalk.yellow(`reminder: ${due.length} todos are due, see /todos`));
+    }
+}
+
+// a due date that couldn't be read stays in the text as typed
+function checkDue(text) {
+    const resolved = todo.resolveDue(text, tag.extractTags(text));
+    if (resolved.error) {
+        addNotice(chalk.yellow(`${resolved.error}, the todo has no due date`));
+    }
+}
+
 function logMessage(message) {
-    const logEntry = `${logger.getCurrentDateTime(true)} ${message}`;
+    const logEntry = entry.createEntry(message);
+    checkDue(message);
     logs.push(logEntry);
     
     const needsRotation = logger.saveLog(currentSection, logEntry);
+    if (needsRotation === null) {
+        logs.pop();
+        updateDisplay(null, true, chalk.red('the thought could not be saved'));
+        return;
+    }
+    undoStack.push({ type: 'add', entry: logEntry });
     
     if (needsRotation) {
-        const rotated = logger.createBackup(currentSection, true);
-        if (rotated) {
+        try {
+            backup.backupSection(currentSection, true, { quiet: true });
             logs = [];
+            undoStack = [];
             logMessage('[SYSTEM] Log file rotated, previous logs backed up');
+            return;
+        } catch (err) {
+            pendingNotice = chalk.red(`log rotation failed, the section keeps growing: ${err.message}`);
         }
     }
+    scheduler.recordEntry();
     
+    // show the newest page so the new thought is visible
+    view.start = null;
     updateDisplay();
 }
 
+function saveEdit(target, text, number) {
+    if (text === '' || text === target.text) {
+        updateDisplay(null, true, chalk.yellow('edit cancelled'));
+        return;
+    }
+    
+    const edited = entry.editEntry(target, text);
+    if (!logger.updateLog(currentSection, edited)) {
+        console.log(chalk.red('failed to save edit'));
+        return;
+    }
+    checkDue(text);
+    
+    undoStack.push({ type: 'edit', before: target, after: edited });
+    logs = logger.loadAllLogs(currentSection);
+    updateDisplay(null, true, chalk.green(`edited entry ${number}`));
+}
+
+// hands the terminal to $EDITOR until it exits, the clock can't redraw meanwhile
+function runEditor(initialText) {
+    isEditing = true;
+    rl.pause();
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+    
+    const text = editor.editText(initialText);
+    
+    if (process.stdin.isTTY) process.stdin.setRawMode(true);
+    rl.resume();
+    isEditing = false;
+    return text;
+}
+
+function finishMultiLine() {
+    const text = entry.normalizeText(multiLineBuffer.join('\n'));
+    multiLineBuffer = null;
+    isEditing = false;
+    rl.setPrompt('> ');
+    
+    if (text === '') {
+        updateDisplay(null, true, chalk.yellow('empty thought discarded'));
+        return;
+    }
+    logMessage(text);
+}
+
+/**
+ * Marks a todo in the current section done or open again, /undo reverts it
+ * @param {string} number - Entry number as typed
+ * @param {Array} extra - Anything typed after the number
+ * @param {boolean} done - Whether to mark it done
+ */
+function markTodo(number, extra, done) {
+    const command = done ? '/done' : '/reopen';
+    if (extra.length > 0) {
+        console.log(chalk.yellow(`usage: ${command} <n>`));
+        return;
+    }
+    const target = getEntryByNumber(number);
+    if (!target) return;
+    
+    if (!todo.isTodo(target)) {
+        console.log(chalk.yellow(`entry ${number} is not a todo, tag it with [todo] first`));
+        return;
+    }
+    if (todo.isDone(target) === done) {
+        console.log(chalk.yellow(done
+            ? `entry ${number} was already done ${entry.formatDateTime(new Date(target.fields.doneAt))}`
+            : `entry ${number} is not done`));
+        return;
+    }
+    
+    const changed = todo.setDone(target, done);
+    if (!logger.updateLog(currentSection, changed)) {
+        console.log(chalk.red('failed to save the todo'));
+        return;
+    }
+    
+    undoStack.push({ type: done ? 'done' : 'reopen', before: target, after: changed });
+    logs = logger.loadAllLogs(currentSection);
+    updateDisplay(null, true, chalk.green(done ? `entry ${number} done` : `entry ${number} open again`));
+}
+
+function getEntryByNumber(number) {
+    const index = parseInt(number) - 1;
+    if (isNaN(index) || index < 0 || index >= logs.length) {
+        console.log(chalk.yellow(logs.length === 0
+            ? 'no logs in this section'
+            : `invalid entry number. choose 1-${logs.length}`));
+        return null;
+    }
+    return logs[index];
+}
+
+function undoLastChange() {
+    const change = undoStack.pop();
+    if (!change) {
+        return null;
+    }
+    
+    let success = false;
+    if (change.type === 'add') {
+        success = logger.deleteLog(currentSection, change.entry.id) !== null;
+    } else if (change.type === 'edit' || change.type === 'done' || change.type === 'reopen') {
+        success = logger.updateLog(currentSection, change.before);
+    } else if (change.type === 'delete') {
+        success = logger.insertLog(currentSection, change.entry, change.index);
+    }
+    
+    if (!success) {
+        undoStack.push(change);
+        return null;
+    }
+    
+    logs = logger.loadAllLogs(currentSection);
+    return change;
+}
+
 function showMainMenu() {
     console.clear();
     console.log(chalk.bold.green(`
@@ -105,27 +474,34 @@ function showMainMenu() {
     
     console.log(chalk.cyan('select a section to log your thoughts:'));
     
-    const sections = logger.getSections();
+    const { active, archived } = sectionManager.listSections();
     const metadata = logger.getSectionMetadata();
     
-    if (sections.length === 0) {
+    if (active.length === 0) {
         console.log(chalk.yellow('no sections found. Create your first section:'));
     } else {
         console.log(chalk.bold('available sections:'));
         
-        if (sections.includes(config.defaultSection)) {
+        if (active.includes(config.defaultSection)) {
             const baseDesc = metadata[config.defaultSection]?.description || 'general thoughts';
             console.log(`${chalk.green('b')}. ${config.defaultSection} - ${chalk.dim(baseDesc)}`);
         }
         
-        const otherSections = sections.filter(s => s !== config.defaultSection);
-        otherSections.forEach((section, index) => {
-            const desc = metadata[section]?.description || 'no description';
-            console.log(`${chalk.green(index + 1)}. ${section} - ${chalk.dim(desc)}`);
+        const nodes = getMenuNodes();
+        nodes.forEach((node, index) => {
+            console.log(`${chalk.green(index + 1)}. ${formatMenuNode(node, metadata)}`);
         });
+        
+        if (nodes.some(node => node.children.length > 0)) {
+            console.log(chalk.dim('groups marked ▸ hold nested sections, t <number> expands or collapses them'));
+        }
     }
     
-    console.log('\n' + chalk.green('n') + '. create new section');
+    console.log('\n' + chalk.green('n') + '. create new section (use / to nest, e.g. work/projectA)');
+    console.log(chalk.green('s') + '. manage sections (rename, describe, archive, merge, delete)');
+    if (archived.length > 0) {
+        console.log(chalk.green('a') + `. show archived sections (${archived.length})`);
+    }
     console.log(chalk.green('x') + '. exit');
     
     rl.question('enter your choice: ', (answer) => {
@@ -139,16 +515,21 @@ function showMainMenu() {
             return;
         }
         
+        if (answer.toLowerCase() === 's') {
+            showSectionManager();
+            return;
+        }
+        
+        if (answer.toLowerCase() === 'a' && archived.length > 0) {
+            showArchivedSections();
+            return;
+        }
+        
         if (answer.toLowerCase() === 'n') {
-            rl.question(`enter new section name (max ${config.maxSectionNameLength} chars): `, (sectionName) => {
-                if (sectionName.trim() === '') {
-                    console.log(chalk.yellow('section name cannot be empty'));
-                    setTimeout(showMainMenu, 1500);
-                    return;
-                }
-                
-                if (sectionName.length > config.maxSectionNameLength) {
-                    console.log(chalk.yellow(`section name too long (max ${config.maxSectionNameLength} chars)`));
+            rl.question(`enter new section name (max ${config.maxSectionNameLength} chars per level): `, (sectionName) => {
+                const validated = sectionManager.validateNewName(sectionName);
+                if (validated.error) {
+                    console.log(chalk.yellow(validated.error));
                     setTimeout(showMainMenu, 1500);
                     return;
                 }
@@ -160,7 +541,7 @@ function showMainMenu() {
                         return;
                     }
                     
-                    const newSection = logger.createSection(sectionName, description);
+                    const newSection = logger.createSection(validated.name, description);
                     console.log(chalk.green(`created section: ${newSection}`));
                     setTimeout(() => {
                         startLogger(newSection);
@@ -170,22 +551,235 @@ function showMainMenu() {
             return;
         }
         
-        const choice = parseInt(answer);
-
-        const sections = logger.getSections().filter(s => s !== config.defaultSection);
+        const toggle = answer.trim().match(/^t\s*(\d+)$/i);
+        const choice = parseInt(toggle ? toggle[1] : answer);
+        const nodes = getMenuNodes();
         
-        if (isNaN(choice) || choice < 1 || choice > sections.length) {
+        if (!/^\s*(t\s*)?\d+\s*$/i.test(answer) || choice < 1 || choice > nodes.length) {
             console.log(chalk.red('invalid selection'));
             setTimeout(showMainMenu, 1500);
             return;
         }
         
-        startLogger(sections[choice - 1]);
+        const node = nodes[choice - 1];
+        if (toggle || !node.isSection) {
+            toggleNode(node);
+            showMainMenu();
+            return;
+        }
+        
+        startLogger(node.name);
+    });
+}
+
+// visible rows of the section tree, the default section has its own key
+function getMenuNodes() {
+    const sections = sectionManager.listSections().active.filter(s => s !== config.defaultSection);
+    const rows = [];
+    
+    const walk = (nodes, depth) => nodes.forEach(node => {
+        rows.push({ ...node, depth });
+        if (expandedNodes.has(node.name)) {
+            walk(node.children, depth + 1);
+        }
+    });
+    walk(sectionManager.buildTree(sections), 0);
+    return rows;
+}
+
+function formatMenuNode(node, metadata) {
+    const indent = '  '.repeat(node.depth);
+    let marker = '  ';
+    let nested = '';
+    if (node.children.length > 0) {
+        const expanded = expandedNodes.has(node.name);
+        marker = expanded ? '▾ ' : '▸ ';
+        nested = expanded ? '' : chalk.dim(` (${countSections(node.children)} nested)`);
+    }
+    
+    const desc = node.isSection
+        ? chalk.dim(metadata[node.name]?.description || 'no description')
+        : chalk.dim('group');
+    return `${indent}${marker}${node.label}${nested} - ${desc}`;
+}
+
+function countSections(nodes) {
+    return nodes.reduce((count, node) => count + (node.isSection ? 1 : 0) + countSections(node.children), 0);
+}
+
+function toggleNode(node) {
+    if (expandedNodes.has(node.name)) {
+        expandedNodes.delete(node.name);
+    } else if (node.children.length > 0) {
+        expandedNodes.add(node.name);
+    }
+}
+
+// opens the tree down to a section or group so it shows in the menu
+function expandTo(name) {
+    for (let parent = name; parent; parent = sectionManager.getParent(parent)) {
+        expandedNodes.add(parent);
+    }
+}
+
+// accepts a main menu number, b for the default section or a section name
+function resolveSectionChoice(answer) {
+    const trimmed = answer.trim();
+    if (trimmed.toLowerCase() === 'b') {
+        return config.defaultSection;
+    }
+    if (/^\d+$/.test(trimmed)) {
+        const node = getMenuNodes()[parseInt(trimmed) - 1];
+        return node && node.isSection ? node.name : null;
+    }
+    return sectionManager.sectionExists(trimmed) ? trimmed : null;
+}
+
+function promptSection(label, callback) {
+    rl.question(`${label} (number, b or name): `, (answer) => {
+        const name = resolveSectionChoice(answer);
+        if (!name) {
+            console.log(chalk.red('no such section'));
+            setTimeout(showMainMenu, 1500);
+            return;
+        }
+        callback(name);
+    });
+}
+
+function reportAndReturn(result, successMessage) {
+    console.log(result.error ? chalk.red(result.error) : chalk.green(successMessage(result)));
+    setTimeout(showMainMenu, 1500);
+}
+
+function showSectionManager() {
+    console.log(chalk.bold('\nmanage sections:'));
+    console.log(`${chalk.green('1')}. rename a section`);
+    console.log(`${chalk.green('2')}. edit a section description`);
+    console.log(`${chalk.green('3')}. archive or unarchive a section`);
+    console.log(`${chalk.green('4')}. merge a section into another`);
+    console.log(`${chalk.green('5')}. delete a section`);
+    
+    rl.question('enter your choice (enter to go back): ', (answer) => {
+        switch (answer.trim()) {
+            case '1':
+                promptSection('section to rename', (name) => {
+                    rl.question(`new name for ${name} (max ${config.maxSectionNameLength} chars): `, (newName) => {
+                        reportAndReturn(sectionManager.renameSection(name, newName),
+                            result => `renamed ${name} to ${result.name} (${result.backups} backups renamed)`);
+                    });
+                });
+                return;
+            case '2':
+                promptSection('section to describe', (name) => {
+                    rl.question(`new description (max ${config.maxDescriptionLength} chars): `, (description) => {
+                        reportAndReturn(sectionManager.setDescription(name, description),
+                            () => `updated description of ${name}`);
+                    });
+                });
+                return;
+            case '3':
+                promptSection('section to archive or unarchive', (name) => {
+                    const archive = !sectionManager.isArchived(name);
+                    reportAndReturn(sectionManager.setArchived(name, archive),
+                        () => `${archive ? 'archived' : 'unarchived'} ${name}`);
+                });
+                return;
+            case '4':
+                promptSection('section to merge (it is removed afterwards)', (source) => {
+                    promptSection(`merge ${source} into`, (target) => {
+                        reportAndReturn(sectionManager.mergeSections(source, target),
+                            result => `merged ${source} into ${target}: ${result.added} entries added, ${result.total} total`);
+                    });
+                });
+                return;
+            case '5':
+                promptSection('section to delete', (name) => {
+                    rl.question(`type ${name} to delete it (a backup is taken first): `, (confirmation) => {
+                        if (confirmation.trim() !== name) {
+                            console.log(chalk.yellow('delete cancelled'));
+                            setTimeout(showMainMenu, 1500);
+                            return;
+                        }
+                        reportAndReturn(sectionManager.deleteSection(name),
+                            result => `deleted ${name}, backup kept at ${result.backupPath}`);
+                    });
+                });
+                return;
+            default:
+                showMainMenu();
+        }
+    });
+}
+
+function showArchivedSections() {
+    const { archived } = sectionManager.listSections();
+    const metadata = logger.getSectionMetadata();
+    
+    console.log(chalk.bold('\narchived sections:'));
+    archived.forEach((name, index) => {
+        const desc = metadata[name]?.description || 'no description';
+        console.log(`${chalk.green(index + 1)}. ${name} - ${chalk.dim(desc)}`);
+    });
+    
+    rl.question('open which archived section (enter to go back): ', (answer) => {
+        const choice = parseInt(answer);
+        if (isNaN(choice) || choice < 1 || choice > archived.length) {
+            showMainMenu();
+            return;
+        }
+        startLogger(archived[choice - 1]);
+    });
+}
+
+// asks for a passphrase without echoing what is typed
+function askHidden(prompt, callback) {
+    rl.question(prompt, (answer) => {
+        delete rl._writeToOutput;
+        rl.output.write('\n');
+        callback(answer);
+    });
+    rl._writeToOutput = () => {};
+}
+
+function reportConversion(verb, results, notes = []) {
+    const lines = [];
+    const done = results.filter(result => !result.error);
+    const backups = done.reduce((sum, result) => sum + result.backups.converted, 0);
+    const failedBackups = done.reduce((sum, result) => sum + result.backups.failed, 0);
+    
+    if (done.length > 0) {
+        lines.push(chalk.green(`${verb} ${done.length} section(s) and ${backups} backup(s)`));
+    }
+    if (failedBackups > 0) {
+        lines.push(chalk.yellow(`${failedBackups} backup(s) could not be converted and were left as they were`));
+    }
+    results.filter(result => result.error).forEach(result => lines.push(chalk.red(result.error)));
+    done.flatMap(result => result.leftovers || []).forEach(file => {
+        lines.push(chalk.yellow(`a plain copy from before the migration is still at ${file}, delete it to keep the text private`));
     });
+    if (done.some(result => result.inHistory)) {
+        lines.push(chalk.yellow('earlier plain versions stay in the git history of the sections directory, turn gitHistory off and delete its .git directory to keep the text private'));
+    }
+    notes.forEach(note => lines.push(chalk.yellow(note)));
+    updateDisplay(null, true, lines.join('\n'));
 }
 
 function startLogger(section) {
+    if (logger.isSectionLocked(section)) {
+        askHidden(`passphrase for ${section}: `, (passphrase) => {
+            if (!logger.unlockSection(section, passphrase)) {
+                console.log(chalk.red('wrong passphrase'));
+                setTimeout(showMainMenu, 1500);
+                return;
+            }
+            startLogger(section);
+        });
+        return;
+    }
+    
     currentSection = section;
+    expandTo(sectionManager.getParent(section));
     console.clear();
     
     const metadata = logger.getSectionMetadata();
@@ -198,6 +792,8 @@ function startLogger(section) {
     console.log('loading previous logs...');
     
     logs = logger.loadAllLogs(section);
+    undoStack = [];
+    view = { entries: null, header: null, highlight: null, start: null };
     
     console.log(`Loaded ${logs.length} log entries`);
     console.log(chalk.dim('type "/menu" to return to section menu or "/exit" to quit'));
@@ -205,6 +801,174 @@ function startLogger(section) {
     startClock();
 }
 
+/**
+ * Finds a backup by the type and number shown in /list-backups
+ * @param {string} type - 'full' or 'section'
+ * @param {string} number - Backup number as typed
+ * @param {string} command - Command name for the usage message
+ * @returns {Object|null} - The backup from listAllBackups or null after printing why
+ */
+function pickBackup(type, number, command) {
+    if ((type !== 'full' && type !== 'section') || !number) {
+        console.log(chalk.yellow(`usage: ${command} <full|section> <n>, numbers as in /list-backups`));
+        return null;
+    }
+    
+    const typeBackups = backup.listAllBackups().filter(b => b.type === type);
+    const index = parseInt(number, 10) - 1;
+    if (typeBackups.length === 0) {
+        console.log(chalk.red(`no ${type} backups found.`));
+        return null;
+    }
+    if (isNaN(index) || index < 0 || index >= typeBackups.length) {
+        console.log(chalk.red(`invalid backup number. choose 1-${typeBackups.length}`));
+        return null;
+    }
+    return typeBackups[index];
+}
+
+// automatic backups report through the view, an interval run redraws it unless something else is on screen
+function onAutomaticBackup(result) {
+    if (result.reason === 'exit') return;
+    
+    pendingNotice = result.error
+        ? chalk.red(`automatic backup failed: ${result.error}, see /backup-status`)
+        : chalk.dim(`automatic backup created: ${result.path}`);
+    if (result.reason === 'interval' && currentSection !== null && multiLineBuffer === null) {
+        refreshDisplay();
+    }
+}
+
+/**
+ * Asks before restoring a backup and restores it on yes
+ * @param {Object} backupFile - Backup with a local path
+ * @param {string} type - 'full' or 'section'
+ * @param {boolean} merge - Whether to merge instead of overwrite
+ * @param {Function} onDone - Called once answered, e.g. to remove a downloaded copy
+ */
+function confirmRestore(backupFile, type, merge, onDone = () => {}) {
+    console.log(chalk.yellow(`restoring from backup: ${backupFile.name || 'unknown'}`));
+    
+    const promptMsg = merge
+        ? `this will add the backup's thoughts to the current data${summarizeRestore(backupFile, type, true)}. proceed? (y/n): `
+        : `this will overwrite current data${summarizeRestore(backupFile, type)}. proceed? (y/n): `;
+    rl.question(promptMsg, (answer) => {
+        if (answer.toLowerCase() === 'y') {
+            const success = backup.restoreFromBackup(
+                backupFile.path,
+                type === 'section' ? currentSection : null,
+                merge ? 'merge' : 'overwrite'
+            );
+            
+            if (success) {
+                console.log(chalk.green('restoration completed successfully'));
+                logs = logger.loadAllLogs(currentSection);
+                updateDisplay();
+            } else {
+                console.log(chalk.red('restoration failed. please check the logs.'));
+            }
+        } else {
+            console.log(chalk.yellow('restoration cancelled'));
+        }
+        onDone();
+    });
+}
+
+function findDestination(name) {
+    const destination = destinations.getDestination(name);
+    if (!destination) {
+        const configured = destinations.getDestinations().map(candidate => candidate.name);
+        console.log(chalk.yellow(configured.length > 0
+            ? `no destination named ${name}, configured: ${configured.join(', ')}`
+            : 'no backup destinations configured, see backupDestinations in /config'));
+    }
+    return destination;
+}
+
+// restores a backup stored at a destination, numbered as in /list-backups <destination>
+function restoreFromDestination(name, type, number, merge) {
+    const destination = findDestination(name);
+    if (!destination) return;
+    if ((type !== 'full' && type !== 'section') || !number) {
+        console.log(chalk.yellow(`usage: /restore <full|section> <n> --from ${name}, numbers as in /list-backups ${name}`));
+        return;
+    }
+    
+    console.log(chalk.dim(`fetching from ${destinations.describeDestination(destination)}...`));
+    backup.listDestinationBackups(destination).then((backups) => {
+        const typeBackups = backups.filter(b => b.type === type);
+        const index = parseInt(number, 10) - 1;
+        if (isNaN(index) || index < 0 || index >= typeBackups.length) {
+            throw new Error(typeBackups.length === 0 ? `no ${type} backups there` : `invalid backup number, choose 1-${typeBackups.length}`);
+        }
+        const backupName = typeBackups[index].name;
+        return backup.fetchBackup(destination, backupName).then(fetched => ({ ...fetched, name: backupName }));
+    }).then((fetched) => {
+        confirmRestore(fetched, type, merge, fetched.cleanup);
+    }, (err) => {
+        console.log(chalk.red(`could not restore from ${name}: ${err.message}`));
+    });
+}
+
+// destination copies run in the background, only failures are worth interrupting for
+function onDestinationResult(result) {
+    if (result.error) {
+        pendingNotice = chalk.red(`backup copy to ${result.destination} failed: ${result.error}, see /backup-status`);
+    }
+}
+
+/**
+ * Reads the target of /at: a revision, or a date with an optional time
+ * A date without a time means the end of that day
+ * @param {Array} args - Command arguments
+ * @param {string} command - Command name for the usage message
+ * @returns {string|Date|null} - Revision or moment, null after printing why
+ */
+function resolveHistoryTarget(args, command) {
+    const [value, time, ...extra] = args;
+    const usage = `usage: ${command} <YYYY-MM-DD|today|yesterday> [HH:MM] or ${command} <rev>`;
+    if (!value || extra.length > 0) {
+        console.log(chalk.yellow(usage));
+        return null;
+    }
+    if (/^[0-9a-f]{7,40}$/i.test(value) && !time) {
+        return value;
+    }
+    
+    let date;
+    try {
+        date = query.parseDateValue(value.toLowerCase());
+    } catch (err) {
+        console.log(chalk.yellow(err.message));
+        return null;
+    }
+    if (!time) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    }
+    
+    const match = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        console.log(chalk.yellow(usage));
+        return null;
+    }
+    date.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 59, 999);
+    return date;
+}
+
+// what restoring a backup would do to the current data, for the confirmation prompt
+function summarizeRestore(backupFile, type, merge = false) {
+    try {
+        const diff = backup.diffBackup(backupFile.path, type === 'section' ? currentSection : null);
+        if (merge) {
+            return ` (+${diff.added.length} entries)`;
+        }
+        const changed = diff.changed.length > 0 ? `, ${diff.changed.length} changed` : '';
+        return ` (+${diff.added.length} entries, -${diff.removed.length} entries${changed})`;
+    } catch (err) {
+        return ` (can't compare it with the current data: ${err.message})`;
+    }
+}
+
 // command handlers
 const commands = {
     '/help': () => {
@@ -213,14 +977,49 @@ const commands = {
         console.log(chalk.bold.green('=== THOUGHT LOGGER COMMANDS ==='));
         console.log(chalk.cyan('/help') + ' - display this help message');
         console.log(chalk.cyan('/clear') + ' - clear the display (logs remain saved)');
-        console.log(chalk.cyan('/search <term>') + ' - search for logs containing a term');
-        console.log(chalk.cyan('/tag <tag> <message>') + ' - add a tagged thought');
+        console.log(chalk.cyan('/search <query> [--all|--tree] [--backups]') + ' - search logs, --all for every section, --tree adds nested sections, --backups to include backups');
+        console.log(chalk.dim('    words, "phrases", /regex/i, AND, OR, NOT, -word, (groups),'));
+        console.log(chalk.dim('    tag:<name>, section:<name>, section:<name>/*, after:YYYY-MM-DD, before:YYYY-MM-DD'));
+        console.log(chalk.cyan('/cd <path>') + ' - switch section, e.g. /cd work/projectA, /cd .. or /cd / for the menu');
+        console.log(chalk.cyan('/tag <tag>[,tag...] <message>') + ' - add a thought with one or more tags');
+        console.log(chalk.cyan('/long') + ' - write a multi-line thought, end it with a line containing only "."');
+        console.log(chalk.cyan('/edit-new') + ' - write a thought in $EDITOR');
+        console.log(chalk.cyan('/edit <n>') + ' - edit thought number n, multi-line thoughts open in $EDITOR');
+        console.log(chalk.cyan('/delete <n>') + ' - delete thought number n');
+        console.log(chalk.cyan('/undo') + ' - undo the last add, edit, delete or /done');
+        console.log(chalk.cyan('/done <n>') + ', ' + chalk.cyan('/reopen <n>') + ' - mark todo number n done, or open again');
+        console.log(chalk.cyan('/todos [--done]') + ' - open todos in every section by due date, --done for finished ones');
+        console.log(chalk.dim('    /tag todo due:friday <message>, due: takes today, tomorrow, a weekday, +3d, +2w or YYYY-MM-DD, add @HH:MM for a time'));
+        console.log(chalk.cyan('/reindex') + ' - rebuild the search index');
+        console.log(chalk.cyan('/tags [--all]') + ' - list tags with counts, --all for every section');
+        console.log(chalk.cyan('/filter <tag> [tag...] [--any|--all] [--all-sections]') + ' - show thoughts with any or all of the tags');
+        console.log(chalk.cyan('/older') + ', ' + chalk.cyan('/newer') + ', ' + chalk.cyan('/top') + ' - page through logs or results');
+        console.log(chalk.cyan('/page <n>') + ' - jump to page n, page 1 holds the oldest');
+        console.log(chalk.cyan('/goto <YYYY-MM-DD|today|yesterday>') + ' - jump to the first thought on or after a date');
         console.log(chalk.cyan('/count') + ' - show total number of logs');
         console.log(chalk.cyan('/today') + ' - show only today\'s logs');
+        console.log(chalk.cyan('/export <md|json|csv|html> [path] [--all]') + ' - export this section, --all for every section');
+        console.log(chalk.cyan('/import <file> [--section name] [--dry-run]') + ' - import markdown, text, csv or json');
+        console.log(chalk.cyan('/rename <name>') + ' - rename this section and its backups');
+        console.log(chalk.cyan('/describe <text> | --clear') + ' - change or remove the section description');
+        console.log(chalk.cyan('/archive') + ', ' + chalk.cyan('/unarchive') + ' - hide this section from the menu (still searchable) or show it again');
+        console.log(chalk.cyan('/merge <section>') + ' - move another section\'s thoughts into this one and remove it');
+        console.log(chalk.cyan('/delete-section') + ' - back up and delete this section');
+        console.log(chalk.cyan('/encrypt [--all]') + ' - encrypt this section and its backups with a passphrase, --all for every plain section');
+        console.log(chalk.cyan('/decrypt [--all]') + ' - store this section as plain text again, --all for every unlocked section');
+        console.log(chalk.cyan('/repair') + ' - keep the part of this encrypted section that can still be read, a backup is taken first');
         console.log(chalk.cyan('/backup') + ' - create backup of current section');
         console.log(chalk.cyan('/backup-all') + ' - create full backup of all sections');
-        console.log(chalk.cyan('/list-backups') + ' - list all available backups');
-        console.log(chalk.cyan('/restore [type] [number]') + ' - restore from backup');
+        console.log(chalk.cyan('/list-backups [destination]') + ' - list all available backups, or the ones copied to a destination');
+        console.log(chalk.cyan('/backup-status') + ' - show automatic backups, backup destinations and recent failures');
+        console.log(chalk.cyan('/verify-backup [full] [n|all]') + ' - check backups for damage, a number checks one from /list-backups');
+        console.log(chalk.cyan('/backup-show <full|section> <n>') + ' - page through the thoughts in a backup');
+        console.log(chalk.cyan('/backup-diff <full|section> <n>') + ' - compare a backup with the current data before restoring it');
+        console.log(chalk.cyan('/restore [type] [number] [--merge] [--from <destination>]') + ' - restore from backup, --merge adds its thoughts to the current ones instead of replacing them');
+        console.log(chalk.cyan('/history [n]') + ' - show the changes to this section, needs gitHistory on');
+        console.log(chalk.cyan('/at <date> [HH:MM] | <rev>') + ' - show this section as it was at a time or revision');
+        console.log(chalk.cyan('/revert <rev>') + ' - roll this section back to a revision from /history');
+        console.log(chalk.cyan('/config [set <key> <value>|unset <key>]') + ' - view or change settings');
         console.log(chalk.cyan('/menu') + ' - return to section selection menu');
         console.log(chalk.cyan('/exit') + ' - exit the program');
         console.log(chalk.bold.green('============================='));
@@ -228,7 +1027,7 @@ const commands = {
         
         process.stdin.once('data', () => {
             isDisplayingHelp = false;
-            updateDisplay();
+            refreshDisplay();
         });
     },
     
@@ -237,48 +1036,539 @@ const commands = {
         updateDisplay([], true);
     },
     
-    '/search': (term) => {
-        if (!term) {
-            console.log(chalk.yellow('please provide a search term'));
+    '/search': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        const knownFlags = ['--all', '--tree', '--backups'];
+        const queryString = rest.join(' ').trim();
+        if (!queryString || flags.some(f => !knownFlags.includes(f))) {
+            console.log(chalk.yellow('usage: /search <query> [--all|--tree] [--backups]'));
+            return;
+        }
+        
+        let compiled;
+        try {
+            compiled = query.compileQuery(queryString);
+        } catch (err) {
+            console.log(chalk.yellow(`invalid search: ${err.message}`));
             return;
         }
-        const searchResults = logs.filter(log => 
-            log.toLowerCase().includes(term.toLowerCase())
-        );
         
+        const allSections = flags.includes('--all');
+        const subtree = !allSections && flags.includes('--tree');
+        const includeBackups = flags.includes('--backups');
+        let sections = [currentSection];
+        if (allSections) {
+            sections = null;
+        } else if (subtree) {
+            sections = sectionManager.getSubtree(currentSection);
+        }
+        
+        const searchResults = searchIndex.search(compiled, { sections, includeBackups })
+            .map(result => (allSections || subtree || result.backup ? result : { ...result, section: undefined }));
+        
+        let scope = '';
+        if (allSections) {
+            scope = ' in all sections';
+        } else if (subtree) {
+            scope = ` in ${currentSection} and nested sections`;
+        }
+        scope += includeBackups ? ' and backups' : '';
+        
+        const locked = (sections || logger.getSections()).filter(section => logger.isSectionLocked(section));
+        const skipped = locked.length > 0 ? chalk.dim(` - ${locked.length} locked section(s) skipped`) : '';
         updateDisplay(searchResults, true, 
-            chalk.yellow(`search results for "${term}" (${searchResults.length} matches):`));
+            chalk.yellow(`search results for "${queryString}"${scope} (${searchResults.length} matches):`) + skipped,
+            compiled.highlight);
+    },
+    
+    '/reindex': () => {
+        console.log(chalk.cyan('rebuilding search index...'));
+        try {
+            const stats = searchIndex.rebuildIndex();
+            console.log(chalk.green(`indexed ${stats.entries} entries from ${stats.sections} sections and ${stats.backups} backups`));
+        } catch (err) {
+            console.log(chalk.red(`error rebuilding search index: ${err.message}`));
+        }
     },
     
     '/tag': (tagName, ...messageParts) => {
         if (!tagName || messageParts.length === 0) {
-            console.log(chalk.yellow('usage: /tag <tag> <message>'));
+            console.log(chalk.yellow('usage: /tag <tag>[,tag...] <message>'));
             return;
         }
         const fullMessage = messageParts.join(' ');
         logMessage(tag.createTaggedMessage(tagName, fullMessage));
     },
     
-    '/count': () => {
-        console.log(chalk.cyan(`total logs: ${logs.length}`));
+    '/edit': (number) => {
+        const target = getEntryByNumber(number);
+        if (!target) return;
+        
+        // readline can only prefill one line, multi-line thoughts go to the editor
+        if (target.text.includes('\n')) {
+            const text = runEditor(target.text);
+            if (text !== null) {
+                saveEdit(target, entry.normalizeText(text), number);
+            }
+            return;
+        }
+        
+        isEditing = true;
+        rl.question(chalk.cyan(`edit ${number}> `), (answer) => {
+            isEditing = false;
+            saveEdit(target, answer.trim(), number);
+        });
+        rl.write(target.text);
     },
     
-    '/today': () => {
-        const today = new Date().toLocaleDateString();
-        const todaysLogs = logs.filter(log => log.includes(today));
-        updateDisplay(todaysLogs, true, 
-            chalk.yellow(`today's logs (${todaysLogs.length}):`));
+    '/long': () => {
+        multiLineBuffer = [];
+        isEditing = true;
+        console.log(chalk.cyan('multi-line thought, finish with a line containing only "."'));
+        rl.setPrompt('... ');
+        rl.prompt();
     },
     
-    '/backup': () => {
-        backup.backupSection(currentSection);
+    '/edit-new': () => {
+        const text = runEditor('');
+        if (text === null) return;
+        
+        const normalized = entry.normalizeText(text);
+        if (normalized === '') {
+            updateDisplay(null, true, chalk.yellow('empty thought discarded'));
+            return;
+        }
+        logMessage(normalized);
+    },
+    
+    '/delete': (number) => {
+        const target = getEntryByNumber(number);
+        if (!target) return;
+        
+        const removed = logger.deleteLog(currentSection, target.id);
+        if (!removed) {
+            console.log(chalk.red('failed to delete entry'));
+            return;
+        }
+        
+        undoStack.push({ type: 'delete', entry: removed.entry, index: removed.index });
+        logs = logger.loadAllLogs(currentSection);
+        updateDisplay(null, true, chalk.green(`deleted entry ${number} (use /undo to restore it)`));
+    },
+    
+    '/done': (number, ...extra) => {
+        markTodo(number, extra, true);
+    },
+    
+    '/reopen': (number, ...extra) => {
+        markTodo(number, extra, false);
+    },
+    
+    '/todos': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        if (rest.length > 0 || flags.some(f => f !== '--done')) {
+            console.log(chalk.yellow('usage: /todos [--done]'));
+            return;
+        }
+        
+        const done = flags.includes('--done');
+        let todos;
+        try {
+            todos = todo.collectTodos({ done });
+        } catch (err) {
+            console.log(chalk.red(`error collecting todos: ${err.message}`));
+            return;
+        }
+        
+        let header;
+        if (done) {
+            todos.sort((a, b) => a.fields.doneAt.localeCompare(b.fields.doneAt));
+            header = chalk.yellow(`finished todos (${todos.length}), most recent last:`);
+        } else {
+            todos = todo.sortByDue(todos);
+            const now = new Date();
+            const overdue = todos.filter(logEntry => todo.getState(logEntry, now) === 'overdue').length;
+            header = chalk.yellow(`open todos (${todos.length}${overdue > 0 ? `, ${overdue} overdue` : ''}), soonest due first:`);
+        }
+        
+        // most urgent first, so the list opens on its first page
+        view = { entries: todos, header, highlight: null, start: done ? null : 0 };
+        renderView();
+    },
+    
+    '/undo': () => {
+        if (undoStack.length === 0) {
+            console.log(chalk.yellow('nothing to undo'));
+            return;
+        }
+        
+        const change = undoLastChange();
+        if (!change) {
+            console.log(chalk.red('undo failed'));
+            return;
+        }
+        
+        updateDisplay(null, true, chalk.green(`undid ${change.type}`));
+    },
+    
+    '/tags': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        if (rest.length > 0 || flags.some(f => f !== '--all')) {
+            console.log(chalk.yellow('usage: /tags [--all]'));
+            return;
+        }
+        
+        const allSections = flags.includes('--all');
+        const taggedEntries = loadEntries(allSections)
+            .map(logEntry => ({ ...logEntry, tags: entry.getEntryTags(logEntry) }));
+        const stats = tag.getTagStats(taggedEntries);
+        const scope = allSections ? 'all sections' : currentSection;
+        
+        if (stats.length === 0) {
+            console.log(chalk.yellow(`no tags found in ${scope}`));
+            return;
+        }
+        
+        const width = Math.max(...stats.map(s => s.tag.length));
+        console.log(chalk.cyan(`tags in ${scope} (${stats.length}):`));
+        stats.forEach(stat => {
+            const name = tag.getTagStyle(stat.tag).styler(stat.tag.padEnd(width));
+            const lastUsed = entry.formatDateTime(stat.lastUsed);
+            console.log(`  ${name}  ${String(stat.count).padStart(4)}  ${chalk.dim(`last used ${lastUsed}`)}`);
+        });
+    },
+    
+    '/filter': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        const knownFlags = ['--any', '--all', '--all-sections'];
+        const filterTags = rest.flatMap(arg => tag.splitTagList(arg.replace(/^#/, '')));
+        
+        if (filterTags.length === 0 || flags.some(f => !knownFlags.includes(f))
+            || (flags.includes('--any') && flags.includes('--all'))) {
+            console.log(chalk.yellow('usage: /filter <tag> [tag...] [--any|--all] [--all-sections]'));
+            return;
+        }
+        
+        const mode = flags.includes('--all') ? 'all' : 'any';
+        const allSections = flags.includes('--all-sections');
+        const results = loadEntries(allSections)
+            .filter(logEntry => tag.matchesTags(entry.getEntryTags(logEntry), filterTags, mode));
+        
+        const joiner = mode === 'all' ? ' and ' : ' or ';
+        const scope = allSections ? ' in all sections' : '';
+        updateDisplay(results, true,
+            chalk.yellow(`thoughts tagged ${filterTags.join(joiner)}${scope} (${results.length} matches):`));
+    },
+    
+    '/older': () => {
+        movePage(({ start, layout }) => getStartBefore(layout, start));
+    },
+    
+    '/newer': () => {
+        movePage(({ end }) => end);
+    },
+    
+    '/top': () => {
+        movePage(() => 0);
+    },
+    
+    '/page': (number, ...extra) => {
+        const page = parseInt(number);
+        if (isNaN(page) || page < 1 || extra.length > 0) {
+            console.log(chalk.yellow('usage: /page <n>'));
+            return;
+        }
+        
+        const layout = createLayout(view.entries || logs);
+        const starts = getPageStarts(layout);
+        if (page > starts.length) {
+            console.log(chalk.yellow(`there ${starts.length === 1 ? 'is 1 page' : `are ${starts.length} pages`}`));
+            return;
+        }
+        movePage(() => starts[page - 1], layout);
+    },
+    
+    '/goto': (value, ...extra) => {
+        if (!value || extra.length > 0) {
+            console.log(chalk.yellow('usage: /goto <YYYY-MM-DD|today|yesterday>'));
+            return;
+        }
+        
+        let date;
+        try {
+            date = query.parseDateValue(value.toLowerCase());
+        } catch (err) {
+            console.log(chalk.yellow(err.message));
+            return;
+        }
+        
+        const entries = view.entries || logs;
+        const index = entries.findIndex(logEntry => new Date(logEntry.timestamp) >= date);
+        if (index === -1) {
+            console.log(chalk.yellow(`nothing on or after ${value}`));
+            return;
+        }
+        movePage(() => index);
+    },
+    
+    '/count': () => {
+        console.log(chalk.cyan(`total logs: ${logs.length}`));
+    },
+    
+    '/today': () => {
+        const today = new Date();
+        const todaysLogs = logs.filter(logEntry => entry.isSameDay(logEntry, today));
+        updateDisplay(todaysLogs, true, 
+            chalk.yellow(`today's logs (${todaysLogs.length}):`));
+    },
+    
+    '/export': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        const [formatName, target] = rest;
+        
+        if (!formatName || rest.length > 2 || flags.some(f => f !== '--all')) {
+            console.log(chalk.yellow('usage: /export <md|json|csv|html> [path] [--all]'));
+            return;
+        }
+        if (!exporter.resolveFormat(formatName)) {
+            console.log(chalk.yellow(`unknown format: ${formatName}. choose md, json, csv or html`));
+            return;
+        }
+        
+        const sections = flags.includes('--all') ? logger.getSections() : [currentSection];
+        const outputPath = exporter.exportSections(sections, formatName, target || null);
+        if (outputPath) {
+            console.log(chalk.green(`exported ${sections.length} section(s) to ${outputPath}`));
+        }
+    },
+    
+    '/import': (...args) => {
+        const parsed = parseArgs(args, {
+            options: { section: 'string', 'dry-run': 'boolean' },
+            aliases: { s: 'section', n: 'dry-run' }
+        });
+        if (parsed.error || parsed.positionals.length !== 1) {
+            console.log(chalk.yellow(parsed.error || 'usage: /import <file> [--section name] [--dry-run]'));
+            return;
+        }
+        
+        const dryRun = parsed.options['dry-run'] === true;
+        const result = importer.importFile(parsed.positionals[0], {
+            section: parsed.options.section,
+            defaultSection: currentSection,
+            dryRun
+        });
+        if (!result) return;
+        
+        console.log(chalk.cyan(`${dryRun ? 'dry run: ' : ''}read ${result.format} file`));
+        result.sections.forEach(section => {
+            const created = section.created ? ' (new section)' : '';
+            const verb = dryRun ? 'would add' : 'added';
+            console.log(chalk.green(`${section.name}${created}: ${verb} ${section.added} entries, skipped ${section.duplicates} duplicates`));
+            if (dryRun) {
+                section.entries.slice(0, 5).forEach(logEntry => console.log(chalk.dim(`  ${entry.formatEntry(logEntry)}`)));
+                if (section.entries.length > 5) {
+                    console.log(chalk.dim(`  ...and ${section.entries.length - 5} more`));
+                }
+            }
+        });
+        
+        if (!dryRun && result.sections.some(section => section.name === currentSection)) {
+            logs = logger.loadAllLogs(currentSection);
+        }
+    },
+    
+    '/rename': (...args) => {
+        if (args.length !== 1) {
+            console.log(chalk.yellow('usage: /rename <name>'));
+            return;
+        }
+        
+        const previous = currentSection;
+        const result = sectionManager.renameSection(currentSection, args[0]);
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        
+        currentSection = result.name;
+        updateDisplay(null, true, chalk.green(`renamed ${previous} to ${result.name} (${result.backups} backups renamed)`));
+    },
+    
+    '/describe': (...args) => {
+        const { flags, rest } = splitFlags(args);
+        const clear = flags.length === 1 && flags[0] === '--clear' && rest.length === 0;
+        if (!clear && (flags.length > 0 || rest.length === 0)) {
+            console.log(chalk.yellow('usage: /describe <text> | --clear'));
+            return;
+        }
+        
+        const result = sectionManager.setDescription(currentSection, clear ? '' : rest.join(' '));
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        updateDisplay(null, true, chalk.green(clear ? 'description removed' : 'description updated'));
+    },
+    
+    '/archive': () => {
+        const result = sectionManager.setArchived(currentSection, true);
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        updateDisplay(null, true, chalk.green('section archived, it is hidden from the menu but still searchable'));
+    },
+    
+    '/unarchive': () => {
+        const result = sectionManager.setArchived(currentSection, false);
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        updateDisplay(null, true, chalk.green('section unarchived'));
+    },
+    
+    '/merge': (source, ...extra) => {
+        if (!source || extra.length > 0) {
+            console.log(chalk.yellow('usage: /merge <section>'));
+            return;
+        }
+        if (!sectionManager.sectionExists(source)) {
+            console.log(chalk.red(`no section named ${source}`));
+            return;
+        }
+        
+        isEditing = true;
+        rl.question(`merge all thoughts from ${source} into ${currentSection} and remove ${source}? (y/n): `, (answer) => {
+            isEditing = false;
+            if (answer.toLowerCase() !== 'y') {
+                updateDisplay(null, true, chalk.yellow('merge cancelled'));
+                return;
+            }
+            
+            const result = sectionManager.mergeSections(source, currentSection);
+            if (result.error) {
+                console.log(chalk.red(result.error));
+                return;
+            }
+            
+            logs = logger.loadAllLogs(currentSection);
+            undoStack = [];
+            updateDisplay(null, true, chalk.green(`merged ${source}: ${result.added} entries added, ${result.total} total`));
+        });
+    },
+    
+    '/delete-section': () => {
+        isEditing = true;
+        rl.question(`type ${currentSection} to delete this section (a backup is taken first): `, (answer) => {
+            isEditing = false;
+            if (answer.trim() !== currentSection) {
+                updateDisplay(null, true, chalk.yellow('delete cancelled'));
+                return;
+            }
+            
+            const result = sectionManager.deleteSection(currentSection);
+            if (result.error) {
+                console.log(chalk.red(result.error));
+                return;
+            }
+            
+            console.log(chalk.green(`deleted ${currentSection}, backup kept at ${result.backupPath}`));
+            clearInterval(clockInterval);
+            setTimeout(showMainMenu, 1500);
+        });
+    },
+    
+    '/encrypt': (...args) => {
+        const all = args.includes('--all');
+        if (args.some(arg => arg !== '--all')) {
+            console.log(chalk.yellow('usage: /encrypt [--all]'));
+            return;
+        }
+        
+        const sections = all
+            ? logger.getSections().filter(section => !logger.isSectionEncrypted(section))
+            : [currentSection].filter(section => !logger.isSectionEncrypted(section));
+        if (sections.length === 0) {
+            console.log(chalk.yellow(all ? 'every section is already encrypted' : 'this section is already encrypted'));
+            return;
+        }
+        
+        isEditing = true;
+        askHidden('new passphrase: ', (passphrase) => {
+            if (!passphrase) {
+                isEditing = false;
+                updateDisplay(null, true, chalk.yellow('encryption cancelled'));
+                return;
+            }
+            askHidden('repeat passphrase: ', (repeated) => {
+                isEditing = false;
+                if (repeated !== passphrase) {
+                    updateDisplay(null, true, chalk.red('passphrases did not match, nothing was encrypted'));
+                    return;
+                }
+                
+                // one header for the whole batch so a single key opens all of them
+                const header = encryption.createHeader(passphrase);
+                // --all is a one-off conversion, nothing marks sections created later for encryption
+                const notes = all ? ['sections created from now on start out plain, use /encrypt in them to protect them too'] : [];
+                reportConversion('encrypted', sections.map(section => sectionManager.encryptSection(section, header)), notes);
+            });
+        });
+    },
+    
+    '/decrypt': (...args) => {
+        const all = args.includes('--all');
+        if (args.some(arg => arg !== '--all')) {
+            console.log(chalk.yellow('usage: /decrypt [--all]'));
+            return;
+        }
+        
+        const sections = (all ? logger.getSections() : [currentSection])
+            .filter(section => logger.isSectionEncrypted(section));
+        if (sections.length === 0) {
+            console.log(chalk.yellow(all ? 'no section is encrypted' : 'this section is not encrypted'));
+            return;
+        }
+        
+        reportConversion('decrypted', sections.map(section => sectionManager.decryptSection(section)));
+    },
+    
+    '/repair': () => {
+        const result = sectionManager.repairSection(currentSection);
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        
+        logs = logger.loadAllLogs(currentSection);
+        undoStack = [];
+        updateDisplay(null, true, chalk.green(`kept ${result.kept} entries, dropped ${result.dropped} damaged lines, the old file is backed up at ${result.backupPath}`));
+    },
+    
+    '/backup': () => {
+        backup.backupSection(currentSection);
     },
     
     '/backup-all': () => {
         backup.createFullBackup();
     },
     
-    '/restore': (type, number) => {
+    '/restore': (...args) => {
+        const parsed = parseArgs(args, { options: { merge: 'boolean', from: 'string' } });
+        if (parsed.error) {
+            console.log(chalk.yellow('usage: /restore [type] [number] [--merge] [--from <destination>]'));
+            return;
+        }
+        const [type, number] = parsed.positionals;
+        const merge = Boolean(parsed.options.merge);
+        
+        if (parsed.options.from) {
+            restoreFromDestination(parsed.options.from, type, number, merge);
+            return;
+        }
+        
         // Case 1: No arguments - show available backups for current section
         if (!type) {
             const allBackups = backup.listBackups();
@@ -343,39 +1633,314 @@ const commands = {
                 return;
             }
             
-            console.log(chalk.yellow(`restoring from backup: ${backupToRestore.filename || backupToRestore.name || 'unknown'}`));
-            
-            const promptMsg = 'this will overwrite current data. proceed? (y/n): ';
-            rl.question(promptMsg, (answer) => {
-                if (answer.toLowerCase() === 'y') {
-                    const success = backup.restoreFromBackup(
-                        backupToRestore.path,
-                        type === 'section' ? currentSection : null,
-                        true
-                    );
-                    
-                    if (success) {
-                        console.log(chalk.green('restoration completed successfully'));
-                        logs = logger.loadAllLogs(currentSection);
-                        updateDisplay();
-                    } else {
-                        console.log(chalk.red('restoration failed. please check the logs.'));
-                    }
-                } else {
-                    console.log(chalk.yellow('restoration cancelled'));
-                }
-            });
+            confirmRestore(backupToRestore, type, merge);
             return;
         }
         
         // Case 3: Invalid arguments
-        console.log(chalk.yellow('Usage: /restore [type] [number]'));
+        console.log(chalk.yellow('Usage: /restore [type] [number] [--merge] [--from <destination>]'));
         console.log(chalk.yellow('Types: "section" or "full"'));
         console.log(chalk.yellow('Use /list-backups to see available backups'));
     },
     
-    '/list-backups': () => {
-        backup.listBackups();
+    '/list-backups': (name) => {
+        if (!name) {
+            backup.listBackups();
+            const configured = destinations.getDestinations();
+            if (configured.length > 0) {
+                console.log(chalk.dim(`destinations: ${configured.map(destination => destination.name).join(', ')}, /list-backups <destination> lists one`));
+            }
+            return;
+        }
+        
+        const destination = findDestination(name);
+        if (!destination) return;
+        console.log(chalk.dim(`listing ${destinations.describeDestination(destination)}...`));
+        backup.listDestinationBackups(destination).then((backups) => {
+            backup.listBackups(backups.filter(b => b.type === 'full'), backups.filter(b => b.type === 'section'), name);
+        }, (err) => {
+            console.log(chalk.red(`could not list backups on ${name}: ${err.message}`));
+        });
+    },
+    
+    '/backup-show': (type, number) => {
+        const backupFile = pickBackup(type, number, '/backup-show');
+        if (!backupFile) return;
+        
+        let contents;
+        try {
+            contents = backup.readBackupEntries(backupFile.path);
+        } catch (err) {
+            console.log(chalk.red(`can't read ${backupFile.name}: ${err.message}`));
+            return;
+        }
+        
+        const entries = Object.entries(contents.sections)
+            .flatMap(([section, sectionEntries]) => sectionEntries.map(logEntry => ({ ...logEntry, section, backup: backupFile.name })))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        updateDisplay(entries, true, chalk.yellow(`backup ${backupFile.name} (${entries.length} entries):`));
+    },
+    
+    '/backup-diff': (type, number) => {
+        const backupFile = pickBackup(type, number, '/backup-diff');
+        if (!backupFile) return;
+        
+        let diff;
+        try {
+            diff = backup.diffBackup(backupFile.path, type === 'section' ? currentSection : null);
+        } catch (err) {
+            console.log(chalk.red(`can't compare ${backupFile.name}: ${err.message}`));
+            return;
+        }
+        
+        // a section backup is compared with this section, no need to repeat its name on every row
+        const mark = (logEntry, change) => ({ ...logEntry, change, section: type === 'full' ? logEntry.section : undefined });
+        const rows = [
+            ...diff.added.map(logEntry => mark(logEntry, 'added')),
+            ...diff.removed.map(logEntry => mark(logEntry, 'removed')),
+            ...diff.changed.flatMap(pair => [mark(pair.backup, 'was'), mark(pair.current, 'now')])
+        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        const target = type === 'section' ? currentSection : 'current data';
+        updateDisplay(rows, true, chalk.yellow(`${backupFile.name} against ${target}: `) +
+            chalk.green(`+${diff.added.length} only in backup`) + ', ' +
+            chalk.red(`-${diff.removed.length} only in current`) + ', ' +
+            chalk.yellow(`~${diff.changed.length} changed`));
+    },
+    
+    '/backup-status': () => {
+        const status = scheduler.getStatus();
+        const formatTime = (time) => entry.formatDateTime(new Date(time));
+        const off = chalk.dim('off');
+        
+        console.log(chalk.cyan('automatic backups:'));
+        console.log(`  interval: ${config.autoBackupMinutes > 0 ? `every ${config.autoBackupMinutes} minutes` : off}`);
+        console.log(`  after new entries: ${config.backupEveryEntries > 0
+            ? `${config.backupEveryEntries} (${status.entriesSinceBackup} since the last backup)`
+            : off}`);
+        console.log(`  on exit: ${config.backupOnExit ? 'on' : off}`);
+        
+        if (status.lastRun) {
+            console.log(`last automatic backup: ${formatTime(status.lastRun.at)} (${status.lastRun.reason}) ${chalk.dim(status.lastRun.path)}`);
+        } else {
+            console.log(`last automatic backup: ${chalk.dim('none this session')}`);
+        }
+        
+        const newest = backup.listAllBackups().sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+        console.log(`newest backup on disk: ${newest ? `${formatTime(newest.mtimeMs)} ${chalk.dim(newest.name)}` : chalk.dim('none')}`);
+        console.log(`next scheduled run: ${status.nextRun ? formatTime(status.nextRun) : chalk.dim('not scheduled')}`);
+        
+        if (status.failures.length === 0) {
+            console.log(chalk.green('no failed automatic backups this session'));
+        } else {
+            console.log(chalk.red(`recent failures (${status.failures.length}):`));
+            status.failures.forEach(failure => {
+                console.log(chalk.red(`  ${formatTime(failure.at)} (${failure.reason}): ${failure.error}`));
+            });
+        }
+        
+        destinations.describeStatus().forEach(destination => {
+            const { maxBackupsPerSection, backupRetentionDays } = destination.retention;
+            const days = backupRetentionDays > 0 ? `, ${backupRetentionDays} days` : '';
+            console.log(chalk.cyan(`destination ${destination.name}: `) + `${destination.target} ${chalk.dim(`(keeps ${maxBackupsPerSection}${days})`)}`);
+            console.log(`  last copy: ${destination.lastCopy
+                ? `${formatTime(destination.lastCopy.at)} ${chalk.dim(destination.lastCopy.done)}`
+                : chalk.dim('none this session')}`);
+            destination.failures.forEach(failure => {
+                console.log(chalk.red(`  ${formatTime(failure.at)} ${failure.action}: ${failure.error}`));
+            });
+        });
+    },
+    
+    '/history': (limit, ...extra) => {
+        const count = limit === undefined ? getMaxLogsForTerminal() : parseInt(limit, 10);
+        if (extra.length > 0 || isNaN(count) || count < 1) {
+            console.log(chalk.yellow('usage: /history [n]'));
+            return;
+        }
+        
+        const status = history.getStatus();
+        if (status.lastError) {
+            console.log(chalk.red(`history is not being recorded: ${status.lastError}`));
+        }
+        
+        let timeline;
+        try {
+            timeline = history.getTimeline(currentSection, count);
+        } catch (err) {
+            console.log(chalk.yellow(err.message));
+            return;
+        }
+        if (timeline.length === 0) {
+            console.log(chalk.yellow(`no history for ${currentSection} yet`));
+            return;
+        }
+        
+        console.log(chalk.cyan(`history of ${currentSection}, newest first:`));
+        timeline.forEach(change => {
+            const counts = `${chalk.green(`+${change.added}`)} ${chalk.red(`-${change.removed}`)}`;
+            console.log(`${chalk.yellow(change.rev)} ${entry.formatDateTime(change.date)} ${change.message} ${counts}`);
+        });
+        console.log(chalk.dim('/at <date|rev> shows the section as it was, /revert <rev> rolls it back'));
+    },
+    
+    '/at': (...args) => {
+        const target = resolveHistoryTarget(args, '/at');
+        if (!target) return;
+        
+        let revision;
+        let content;
+        try {
+            revision = history.findRevision(target);
+            content = history.readSectionAt(currentSection, revision.rev);
+        } catch (err) {
+            console.log(chalk.yellow(err.message));
+            return;
+        }
+        if (content === null) {
+            console.log(chalk.yellow(`${currentSection} did not exist at ${revision.rev}`));
+            return;
+        }
+        
+        let entries;
+        try {
+            entries = logger.parseEntries(encryption.decryptContent(content));
+        } catch (err) {
+            console.log(chalk.red(`can't read that version: ${err.message}`));
+            return;
+        }
+        updateDisplay(entries, true, chalk.yellow(
+            `${currentSection} as it was at ${entry.formatDateTime(revision.date)} (${revision.rev}, ${entries.length} entries), /revert ${revision.rev} to go back to it:`
+        ));
+    },
+    
+    '/revert': (rev, ...extra) => {
+        if (!rev || extra.length > 0) {
+            console.log(chalk.yellow('usage: /revert <rev>, revisions as in /history'));
+            return;
+        }
+        
+        let revision;
+        try {
+            revision = history.findRevision(rev);
+        } catch (err) {
+            console.log(chalk.yellow(err.message));
+            return;
+        }
+        
+        rl.question(`roll ${currentSection} back to ${revision.rev} (${entry.formatDateTime(revision.date)})? later changes stay in the history. (y/n): `, (answer) => {
+            if (answer.toLowerCase() !== 'y') {
+                console.log(chalk.yellow('revert cancelled'));
+                return;
+            }
+            const result = sectionManager.revertSection(currentSection, revision.rev);
+            if (result.error) {
+                console.log(chalk.red(result.error));
+                return;
+            }
+            logs = logger.loadAllLogs(currentSection);
+            undoStack = [];
+            updateDisplay(null, true, chalk.green(`${currentSection} rolled back to ${revision.rev}, ${result.entries} entries`));
+        });
+    },
+    
+    '/verify-backup': (...args) => {
+        const type = args[0] === 'full' || args[0] === 'section' ? args.shift() : null;
+        const [target = 'all', ...extra] = args;
+        const number = parseInt(target, 10);
+        if (extra.length > 0 || (target !== 'all' && (isNaN(number) || String(number) !== target))) {
+            console.log(chalk.yellow('usage: /verify-backup [full] [n|all]'));
+            return;
+        }
+        
+        let backupFiles = backup.listAllBackups().filter(b => !type || b.type === type);
+        if (target !== 'all') {
+            // numbers follow /list-backups, where section backups are numbered unless full is given
+            const typeBackups = backupFiles.filter(b => b.type === (type || 'section'));
+            if (number < 1 || number > typeBackups.length) {
+                console.log(chalk.red(`invalid backup number. choose 1-${typeBackups.length}`));
+                return;
+            }
+            backupFiles = [typeBackups[number - 1]];
+        }
+        if (backupFiles.length === 0) {
+            console.log(chalk.yellow('no backups to verify'));
+            return;
+        }
+        
+        const counts = backup.verifyBackups(backupFiles);
+        const color = counts.corrupt > 0 ? chalk.red : chalk.green;
+        console.log(color(`${counts.ok} ok, ${counts.legacy} in the old format, ${counts.corrupt} damaged`));
+    },
+    
+    '/config': (action, key, ...valueParts) => {
+        if (!action) {
+            console.log(chalk.cyan(`settings (saved in ${settings.getConfigFilePath()}):`));
+            settings.describeSettings().forEach(setting => {
+                const source = setting.source === 'default' ? '' : chalk.yellow(` (${setting.source})`);
+                console.log(`  ${chalk.green(setting.key)} = ${settings.formatValue(setting.value)}${source}`);
+                console.log(chalk.dim(`      ${setting.description}, env ${setting.envName}`));
+            });
+            return;
+        }
+        
+        let result;
+        if (action === 'set' && key && valueParts.length > 0) {
+            result = settings.setSetting(key, valueParts.join(' '));
+        } else if (action === 'unset' && key && valueParts.length === 0) {
+            result = settings.unsetSetting(key);
+        } else {
+            console.log(chalk.yellow('usage: /config [set <key> <value>|unset <key>]'));
+            return;
+        }
+        
+        if (result.error) {
+            console.log(chalk.red(result.error));
+            return;
+        }
+        
+        console.log(chalk.green(`${key} ${action === 'set' ? 'saved' : 'reset'}: ${settings.formatValue(result.value)}`));
+        if (result.overriddenBy) {
+            const by = result.overriddenBy === 'env' ? 'an environment variable' : 'the --data-dir flag';
+            console.log(chalk.yellow(`currently overridden by ${by}`));
+        }
+        if (result.restartRequired) {
+            console.log(chalk.yellow('restart thought-cli to use the new data directory'));
+        }
+        if (key === 'autoBackupMinutes') {
+            scheduler.start();
+        }
+    },
+    
+    '/cd': (...args) => {
+        if (args.length > 1) {
+            console.log(chalk.yellow('usage: /cd <path>'));
+            return;
+        }
+        
+        const target = args[0] || '/';
+        let name = sectionManager.resolvePath(currentSection, target);
+        // a path that doesn't exist below the current section is tried from the top
+        if (sectionManager.getSubtree(name).length === 0 && !target.startsWith('.')) {
+            name = sectionManager.resolvePath('', target);
+        }
+        
+        if (name !== '' && sectionManager.getSubtree(name).length === 0) {
+            console.log(chalk.yellow(`no section named ${name}`));
+            return;
+        }
+        
+        clearInterval(clockInterval);
+        if (sectionManager.sectionExists(name)) {
+            startLogger(name);
+            return;
+        }
+        
+        // the top or a group without its own section, show it in the menu
+        if (name !== '') {
+            expandTo(name);
+        }
+        showMainMenu();
     },
     
     '/menu': () => {
@@ -389,13 +1954,26 @@ const commands = {
 };
 
 function setupEventListeners() {
+    scheduler.start(onAutomaticBackup);
+    destinations.setListener(onDestinationResult);
+    
     rl.on('line', (input) => {
         if (currentSection === null) return;
         
+        if (multiLineBuffer !== null) {
+            if (input.trim() === '.') {
+                finishMultiLine();
+            } else {
+                multiLineBuffer.push(input);
+                rl.prompt();
+            }
+            return;
+        }
+        
         const trimmed = input.trim();
         
         if (trimmed === '') {
-            updateDisplay();
+            refreshDisplay();
             return;
         }
         
@@ -416,8 +1994,24 @@ function setupEventListeners() {
     
     rl.on('close', () => {
         if (clockInterval) clearInterval(clockInterval);
-        console.log(chalk.green('\nthought logger closed'));
-        process.exit(0);
+        const exitBackup = scheduler.runOnExit();
+        if (exitBackup) {
+            console.log(exitBackup.error
+                ? chalk.red(`\nbackup on exit failed: ${exitBackup.error}`)
+                : chalk.green(`\nbackup created: ${exitBackup.path}`));
+        }
+        const exit = () => {
+            console.log(chalk.green('\nthought logger closed'));
+            process.exit(0);
+        };
+        if (destinations.isIdle()) {
+            exit();
+            return;
+        }
+        
+        // copies to destinations still running would be cut off, give them a minute
+        console.log(chalk.dim('waiting for backup copies to finish...'));
+        Promise.race([destinations.whenIdle(), new Promise(resolve => setTimeout(resolve, 60000))]).then(exit);
     });
 }
 
@@ -0,0 +1,367 @@
+const http = require('http');
+const logger = require('./logger');
+const entry = require('./entry');
+const tag = require('./tag');
+const query = require('./query');
+const searchIndex = require('./searchIndex');
+const sectionManager = require('./section');
+const backup = require('./backup');
+const { escapeHtml, groupByDay, getTimeOfDay, getTagCss, renderTaggedHtml } = require('./export');
+const { tokensMatch } = require('./server');
+
+/**
+ * Read-only web viewer for thought-cli, started with `node script.js view`
+ * Pages are rendered on the server as plain html with the same tag colors as the html
+ * export, no scripts and nothing loaded from elsewhere. It shares the token of the local API:
+ * the link printed on start carries it once, after that a cookie does.
+ *
+ *   /                          sections with their descriptions
+ *   /sections/<name>?tag=&q=   entries grouped by day, filtered by tag or query
+ *   /search?q=&tag=&backups=   search every section
+ *   /backups                   backups with their chains
+ *   /backups/<file>?section=   what a backup holds
+ */
+
+const pageSize = 200;
+const cookieName = 'thought_token';
+
+function link(pathname, params = {}) {
+    const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    const queryString = search.toString();
+    return escapeHtml(queryString ? `${pathname}?${queryString}` : pathname);
+}
+
+function sectionLink(name, params = {}) {
+    return link(`/sections/${encodeURIComponent(name)}`, params);
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - thought-cli</title>
+<style>
+body { background: #1e1e1e; color: #d4d4d4; font-family: ui-monospace, Menlo, Consolas, monospace; margin: 2em auto; max-width: 60em; padding: 0 1em; }
+a { color: #3b8eea; text-decoration: none; }
+a:hover { text-decoration: underline; }
+nav { display: flex; gap: 1.5em; align-items: center; border-bottom: 1px solid #333; padding-bottom: 0.8em; }
+nav form { margin-left: auto; }
+input, select, button { background: #2d2d2d; color: #d4d4d4; border: 1px solid #444; font: inherit; padding: 0.2em 0.4em; }
+h1, h2 { color: #23d18b; }
+h3 { color: #888; font-weight: normal; border-bottom: 1px solid #333; }
+.description { color: #11a8cd; }
+.dim { color: #888; }
+.notice { color: #e5e510; }
+ul { list-style: none; padding-left: 0; }
+li { margin: 0.3em 0; white-space: pre-wrap; }
+time { color: #888; margin-right: 0.5em; }
+.tags a { margin-right: 0.8em; }
+.tags a.active { text-decoration: underline; }
+.pages { display: flex; gap: 1.5em; }
+table { border-collapse: collapse; }
+td, th { text-align: left; padding: 0.2em 1em 0.2em 0; }
+</style>
+</head>
+<body>
+<nav><a href="/">sections</a><a href="/backups">backups</a>
+<form action="/search"><input name="q" placeholder="search every section" size="30"> <button>search</button></form></nav>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderEntries(entries) {
+    return groupByDay(entries).map(group => {
+        const items = group.entries.map(logEntry =>
+            `<li><time datetime="${logEntry.timestamp}">${getTimeOfDay(logEntry.timestamp)}</time>` +
+            `<span class="text">${renderTaggedHtml(logEntry.text)}</span></li>`
+        ).join('\n');
+        return `<h3>${group.day}</h3>\n<ul>\n${items}\n</ul>`;
+    }).join('\n');
+}
+
+// tags as links in their own colors, the active one underlined
+function renderTagFilter(entries, active, linkFor) {
+    const stats = tag.getTagStats(entries.map(logEntry => ({ ...logEntry, tags: entry.getEntryTags(logEntry) })));
+    if (stats.length === 0) {
+        return '';
+    }
+
+    const links = stats.map(stat => {
+        const css = getTagCss(tag.getTagStyle(stat.tag));
+        const className = stat.tag === active ? ' class="active"' : '';
+        return `<a${className} style="${css}" href="${linkFor(stat.tag === active ? null : stat.tag)}">${escapeHtml(stat.tag)} ${stat.count}</a>`;
+    });
+    return `<p class="tags">${links.join('\n')}</p>`;
+}
+
+function filterByTag(entries, name) {
+    return name ? entries.filter(logEntry => tag.matchesTags(entry.getEntryTags(logEntry), [tag.resolveTag(name)])) : entries;
+}
+
+function renderSectionList(names, metadata) {
+    const items = names.map(name => {
+        const depth = name.split('/').length - 1;
+        const label = escapeHtml(name.split('/').pop());
+        const description = metadata[name]?.description
+            ? ` <span class="description">${escapeHtml(metadata[name].description)}</span>`
+            : '';
+        const state = logger.isSectionLocked(name)
+            ? ' <span class="dim">(encrypted)</span>'
+            : ` <span class="dim">${logger.loadAllLogs(name).length}</span>`;
+        return `<li style="padding-left:${depth * 2}em"><a href="${sectionLink(name)}">${label}</a>${state}${description}</li>`;
+    });
+    return `<ul>\n${items.join('\n')}\n</ul>`;
+}
+
+function showSections() {
+    const metadata = logger.getSectionMetadata();
+    const { active, archived } = sectionManager.listSections();
+    let body = `<h1>sections</h1>\n${renderSectionList(active, metadata)}`;
+    if (archived.length > 0) {
+        body += `\n<h2>archived</h2>\n${renderSectionList(archived, metadata)}`;
+    }
+    return { status: 200, title: 'sections', body };
+}
+
+function showSection(name, searchParams) {
+    // only names from the section list are read, so no path outside the sections directory can be asked for
+    if (!logger.getSections().includes(name)) {
+        return { status: 404, title: 'not found', body: `<p class="notice">no section named ${escapeHtml(name)}</p>` };
+    }
+
+    const metadata = logger.getSectionMetadata()[name] || {};
+    let body = `<h1>${escapeHtml(name)}</h1>\n`;
+    if (metadata.description) {
+        body += `<p class="description">${escapeHtml(metadata.description)}</p>\n`;
+    }
+    if (logger.isSectionLocked(name)) {
+        body += '<p class="notice">this section is encrypted, start the viewer with THOUGHT_PASSPHRASE to read it</p>';
+        return { status: 423, title: name, body };
+    }
+
+    const activeTag = searchParams.get('tag') || '';
+    const queryString = (searchParams.get('q') || '').trim();
+    const all = logger.loadAllLogs(name);
+    let entries = all;
+    if (queryString !== '') {
+        try {
+            const compiled = query.compileQuery(queryString);
+            entries = entries.filter(logEntry => compiled.test(logEntry, name));
+        } catch (err) {
+            body += `<p class="notice">invalid search: ${escapeHtml(err.message)}</p>\n`;
+            entries = [];
+        }
+    }
+    entries = filterByTag(entries, activeTag);
+
+    body += `<form action="${sectionLink(name)}"><input name="q" value="${escapeHtml(queryString)}" placeholder="search this section" size="30">` +
+        (activeTag ? `<input type="hidden" name="tag" value="${escapeHtml(activeTag)}">` : '') +
+        ' <button>search</button></form>\n';
+    body += renderTagFilter(all, tag.resolveTag(activeTag), selected => sectionLink(name, { q: queryString, tag: selected }));
+
+    // pages hold the oldest entries first like the app, the newest page is shown first
+    const pages = Math.max(1, Math.ceil(entries.length / pageSize));
+    const requested = parseInt(searchParams.get('page'));
+    const page = requested >= 1 && requested <= pages ? requested : pages;
+    const shown = entries.slice((page - 1) * pageSize, page * pageSize);
+    const pageLink = (target) => sectionLink(name, { q: queryString, tag: activeTag, page: target });
+
+    const navigation = pages > 1
+        ? `<p class="pages">${page > 1 ? `<a href="${pageLink(page - 1)}">older</a>` : ''}` +
+            `<span class="dim">page ${page} of ${pages}</span>` +
+            `${page < pages ? `<a href="${pageLink(page + 1)}">newer</a>` : ''}</p>\n`
+        : '';
+    const summary = entries.length === all.length
+        ? `${all.length} entries`
+        : `${entries.length} of ${all.length} entries`;
+    body += `<p class="dim">${summary}</p>\n${navigation}${renderEntries(shown)}\n${navigation}`;
+    return { status: 200, title: name, body };
+}
+
+function showSearch(searchParams) {
+    const queryString = (searchParams.get('q') || '').trim();
+    const activeTag = searchParams.get('tag') || '';
+    const includeBackups = searchParams.get('backups') === '1';
+    let body = `<h1>search</h1>\n<form action="/search"><input name="q" value="${escapeHtml(queryString)}" size="40"> ` +
+        `<label><input type="checkbox" name="backups" value="1"${includeBackups ? ' checked' : ''}> backups</label> <button>search</button></form>\n`;
+    if (queryString === '') {
+        return { status: 200, title: 'search', body };
+    }
+
+    let results;
+    try {
+        results = searchIndex.search(query.compileQuery(queryString), { sections: null, includeBackups });
+    } catch (err) {
+        body += `<p class="notice">invalid search: ${escapeHtml(err.message)}</p>`;
+        return { status: 400, title: 'search', body };
+    }
+
+    const linkFor = selected => link('/search', { q: queryString, tag: selected, backups: includeBackups ? '1' : null });
+    body += renderTagFilter(results, tag.resolveTag(activeTag), linkFor);
+    results = filterByTag(results, activeTag);
+    body += `<p class="dim">${results.length} matches</p>\n`;
+
+    // results come grouped by section, each group becomes a heading
+    const groups = new Map();
+    for (const result of results) {
+        const key = result.backup ? `${result.section} (backup ${result.backup})` : result.section;
+        if (!groups.has(key)) groups.set(key, { section: result.section, backup: result.backup, entries: [] });
+        groups.get(key).entries.push(result);
+    }
+    for (const [key, group] of groups) {
+        const href = group.backup ? link(`/backups/${encodeURIComponent(group.backup)}`, { section: group.section }) : sectionLink(group.section);
+        body += `<h2><a href="${href}">${escapeHtml(key)}</a></h2>\n${renderEntries(group.entries)}\n`;
+    }
+    return { status: 200, title: `search ${queryString}`, body };
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function showBackups() {
+    const snapshots = backup.listSnapshots({ quiet: true });
+    const sectionBackups = backup.listAllBackups({ quiet: true }).filter(backupFile => backupFile.type === 'section');
+
+    const row = (backupFile, label, depth = 0) =>
+        `<tr><td style="padding-left:${depth}em"><a href="${link(`/backups/${encodeURIComponent(backupFile.name)}`)}">${escapeHtml(label)}</a></td>` +
+        `<td class="dim">${escapeHtml(entry.formatDateTime(backupFile.date))}</td><td class="dim">${formatSize(backupFile.size)}</td></tr>`;
+
+    let body = '<h1>backups</h1>\n<h2>full</h2>\n';
+    body += snapshots.length === 0
+        ? '<p class="dim">no full backups</p>\n'
+        : `<table>\n${snapshots.map(snapshot => row(snapshot, snapshot.incremental ? `+ ${snapshot.name}` : snapshot.name, snapshot.depth)).join('\n')}\n</table>\n`;
+    body += '<h2>sections</h2>\n';
+    body += sectionBackups.length === 0
+        ? '<p class="dim">no section backups</p>\n'
+        : `<table>\n${sectionBackups.map(backupFile => row(backupFile, backupFile.name)).join('\n')}\n</table>\n`;
+    return { status: 200, title: 'backups', body };
+}
+
+function showBackup(name, searchParams) {
+    // only names from the listing are read, so no path outside the backup directory can be asked for
+    const backupFile = backup.listAllBackups({ quiet: true }).find(candidate => candidate.name === name);
+    if (!backupFile) {
+        return { status: 404, title: 'not found', body: `<p class="notice">no backup named ${escapeHtml(name)}</p>` };
+    }
+
+    let body = `<h1>${escapeHtml(name)}</h1>\n<p class="dim">${escapeHtml(entry.formatDateTime(backupFile.date))}, ${formatSize(backupFile.size)}</p>\n`;
+    let contents;
+    try {
+        contents = backup.readBackupEntries(backupFile.path);
+    } catch (err) {
+        body += `<p class="notice">${escapeHtml(err.message)}</p>`;
+        return { status: 422, title: name, body };
+    }
+
+    const names = Object.keys(contents.sections);
+    const selected = names.length === 1 ? names[0] : searchParams.get('section');
+    if (!selected || !contents.sections[selected]) {
+        const items = names.map(section =>
+            `<li><a href="${link(`/backups/${encodeURIComponent(name)}`, { section })}">${escapeHtml(section)}</a> ` +
+            `<span class="dim">${contents.sections[section].length}</span></li>`
+        );
+        body += `<ul>\n${items.join('\n')}\n</ul>`;
+        return { status: 200, title: name, body };
+    }
+
+    const activeTag = searchParams.get('tag') || '';
+    const all = contents.sections[selected];
+    const linkFor = tagName => link(`/backups/${encodeURIComponent(name)}`, { section: names.length > 1 ? selected : null, tag: tagName });
+    body += `<h2>${escapeHtml(selected)}</h2>\n` + renderTagFilter(all, tag.resolveTag(activeTag), linkFor);
+    body += renderEntries(filterByTag(all, activeTag));
+    return { status: 200, title: name, body };
+}
+
+function route(pathname, searchParams) {
+    if (pathname === '/') return showSections();
+    if (pathname === '/search') return showSearch(searchParams);
+    if (pathname === '/backups') return showBackups();
+
+    const sectionMatch = pathname.match(/^\/sections\/(.+)$/);
+    const backupMatch = pathname.match(/^\/backups\/([^/]+)$/);
+    if (sectionMatch || backupMatch) {
+        let name;
+        try {
+            name = decodeURIComponent((sectionMatch || backupMatch)[1]);
+        } catch (err) {
+            // a broken escape such as %E0 is a bad request, not a missing page
+            return { status: 400, title: 'bad address', body: `<p class="notice">${escapeHtml(pathname)} is not a valid address</p>` };
+        }
+        return sectionMatch ? showSection(name, searchParams) : showBackup(name, searchParams);
+    }
+
+    return { status: 404, title: 'not found', body: `<p class="notice">nothing at ${escapeHtml(pathname)}</p>` };
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key !== name) continue;
+        try {
+            return decodeURIComponent(value.join('='));
+        } catch (err) {
+            // a cookie that isn't valid percent-encoding can't be the token
+            return null;
+        }
+    }
+    return null;
+}
+
+function sendHtml(res, status, html, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'text/html; charset=utf-8',
+        // nothing on these pages comes from anywhere else
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'",
+        'X-Content-Type-Options': 'nosniff',
+        ...headers
+    });
+    res.end(html);
+}
+
+/**
+ * Creates the viewer server
+ * @param {string} token - Token from the link printed on start
+ * @returns {http.Server} - The server, not listening yet
+ */
+function createViewer(token) {
+    return http.createServer((req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendHtml(res, 405, renderPage('read only', '<p class="notice">the viewer is read only</p>'), { Allow: 'GET, HEAD' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        // the token from the link becomes a cookie and leaves the address bar
+        const linkToken = url.searchParams.get('token');
+        if (linkToken !== null && tokensMatch(linkToken, token)) {
+            url.searchParams.delete('token');
+            res.writeHead(303, {
+                'Set-Cookie': `${cookieName}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/`,
+                Location: url.pathname + url.search
+            });
+            res.end();
+            return;
+        }
+        if (!tokensMatch(readCookie(req, cookieName), token)) {
+            sendHtml(res, 401, renderPage('locked', '<p class="notice">open the link printed by <code>node script.js view</code></p>'));
+            return;
+        }
+
+        let page;
+        try {
+            page = route(url.pathname, url.searchParams);
+        } catch (err) {
+            page = { status: 500, title: 'error', body: `<p class="notice">${escapeHtml(err.message)}</p>` };
+        }
+        sendHtml(res, page.status, renderPage(page.title, page.body));
+    });
+}
+
+module.exports = {
+    createViewer
+};
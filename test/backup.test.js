@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const config = require('../src/config');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const backup = require('../src/backup');
+const backupFormat = require('../src/backupFormat');
+
+function texts(section) {
+    return logger.readAllLogs(section).map(logEntry => logEntry.text);
+}
+
+// backup names carry a millisecond timestamp, two in the same millisecond would collide
+function takeFullBackup() {
+    const started = Date.now();
+    while (Date.now() === started) { /* wait for the next millisecond */ }
+    return backup.createFullBackup({ quiet: true });
+}
+
+const chain = [];
+
+test('full backups after the first are incremental snapshots on it', () => {
+    logger.createSection('work', 'work notes');
+    logger.saveLog('base', entry.createEntry('first thought'));
+    logger.saveLog('work', entry.createEntry('meeting'));
+    chain.push(takeFullBackup());
+
+    logger.saveLog('base', entry.createEntry('second thought'));
+    const [meeting] = logger.readAllLogs('work');
+    logger.updateLog('work', { ...meeting, text: 'meeting moved' });
+    chain.push(takeFullBackup());
+
+    logger.deleteLog('base', logger.readAllLogs('base')[0].id);
+    chain.push(takeFullBackup());
+
+    const manifests = chain.map(file => backupFormat.readArchive(file).manifest);
+    assert.deepEqual(manifests.map(manifest => manifest.type), ['full', 'incremental', 'incremental']);
+    assert.equal(manifests[2].parent, path.basename(chain[1]));
+    assert.equal(manifests[2].base, path.basename(chain[0]));
+    assert.deepEqual(manifests[2].sections.map(section => section.stored), ['delta', 'unchanged']);
+});
+
+test('restoring the newest snapshot rebuilds the whole chain', () => {
+    fs.rmSync(logger.getLogFilePath('work'));
+    logger.saveLog('base', entry.createEntry('after the backups'));
+
+    assert.equal(quietly(() => backup.restoreFromBackup(chain[2], null, 'overwrite')), true);
+    assert.deepEqual(texts('base'), ['second thought']);
+    assert.deepEqual(texts('work'), ['meeting moved']);
+});
+
+test('a snapshot in the middle restores the state it was taken in', () => {
+    assert.equal(quietly(() => backup.restoreFromBackup(chain[1], null, 'overwrite')), true);
+    assert.deepEqual(texts('base'), ['first thought', 'second thought']);
+    assert.deepEqual(texts('work'), ['meeting moved']);
+});
+
+test('a snapshot whose parent is missing or damaged is not restored', () => {
+    const before = fs.readFileSync(logger.getLogFilePath('base'), 'utf-8');
+
+    const parent = backupFormat.readArchive(chain[1]);
+    parent.changes.base.lines = parent.changes.base.lines.map(line => line.replace('second', 'forged'));
+    backupFormat.writeArchive(chain[1], parent);
+    assert.equal(quietly(() => backup.restoreFromBackup(chain[2], null, 'overwrite')), false);
+    assert.throws(() => backup.loadSnapshot(chain[2]), /does not match its checksum/);
+
+    fs.rmSync(chain[1]);
+    assert.equal(quietly(() => backup.restoreFromBackup(chain[2], null, 'overwrite')), false);
+    assert.throws(() => backup.loadSnapshot(chain[2]), /is missing/);
+
+    assert.equal(fs.readFileSync(logger.getLogFilePath('base'), 'utf-8'), before);
+});
+
+test('a section backup restores that section only', () => {
+    const file = backup.backupSection('work', false, { quiet: true });
+    assert.ok(file.startsWith(config.backupDir));
+    logger.saveLog('work', entry.createEntry('later'));
+
+    assert.equal(quietly(() => backup.restoreFromBackup(file, null, 'overwrite')), true);
+    assert.deepEqual(texts('work'), ['meeting moved']);
+});
+
+test('a backup is not compared with a section that has unreadable lines', () => {
+    const file = backup.backupSection('work', false, { quiet: true });
+    assert.deepEqual(backup.diffBackup(file), { added: [], removed: [], changed: [] });
+
+    fs.appendFileSync(logger.getLogFilePath('work'), 'not an entry\n');
+    assert.throws(() => backup.diffBackup(file), /section work could not be read: .*1 unreadable line/);
+});
@@ -0,0 +1,113 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const data = useTempDataDir();
+after(data.cleanup);
+
+const backupFormat = require('../src/backupFormat');
+const entry = require('../src/entry');
+
+function lines(...texts) {
+    return texts.map(text => entry.serializeEntry(entry.createEntry(text)) + '\n').join('');
+}
+
+test('a new archive lists every section with its entry count and checksum', () => {
+    const content = lines('one', 'two');
+    const archive = backupFormat.createArchive('full', [{ name: 'base', content, metadata: { description: 'd' } }]);
+
+    assert.equal(archive.version, backupFormat.formatVersion);
+    assert.deepEqual(archive.manifest.sections, [
+        { name: 'base', metadata: { description: 'd' }, entries: 2, sha256: backupFormat.checksum(content) }
+    ]);
+    assert.deepEqual(backupFormat.checkArchive(archive), []);
+});
+
+test('changed, missing and unlisted sections are reported', () => {
+    const archive = backupFormat.createArchive('full', [
+        { name: 'base', content: lines('one') },
+        { name: 'work', content: lines('two') }
+    ]);
+    archive.sections.base += lines('sneaked in');
+    delete archive.sections.work;
+    archive.sections.extra = lines('three');
+
+    assert.deepEqual(backupFormat.checkArchive(archive), [
+        'section base does not match its checksum',
+        'section work is missing',
+        'section extra is not in the manifest'
+    ]);
+});
+
+test('incremental snapshots store only what changed and rebuild to the same content', () => {
+    const base = lines('kept', 'edited', 'removed');
+    const work = lines('untouched');
+    const parent = backupFormat.createArchive('full', [{ name: 'base', content: base }, { name: 'work', content: work }]);
+
+    const [kept, edited] = base.split('\n');
+    const editedLine = JSON.stringify({ ...JSON.parse(edited), text: 'edited again' });
+    const current = `${kept}\n${editedLine}\n` + lines('added');
+    const fresh = lines('fresh');
+    const incremental = backupFormat.createIncrementalArchive(parent, 'full-backup-parent.bak', [
+        { name: 'base', content: current },
+        { name: 'work', content: work },
+        { name: 'new', content: fresh }
+    ]);
+
+    assert.deepEqual(incremental.manifest.sections.map(section => [section.name, section.stored]),
+        [['base', 'delta'], ['work', 'unchanged'], ['new', 'full']]);
+    assert.equal(incremental.changes.base.lines.length, 2);
+    assert.equal(incremental.changes.base.removed.length, 1);
+    assert.equal(incremental.manifest.depth, 1);
+
+    const rebuilt = backupFormat.applySnapshot(parent, incremental);
+    assert.deepEqual(rebuilt.sections, { base: current, work, new: fresh });
+});
+
+test('entries that moved are stored whole', () => {
+    const content = lines('a', 'b', 'c');
+    const parent = backupFormat.createArchive('full', [{ name: 'base', content }]);
+    const [a, b, c] = content.split('\n');
+    const incremental = backupFormat.createIncrementalArchive(parent, 'parent.bak', [
+        { name: 'base', content: `${b}\n${a}\n${c}\n` }
+    ]);
+    assert.equal(incremental.manifest.sections[0].stored, 'full');
+});
+
+test('rebuilding on the wrong parent fails the checksum', () => {
+    const parent = backupFormat.createArchive('full', [{ name: 'base', content: lines('one') }]);
+    const other = backupFormat.createArchive('full', [{ name: 'base', content: lines('other') }]);
+    const incremental = backupFormat.createIncrementalArchive(parent, 'parent.bak', [
+        { name: 'base', content: parent.sections.base + lines('two') }
+    ]);
+    assert.throws(() => backupFormat.applySnapshot(other, incremental), /does not match its checksum/);
+});
+
+test('archives round trip through plain and gzipped files', () => {
+    const archive = backupFormat.createArchive('section', [{ name: 'base', content: lines('one') }]);
+    for (const name of ['base-2026-10-19T10-00-00-000Z.bak', 'base-2026-10-19T10-00-00-000Z.bak.gz']) {
+        const filePath = path.join(data.root, name);
+        backupFormat.writeArchive(filePath, archive);
+        assert.deepEqual(backupFormat.readArchive(filePath).sections, archive.sections);
+        assert.equal(backupFormat.verifyArchive(filePath).status, 'ok');
+    }
+});
+
+test('old formats are read and damaged files are rejected', () => {
+    const legacySection = backupFormat.parseArchive('10/19/2026, 10:00:00 - old line\n', 'base');
+    assert.equal(legacySection.version, 1);
+    assert.equal(legacySection.manifest.sections[0].name, 'base');
+
+    const legacyFull = backupFormat.parseArchive(JSON.stringify({ timestamp: 'x', sections: { base: 'a\n' } }, null, 2));
+    assert.deepEqual(Object.keys(legacyFull.sections), ['base']);
+    assert.deepEqual(backupFormat.checkArchive(legacyFull), []);
+
+    assert.throws(() => backupFormat.parseArchive('{\n  "format": "thought-cli-backup"'), /truncated or damaged/);
+    assert.throws(() => backupFormat.parseArchive(JSON.stringify({ format: 'thought-cli-backup', version: 99 }, null, 2)), /newer/);
+
+    const broken = path.join(data.root, 'base-2026-10-19T11-00-00-000Z.bak.gz');
+    fs.writeFileSync(broken, Buffer.from('not gzip'));
+    assert.equal(backupFormat.verifyArchive(broken, 'base').status, 'corrupt');
+});
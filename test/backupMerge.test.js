@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const config = require('../src/config');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const backup = require('../src/backup');
+
+function texts(section) {
+    return logger.readAllLogs(section).map(logEntry => logEntry.text);
+}
+
+function add(section, text, timestamp) {
+    const logEntry = entry.createEntry(text, { timestamp });
+    logger.saveLog(section, logEntry);
+    return logEntry;
+}
+
+// the restore reports what it merged by printing, the message is all there is to check the count against
+function restoreMerging(backupPath, section = null) {
+    const printed = [];
+    const { log, error } = console;
+    console.log = (...args) => printed.push(args.join(' '));
+    console.error = (...args) => printed.push(args.join(' '));
+    try {
+        return { restored: backup.restoreFromBackup(backupPath, section, 'merge'), printed: printed.join('\n') };
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+test('merging a section backup adds back only the missing entries in chronological order', () => {
+    logger.createSection('trips', 'travel');
+    const lisbon = add('trips', 'lisbon', '2024-03-01T10:00:00.000Z');
+    const porto = add('trips', 'porto', '2024-03-05T10:00:00.000Z');
+    const file = backup.backupSection('trips', false, { quiet: true });
+
+    logger.deleteLog('trips', lisbon.id);
+    logger.deleteLog('trips', porto.id);
+    add('trips', 'coimbra', '2024-03-03T10:00:00.000Z');
+    // the same thought saved again under another id is not a new one
+    add('trips', 'porto', '2024-03-05T10:00:00.000Z');
+
+    const { restored, printed } = restoreMerging(file);
+    assert.equal(restored, true);
+    assert.match(printed, /merged backup into trips: 1 entries added, 3 total/);
+    assert.deepEqual(texts('trips'), ['lisbon', 'coimbra', 'porto']);
+
+    // nothing is left to add the second time
+    assert.match(restoreMerging(file).printed, /0 entries added, 3 total/);
+    assert.deepEqual(texts('trips'), ['lisbon', 'coimbra', 'porto']);
+});
+
+test('a section backup can be merged into another section', () => {
+    const file = backup.backupSection('trips', false, { quiet: true });
+    logger.createSection('plans', 'next year');
+    add('plans', 'madeira', '2024-03-04T10:00:00.000Z');
+
+    const { restored, printed } = restoreMerging(file, 'plans');
+    assert.equal(restored, true);
+    assert.match(printed, /merged backup into plans: 3 entries added, 4 total/);
+    assert.deepEqual(texts('plans'), ['lisbon', 'coimbra', 'madeira', 'porto']);
+});
+
+test('merging a full backup adds up the entries added to every section', () => {
+    add(config.defaultSection, 'older', '2024-01-01T10:00:00.000Z');
+    const file = backup.createFullBackup({ quiet: true });
+
+    logger.deleteLog('trips', logger.readAllLogs('trips')[1].id);
+    logger.deleteLog('plans', logger.readAllLogs('plans')[0].id);
+    add('plans', 'azores', '2024-02-01T10:00:00.000Z');
+    fs.rmSync(logger.getLogFilePath(config.defaultSection));
+
+    const { restored, printed } = restoreMerging(file);
+    assert.equal(restored, true);
+    // a section that is gone is restored as a whole, it doesn't count as merged entries
+    assert.match(printed, /merged 3 of 3 sections, 2 entries added/);
+    assert.deepEqual(texts(config.defaultSection), ['older']);
+    assert.deepEqual(texts('trips'), ['lisbon', 'coimbra', 'porto']);
+    assert.deepEqual(texts('plans'), ['azores', 'lisbon', 'coimbra', 'madeira', 'porto']);
+});
+
+test('a section that can not be read is skipped instead of merged', () => {
+    const file = backup.createFullBackup({ quiet: true });
+    fs.appendFileSync(logger.getLogFilePath('trips'), 'not an entry\n');
+    const before = fs.readFileSync(logger.getLogFilePath('trips'), 'utf-8');
+
+    const { restored, printed } = restoreMerging(file);
+    assert.equal(restored, true);
+    assert.match(printed, /skipping section trips/);
+    assert.match(printed, /merged 2 of 3 sections, 0 entries added/);
+    assert.equal(fs.readFileSync(logger.getLogFilePath('trips'), 'utf-8'), before);
+});
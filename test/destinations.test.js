@@ -0,0 +1,211 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+
+const config = require('../src/config');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const backup = require('../src/backup');
+const backupFormat = require('../src/backupFormat');
+const destinations = require('../src/destinations');
+
+// a WebDAV-like server keeping files in memory, only requests with the right token get through
+const stored = new Map();
+const standIn = http.createServer((req, res) => {
+    if (req.headers.authorization !== 'Bearer secret') {
+        res.writeHead(401).end();
+        return;
+    }
+    const name = decodeURIComponent(req.url.replace(/^\/backups\//, ''));
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        if (req.method === 'PUT') {
+            stored.set(name, Buffer.concat(chunks));
+            res.writeHead(201).end();
+        } else if (!stored.has(name)) {
+            res.writeHead(404).end();
+        } else if (req.method === 'GET') {
+            res.writeHead(200).end(stored.get(name));
+        } else {
+            stored.delete(name);
+            res.writeHead(204).end();
+        }
+    });
+});
+let httpUrl;
+
+before(() => new Promise(resolve => {
+    standIn.listen(0, '127.0.0.1', () => {
+        httpUrl = `http://127.0.0.1:${standIn.address().port}/backups`;
+        resolve();
+    });
+}));
+after(() => {
+    standIn.close();
+    data.cleanup();
+});
+afterEach(async () => {
+    await destinations.whenIdle();
+    destinations.setListener(null);
+    config.backupDestinations = [];
+});
+
+function configure(...list) {
+    const checked = destinations.validateDestinations(list);
+    assert.equal(checked.error, undefined);
+    config.backupDestinations = checked.value;
+    return checked.value;
+}
+
+function sample(type) {
+    return {
+        mirror: { name: 'drive', type: 'mirror', path: path.join(data.root, 'mirror') },
+        archive: { name: 'bundle', type: 'archive', path: path.join(data.root, 'bundle.tar.gz') },
+        http: { name: 'server', type: 'http', url: httpUrl, token: 'secret' }
+    }[type];
+}
+
+// backup names carry a millisecond timestamp, two in the same millisecond would collide
+function nextMillisecond() {
+    const started = Date.now();
+    while (Date.now() === started) { /* wait */ }
+}
+
+const names = ['work-2024-01-01T10-00-00-000Z.bak.gz', 'work-2024-01-02T10-00-00-000Z.bak.gz'];
+
+for (const type of destinations.destinationTypes) {
+    test(`the ${type} adapter stores, lists, reads and removes backups`, async () => {
+        const [destination] = configure(sample(type));
+        const adapter = destinations.getAdapter(destination);
+        assert.deepEqual(await adapter.list(), []);
+
+        await adapter.write(names[0], Buffer.from('first'));
+        await adapter.write(names[1], Buffer.from('second one'));
+        await adapter.write(names[0], Buffer.from('first again'));
+        // only backups are listed, whatever else is stored there
+        await adapter.write('notes.txt', Buffer.from('not a backup'));
+
+        const listed = (await adapter.list()).sort((a, b) => a.name.localeCompare(b.name));
+        assert.deepEqual(listed, [{ name: names[0], size: 11 }, { name: names[1], size: 10 }]);
+        assert.equal((await adapter.read(names[1])).toString(), 'second one');
+
+        await adapter.remove([names[0]]);
+        assert.deepEqual((await adapter.list()).map(file => file.name), [names[1]]);
+        await assert.rejects(adapter.read(names[0]));
+    });
+}
+
+test('the archive keeps names too long for a tar header', async () => {
+    const [destination] = configure(sample('archive'));
+    const adapter = destinations.getAdapter(destination);
+    const name = `${'nested.'.repeat(20)}deep-2024-01-01T10-00-00-000Z.bak.gz`;
+    await adapter.write(name, Buffer.from('deep'));
+
+    assert.ok((await adapter.list()).some(file => file.name === name));
+    assert.equal((await adapter.read(name)).toString(), 'deep');
+});
+
+test('backups are copied in the background and each destination keeps its own number of them', async () => {
+    const [mirror, server] = configure(
+        { ...sample('mirror'), path: path.join(data.root, 'copies'), maxBackupsPerSection: 2 },
+        sample('http')
+    );
+    // the adapter test left files there that are no backups, retention would try to read them
+    stored.clear();
+    logger.createSection('journal', 'copied');
+    const results = [];
+    destinations.setListener(result => results.push(result));
+
+    logger.saveLog('journal', entry.createEntry('to be rotated'));
+    const rotated = path.basename(backup.backupSection('journal', true, { quiet: true }));
+    const taken = [];
+    for (let i = 0; i < 3; i++) {
+        nextMillisecond();
+        logger.saveLog('journal', entry.createEntry(`thought ${i}`));
+        taken.push(path.basename(backup.backupSection('journal', false, { quiet: true })));
+    }
+    assert.equal(destinations.isIdle(), false);
+    await destinations.whenIdle();
+    assert.equal(destinations.isIdle(), true);
+
+    // the rotated backup holds the only copy of its thoughts, it stays past the limit
+    const kept = (await backup.listDestinationBackups(mirror)).map(file => file.name).sort();
+    assert.deepEqual(kept, [rotated, ...taken.slice(1)].sort());
+    const onServer = (await backup.listDestinationBackups(server)).map(file => file.name).sort();
+    assert.deepEqual(onServer, [rotated, ...taken].sort());
+
+    assert.equal(results.length, 8);
+    assert.deepEqual(results.filter(result => result.error), []);
+    assert.match(results[results.length - 1].done, /1 file\(s\) copied/);
+    assert.ok(destinations.describeStatus().every(destination => destination.lastCopy && destination.failures.length === 0));
+});
+
+test('failed copies are reported and do not hold up the next ones', async () => {
+    const [denied] = configure({ ...sample('http'), name: 'denied', token: 'wrong' });
+    const results = [];
+    destinations.setListener((result) => {
+        results.push(result);
+        throw new Error('listener broke');
+    });
+
+    const printed = [];
+    const { error } = console;
+    console.error = (...args) => printed.push(args.join(' '));
+    let file;
+    try {
+        file = path.basename(backup.backupSection('journal', false, { quiet: true }));
+        destinations.enqueue(denied, 'check', async adapter => `${(await adapter.list()).length} listed`);
+        await destinations.whenIdle();
+    } finally {
+        console.error = error;
+    }
+
+    assert.equal(destinations.isIdle(), true);
+    assert.equal(printed.length, 2);
+    assert.match(printed[0], /listener failed: listener broke/);
+    assert.deepEqual(results.map(result => result.action), [`copy ${file}`, 'check']);
+    assert.ok(results.every(result => /HTTP 401, check the username, password or token/.test(result.error)));
+    const [status] = destinations.describeStatus();
+    assert.equal(status.lastCopy, null);
+    assert.equal(status.failures.length, 2);
+    assert.equal(status.failures[0].action, `copy ${file}`);
+});
+
+const chain = [];
+
+test('a backup is fetched from a destination with the snapshots it builds on', async () => {
+    const [mirror] = configure({ ...sample('mirror'), path: path.join(data.root, 'snapshots') });
+    chain.push(backup.createFullBackup({ quiet: true }));
+    nextMillisecond();
+    logger.saveLog('journal', entry.createEntry('after the first snapshot'));
+    chain.push(backup.createFullBackup({ quiet: true }));
+    await destinations.whenIdle();
+
+    const fetched = await backup.fetchBackup(mirror, path.basename(chain[1]));
+    try {
+        assert.deepEqual(fs.readdirSync(path.dirname(fetched.path)).sort(), chain.map(file => path.basename(file)).sort());
+        const entries = backup.readBackupEntries(fetched.path).sections.journal;
+        assert.equal(entries[entries.length - 1].text, 'after the first snapshot');
+    } finally {
+        fetched.cleanup();
+    }
+});
+
+test('parents that are not backup names or lead in a circle are not fetched', async () => {
+    const [mirror] = configure({ ...sample('mirror'), path: path.join(data.root, 'snapshots') });
+    const name = path.basename(chain[1]);
+    const archivePath = path.join(mirror.path, name);
+    const archive = backupFormat.readArchive(archivePath);
+
+    for (const [parent, error] of [['../../config.json', /is not the name of a backup/], [name, /in a circle/]]) {
+        archive.manifest.parent = parent;
+        backupFormat.writeArchive(archivePath, archive);
+        await assert.rejects(backup.fetchBackup(mirror, name), error);
+    }
+});
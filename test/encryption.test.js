@@ -0,0 +1,132 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = useTempDataDir();
+after(data.cleanup);
+
+const encryption = require('../src/encryption');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const sectionManager = require('../src/section');
+
+const header = encryption.createHeader('correct horse');
+const plain = ['one', 'two', 'three'].map(text => entry.serializeEntry(entry.createEntry(text)));
+
+function lines(content) {
+    return content.split('\n').filter(line => line !== '');
+}
+
+test('content decrypts back to the plain lines', () => {
+    const sealed = encryption.encryptContent(plain.join('\n'), header);
+    assert.equal(encryption.getHeader(sealed).version, 2);
+    assert.equal(encryption.decryptContent(sealed), plain.map(line => line + '\n').join(''));
+});
+
+test('reordered, removed and repeated lines are reported as damaged', () => {
+    const [headerLine, one, two, three] = lines(encryption.encryptContent(plain.join('\n'), header));
+    const changed = [
+        [headerLine, two, one, three],
+        [headerLine, one, three],
+        [headerLine, two, three],
+        [headerLine, one, two, two, three]
+    ];
+    for (const variant of changed) {
+        assert.throws(() => encryption.decryptContent(variant.join('\n') + '\n'), /damaged or was changed/);
+    }
+    // cutting lines off the end can't be told apart from a shorter file
+    assert.equal(encryption.decryptContent([headerLine, one, two].join('\n') + '\n'), plain.slice(0, 2).map(line => line + '\n').join(''));
+});
+
+test('lines from a file sharing the header do not fit into another one', () => {
+    const first = lines(encryption.encryptContent(plain.join('\n'), header));
+    const second = lines(encryption.encryptContent(plain.slice(1).join('\n'), header));
+    const spliced = [first[0], first[1], second[2], first[3]];
+    assert.throws(() => encryption.decryptContent(spliced.join('\n') + '\n'), /damaged or was changed/);
+});
+
+test('first lines do not fit into another file encrypted with the same header', () => {
+    const first = lines(encryption.encryptContent(plain.join('\n'), header));
+    const second = lines(encryption.encryptContent(plain.join('\n'), header));
+    assert.notEqual(encryption.getHeader(first[0]).chain, encryption.getHeader(second[0]).chain);
+    assert.throws(() => encryption.decryptContent([first[0], second[1]].join('\n') + '\n'), /damaged or was changed/);
+});
+
+test('version 1 files are still read, appended to and upgraded when rewritten', () => {
+    const oldHeader = { ...header, version: 1 };
+    const oldContent = [encryption.serializeHeader(oldHeader), ...plain.map(line => encryption.encryptLine(oldHeader, line))]
+        .join('\n') + '\n';
+    assert.equal(encryption.decryptContent(oldContent), plain.map(line => line + '\n').join(''));
+
+    logger.createSection('old', 'encrypted before chaining');
+    logger.writeSectionContent('old', oldContent);
+    assert.equal(logger.saveLog('old', entry.createEntry('appended')), false);
+    assert.deepEqual(logger.readAllLogs('old').map(logEntry => logEntry.text), ['one', 'two', 'three', 'appended']);
+
+    logger.deleteLog('old', logger.readAllLogs('old')[0].id);
+    assert.equal(logger.getSectionHeader('old').version, 2);
+    assert.deepEqual(logger.readAllLogs('old').map(logEntry => logEntry.text), ['two', 'three', 'appended']);
+});
+
+test('thoughts appended to an encrypted section keep the chain intact', () => {
+    logger.createSection('journal', 'private');
+    sectionManager.encryptSection('journal', header);
+    logger.saveLog('journal', entry.createEntry('first'));
+    logger.saveLog('journal', entry.createEntry(`long ${'x'.repeat(10000)}`));
+    logger.saveLog('journal', entry.createEntry('last'));
+
+    assert.deepEqual(logger.readAllLogs('journal').map(logEntry => logEntry.text.slice(0, 5)), ['first', 'long ', 'last']);
+
+    const content = lines(fs.readFileSync(logger.getLogFilePath('journal'), 'utf-8'));
+    const swapped = [content[0], content[2], content[1], content[3]];
+    logger.writeSectionContent('journal', swapped.join('\n') + '\n');
+    assert.throws(() => logger.readAllLogs('journal'), /damaged or was changed/);
+});
+
+test('a torn last line leaves the thoughts before it readable until the section is repaired', () => {
+    logger.createSection('torn', 'private');
+    sectionManager.encryptSection('torn', header);
+    logger.saveLog('torn', entry.createEntry('kept'));
+    logger.saveLog('torn', entry.createEntry('cut off'));
+    const filePath = logger.getLogFilePath('torn');
+    const content = fs.readFileSync(filePath, 'utf-8');
+    fs.writeFileSync(filePath, content.slice(0, content.length - 20));
+
+    assert.deepEqual(quietly(() => logger.loadAllLogs('torn')).map(logEntry => logEntry.text), ['kept']);
+    assert.throws(() => logger.readAllLogs('torn'), /damaged or was changed/);
+    assert.equal(quietly(() => logger.saveLog('torn', entry.createEntry('refused'))), null);
+
+    const result = sectionManager.repairSection('torn');
+    assert.deepEqual([result.kept, result.dropped], [1, 1]);
+    assert.equal(fs.existsSync(result.backupPath), true);
+    logger.saveLog('torn', entry.createEntry('after repair'));
+    assert.deepEqual(logger.readAllLogs('torn').map(logEntry => logEntry.text), ['kept', 'after repair']);
+    assert.match(sectionManager.repairSection('torn').error, /nothing to repair/);
+});
+
+test('two processes appending to the same encrypted section keep the chain intact', async () => {
+    logger.createSection('shared', 'private');
+    sectionManager.encryptSection('shared', header);
+    const append = label => new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', `
+            require('./src/settings').loadConfig();
+            require('./src/encryption').rememberPassphrase('correct horse');
+            const logger = require('./src/logger');
+            const entry = require('./src/entry');
+            for (let i = 0; i < 40; i++) {
+                if (logger.saveLog('shared', entry.createEntry('${label} ' + i)) === null) process.exit(1);
+            }
+        `], { cwd: path.join(__dirname, '..'), stdio: 'ignore' });
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`${label} exited with ${code}`))));
+    });
+
+    await Promise.all([append('a'), append('b')]);
+    const texts = logger.readAllLogs('shared').map(logEntry => logEntry.text);
+    assert.equal(texts.length, 80);
+    assert.equal(texts.filter(text => text.startsWith('a ')).length, 40);
+    assert.equal(fs.existsSync(`${logger.getLogFilePath('shared')}.lock`), false);
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared setup for the tests
+ * Every test file runs in its own process, so pointing the settings at a fresh data
+ * directory once per file keeps tests away from real thoughts and from each other.
+ */
+
+/**
+ * Loads the settings with a new temporary data directory, the default section created
+ * @returns {Object} - { root, cleanup } with the temporary directory and a function removing it
+ */
+function useTempDataDir() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'thought-cli-test-'));
+    for (const name of Object.keys(process.env).filter(key => key.startsWith('THOUGHT_'))) {
+        delete process.env[name];
+    }
+    process.env.THOUGHT_CONFIG_FILE = path.join(root, 'config.json');
+    process.env.THOUGHT_DATA_DIR = path.join(root, 'data');
+
+    const settings = require('../src/settings');
+    settings.loadConfig();
+    const logger = require('../src/logger');
+    logger.ensureDirectories();
+    logger.ensureDefaultSection();
+
+    return {
+        root,
+        cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Runs a function with console output swallowed, for code that reports problems by printing
+ * @param {Function} fn - The function to run
+ * @returns {*} - What the function returned
+ */
+function quietly(fn) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+module.exports = {
+    useTempDataDir,
+    quietly
+};
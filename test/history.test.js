@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const config = require('../src/config');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const history = require('../src/history');
+const sectionManager = require('../src/section');
+
+const noGit = spawnSync('git', ['--version']).error ? 'git is not installed' : false;
+
+function texts(section) {
+    return logger.readAllLogs(section).map(logEntry => logEntry.text);
+}
+
+test('nothing is recorded while history is off', () => {
+    assert.equal(history.record('add to base'), false);
+    assert.deepEqual(history.getStatus(), { lastError: null, enabled: false, recording: false });
+    assert.throws(() => history.getTimeline('base', 10), /history is off/);
+});
+
+test('every change to a section becomes a commit', { skip: noGit }, () => {
+    config.gitHistory = true;
+    logger.createSection('diary', 'with history');
+    logger.saveLog('diary', entry.createEntry('first'));
+    logger.saveLog('diary', entry.createEntry('second'));
+    const [first] = logger.readAllLogs('diary');
+    logger.updateLog('diary', { ...first, text: 'first, edited' });
+
+    assert.deepEqual(history.getStatus(), { lastError: null, enabled: true, recording: true });
+    const timeline = history.getTimeline('diary', 10);
+    // the first write starts the repository, that commit already holds it
+    assert.deepEqual(timeline.map(commit => commit.message), ['edit in diary', 'add to diary', 'start history']);
+    assert.deepEqual(timeline.map(commit => [commit.added, commit.removed]), [[1, 1], [1, 0], [1, 0]]);
+    assert.equal(history.getTimeline('diary', 1).length, 1);
+
+    // the repository lives in the sections directory and ignores what isn't section data
+    assert.equal(fs.existsSync(path.join(config.sectionsDir, '.git')), true);
+    assert.match(fs.readFileSync(path.join(config.sectionsDir, '.gitignore'), 'utf-8'), /\*\.lock/);
+});
+
+test('a section can be read and rolled back at an earlier revision', { skip: noGit }, () => {
+    const [, beforeEdit] = history.getTimeline('diary', 10);
+    assert.deepEqual(history.findRevision(beforeEdit.rev), { rev: beforeEdit.rev, date: beforeEdit.date });
+    assert.equal(history.findRevision(new Date(Date.now() + 60000)).rev, history.getTimeline('diary', 1)[0].rev);
+    assert.throws(() => history.findRevision('0000000'), /no revision 0000000/);
+    assert.throws(() => history.findRevision(new Date('2000-01-01')), /no history recorded before that time/);
+
+    assert.match(history.readSectionAt('diary', beforeEdit.rev), /"second"/);
+    assert.equal(history.readSectionAt('nothing', beforeEdit.rev), null);
+
+    assert.deepEqual(sectionManager.revertSection('diary', beforeEdit.rev), { entries: 2 });
+    assert.deepEqual(texts('diary'), ['first', 'second']);
+    assert.equal(history.getTimeline('diary', 1)[0].message, `revert diary to ${beforeEdit.rev}`);
+});
+
+test('the timeline follows a renamed section', { skip: noGit }, () => {
+    assert.equal(sectionManager.renameSection('diary', 'journal').error, undefined);
+    const messages = history.getTimeline('journal', 10).map(commit => commit.message);
+    assert.equal(messages.length, 5);
+    assert.equal(messages[messages.length - 1], 'start history');
+});
+
+test('a missing git binary is reported without stopping the write', () => {
+    config.gitHistory = true;
+    const { PATH } = process.env;
+    process.env.PATH = path.join(data.root, 'no-binaries-here');
+    try {
+        assert.notEqual(logger.saveLog('base', entry.createEntry('written anyway')), null);
+        assert.equal(history.getStatus().lastError, 'git is not installed or not on the PATH');
+        if (fs.existsSync(path.join(config.sectionsDir, '.git'))) {
+            assert.throws(() => history.getTimeline('base', 10), /git is not installed or not on the PATH/);
+        }
+    } finally {
+        process.env.PATH = PATH;
+    }
+    assert.deepEqual(texts('base').slice(-1), ['written anyway']);
+
+    // the next write records again, the missed change included
+    if (!noGit) {
+        logger.saveLog('base', entry.createEntry('recorded'));
+        assert.equal(history.getStatus().lastError, null);
+        assert.equal(history.getTimeline('base', 1)[0].added, 2);
+    }
+});
@@ -0,0 +1,135 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const logger = require('../src/logger');
+const importer = require('../src/import');
+
+function writeFile(name, content) {
+    const filePath = path.join(data.root, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+function texts(section) {
+    return logger.readAllLogs(section).map(logEntry => logEntry.text);
+}
+
+test('formats are told apart by extension, then by content', () => {
+    assert.equal(importer.detectFormat('notes.md', 'anything'), 'markdown');
+    assert.equal(importer.detectFormat('notes.jsonl', 'anything'), 'json');
+    assert.equal(importer.detectFormat('notes', '[{"text": "a"}]'), 'json');
+    assert.equal(importer.detectFormat('notes', '# 2026-10-19\n- a'), 'markdown');
+    assert.equal(importer.detectFormat('notes', 'date,text\n2026-10-19,a'), 'csv');
+    assert.equal(importer.detectFormat('notes', 'just a line'), 'text');
+});
+
+test('dates are read from epochs, ISO strings and days', () => {
+    assert.equal(importer.parseDate(1760000000).getTime(), 1760000000000);
+    assert.equal(importer.parseDate('1760000000000').getTime(), 1760000000000);
+    assert.equal(importer.parseDate('2026-10-19T08:00:00.000Z').toISOString(), '2026-10-19T08:00:00.000Z');
+    assert.equal(importer.parseDate('2026-10-19').getTime(), new Date(2026, 9, 19).getTime());
+    assert.equal(importer.parseDate('not a date'), null);
+    assert.equal(importer.parseDate(''), null);
+});
+
+test('CSV rows follow RFC 4180 quoting', () => {
+    const rows = importer.parseCsvRows('text,tags\r\n"a, quoted ""field""",x\n"two\nlines",\n\n');
+    assert.deepEqual(rows, [['text', 'tags'], ['a, quoted "field"', 'x'], ['two\nlines', '']]);
+});
+
+test('markdown day headings, times, checkboxes and continuation lines become entries', () => {
+    const file = writeFile('journal.md', [
+        '# 2026-10-19',
+        '- **09:30:00** standup',
+        '- [ ] write tests',
+        '  with fixtures',
+        '## notes',
+        '- [x] ship it'
+    ].join('\n'));
+
+    const result = importer.importFile(file, { section: 'journal', dryRun: true });
+    assert.equal(result.format, 'markdown');
+    const [section] = result.sections;
+    assert.equal(section.name, 'journal');
+    assert.equal(section.created, true);
+    assert.deepEqual(section.entries.map(logEntry => logEntry.text),
+        ['standup', '[todo] write tests\nwith fixtures', '[done] ship it']);
+    assert.equal(section.entries[0].timestamp, new Date(2026, 9, 19, 9, 30).toISOString());
+    // a dry run writes nothing
+    assert.equal(logger.getSections().includes('journal'), false);
+});
+
+test('JSON and CSV items go to their own sections, tags columns are kept', () => {
+    const json = writeFile('export.json', JSON.stringify({
+        sections: [{ name: 'ideas', entries: [{ text: 'first idea', timestamp: '2026-10-01T10:00:00.000Z', tags: ['idea'] }] }]
+    }));
+    const csv = writeFile('notes.csv', 'date,text,section\n2026-10-02,from csv,ideas\n');
+
+    assert.equal(importer.importFile(json).sections[0].added, 1);
+    assert.equal(importer.importFile(csv).sections[0].added, 1);
+    assert.deepEqual(texts('ideas'), ['[idea] first idea', 'from csv']);
+});
+
+test('nested section names keep their levels', () => {
+    const file = writeFile('nested.json', JSON.stringify([
+        { text: 'in a project', section: 'work/proj a' },
+        { text: 'same project', section: 'work//proj a/' }
+    ]));
+
+    const result = importer.importFile(file);
+    assert.deepEqual(result.sections.map(section => [section.name, section.added]), [['work/proj_a', 2]]);
+    assert.deepEqual(texts('work/proj_a'), ['in a project', 'same project']);
+    assert.equal(logger.getSections().includes('work_proj_a'), false);
+
+    const tooLong = writeFile('long.txt', 'x\n');
+    assert.equal(quietly(() => importer.importFile(tooLong, { section: `work/${'a'.repeat(100)}` })), null);
+});
+
+test('importing the same file again skips duplicates', () => {
+    const file = writeFile('again.txt', '2026-10-03T12:00:00Z once\nno time here\n');
+    assert.equal(importer.importFile(file, { section: 'again' }).sections[0].added, 2);
+
+    const second = importer.importFile(file, { section: 'again' }).sections[0];
+    assert.equal(second.added, 0);
+    assert.equal(second.duplicates, 2);
+    assert.deepEqual(texts('again'), ['once', 'no time here']);
+});
+
+test('a locked section is refused and left untouched', () => {
+    // encrypted by another process, so this one never saw the passphrase
+    execFileSync(process.execPath, ['-e', `
+        require('./src/settings').loadConfig();
+        const logger = require('./src/logger');
+        logger.createSection('vault', 'secret');
+        logger.saveLog('vault', require('./src/entry').createEntry('kept safe'));
+        require('./src/section').encryptSection('vault', require('./src/encryption').createHeader('passphrase'));
+    `], { cwd: path.join(__dirname, '..') });
+    assert.equal(logger.isSectionLocked('vault'), true);
+    const before = fs.readFileSync(logger.getLogFilePath('vault'), 'utf-8');
+
+    const file = writeFile('into-vault.txt', 'new line\n');
+    assert.equal(quietly(() => importer.importFile(file, { section: 'vault' })), null);
+    assert.equal(fs.readFileSync(logger.getLogFilePath('vault'), 'utf-8'), before);
+});
+
+test('a section with unreadable lines aborts the import before anything is written', () => {
+    const file = writeFile('damaged.txt', 'line for damaged\n');
+    importer.importFile(file, { section: 'damaged' });
+    fs.appendFileSync(logger.getLogFilePath('damaged'), '{"not": "an entry"\n');
+    const before = fs.readFileSync(logger.getLogFilePath('damaged'), 'utf-8');
+
+    const other = writeFile('both.json', JSON.stringify([
+        { text: 'to fresh', section: 'fresh' },
+        { text: 'to damaged', section: 'damaged' }
+    ]));
+    assert.equal(quietly(() => importer.importFile(other)), null);
+    assert.equal(fs.readFileSync(logger.getLogFilePath('damaged'), 'utf-8'), before);
+    assert.equal(logger.getSections().includes('fresh'), false);
+});
@@ -0,0 +1,87 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const query = require('../src/query');
+const entry = require('../src/entry');
+
+function entryAt(text, timestamp = '2026-09-15T12:00:00.000Z') {
+    return entry.createEntry(text, { timestamp });
+}
+
+function matches(input, text, section = 'base', timestamp) {
+    return query.compileQuery(input).test(entryAt(text, timestamp), section);
+}
+
+test('adjacent words are ANDed and match case-insensitively', () => {
+    assert.equal(matches('deploy staging', 'Deploy to STAGING today'), true);
+    assert.equal(matches('deploy staging', 'deploy to production'), false);
+});
+
+test('OR binds looser than AND', () => {
+    const root = query.parseQuery('a b OR c');
+    assert.equal(root.type, 'or');
+    assert.equal(root.left.type, 'and');
+    assert.equal(matches('a b OR c', 'only c here'), true);
+    assert.equal(matches('a b OR c', 'only a here'), false);
+});
+
+test('NOT, -word and groups negate', () => {
+    assert.equal(matches('deploy -staging', 'deploy staging'), false);
+    assert.equal(matches('deploy NOT staging', 'deploy prod'), true);
+    assert.equal(matches('-(a OR b)', 'c only'), true);
+    assert.equal(matches('-(a OR b)', 'has b'), false);
+});
+
+test('quoted phrases match as a whole', () => {
+    assert.equal(matches('"ship it"', 'we should ship it now'), true);
+    assert.equal(matches('"ship it"', 'it ships'), false);
+});
+
+test('regular expressions keep their flags', () => {
+    assert.equal(matches('/dep(loy|lo)y?/i', 'DEPLOYED'), true);
+    assert.equal(matches('/^deploy$/', 'Deploy'), false);
+});
+
+test('tag: matches bracket tags, hashtags and aliases', () => {
+    assert.equal(matches('tag:todo', '[todo,urgent] call'), true);
+    assert.equal(matches('tag:urgent', '[todo,urgent] call'), true);
+    assert.equal(matches('tag:deploy', 'ran the #deploy'), true);
+    // imp is an alias of important in the default registry
+    assert.equal(matches('tag:imp', '[important] read'), true);
+    assert.equal(matches('tag:todo', 'no tags'), false);
+});
+
+test('section: matches a section or, with /*, everything below it', () => {
+    assert.equal(matches('section:work', 'x', 'work'), true);
+    assert.equal(matches('section:work', 'x', 'work/a'), false);
+    assert.equal(matches('section:work/*', 'x', 'work/a'), true);
+    assert.equal(matches('section:work/*', 'x', 'workshop'), false);
+});
+
+test('after: is inclusive and before: exclusive by local day', () => {
+    const noon = new Date(2026, 8, 15, 12).toISOString();
+    assert.equal(matches('after:2026-09-15', 'x', 'base', noon), true);
+    assert.equal(matches('before:2026-09-15', 'x', 'base', noon), false);
+    assert.equal(matches('after:2026-09-01 before:2026-10-01', 'x', 'base', noon), true);
+});
+
+test('invalid queries are reported with a readable message', () => {
+    assert.throws(() => query.parseQuery(''), /empty query/);
+    assert.throws(() => query.parseQuery('(a OR b'), /missing closing parenthesis/);
+    assert.throws(() => query.parseQuery('"open'), /unterminated quote/);
+    assert.throws(() => query.parseQuery('a OR'), /unexpected end of query/);
+    assert.throws(() => query.parseQuery('tag:'), /missing value for tag:/);
+    assert.throws(() => query.parseQuery('after:2026-02-30'), /invalid date/);
+    assert.throws(() => query.parseQuery('/(/'), /invalid regular expression/);
+});
+
+test('highlighting marks matched terms but not negated ones', () => {
+    const compiled = query.compileQuery('deploy -staging');
+    const highlighted = compiled.highlight('deploy staging');
+    assert.ok(highlighted.includes('deploy'));
+    assert.equal(compiled.highlight('staging'), 'staging');
+});
@@ -0,0 +1,102 @@
+const { test, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const config = require('../src/config');
+const scheduler = require('../src/scheduler');
+const server = require('../src/server');
+
+function listFullBackups() {
+    return fs.readdirSync(config.backupDir).filter(name => name.startsWith('full-backup'));
+}
+
+afterEach(() => {
+    scheduler.stop();
+    config.autoBackupMinutes = 0;
+    config.backupEveryEntries = 0;
+    config.backupOnExit = false;
+});
+
+test('a backup runs once backupEveryEntries entries were added through the server', async () => {
+    config.backupEveryEntries = 2;
+    const runs = [];
+    scheduler.start(result => runs.push(result));
+    const httpServer = server.createServer('token');
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const add = text => fetch(`http://127.0.0.1:${httpServer.address().port}/sections/${config.defaultSection}/entries`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer token' },
+        body: JSON.stringify({ text })
+    });
+
+    try {
+        assert.equal((await add('one')).status, 201);
+        assert.equal(runs.length, 0);
+        assert.equal(scheduler.getStatus().entriesSinceBackup, 1);
+        assert.equal((await add('two')).status, 201);
+    } finally {
+        httpServer.close();
+    }
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].reason, 'entries');
+    assert.equal(fs.existsSync(runs[0].path), true);
+    const status = scheduler.getStatus();
+    assert.deepEqual(status.lastRun, runs[0]);
+    assert.equal(status.entriesSinceBackup, 0);
+    assert.equal(status.nextRun, null);
+});
+
+test('the interval sets the next run and reports every run to the listener', async () => {
+    // a fraction of a minute keeps the test short, settings only allow whole minutes
+    config.autoBackupMinutes = 0.001;
+    const before = listFullBackups().length;
+    // the scheduler's timer doesn't hold the process open, this one does until the run
+    const keepAlive = setTimeout(() => {}, 5000);
+    const result = await new Promise(resolve => scheduler.start(resolve));
+    clearTimeout(keepAlive);
+
+    assert.equal(result.reason, 'interval');
+    assert.equal(result.error, undefined);
+    assert.equal(listFullBackups().length, before + 1);
+    assert.ok(new Date(scheduler.getStatus().nextRun) > new Date(result.at));
+
+    scheduler.stop();
+    assert.equal(scheduler.getStatus().nextRun, null);
+});
+
+test('failed runs are kept in the status, the newest five of them', () => {
+    fs.rmSync(config.backupDir, { recursive: true });
+    fs.writeFileSync(config.backupDir, 'not a directory');
+    try {
+        for (let i = 0; i < 7; i++) {
+            assert.match(scheduler.run('interval').error, /ENOTDIR/);
+        }
+    } finally {
+        fs.rmSync(config.backupDir);
+        fs.mkdirSync(config.backupDir);
+    }
+
+    const status = scheduler.getStatus();
+    assert.equal(status.failures.length, 5);
+    assert.equal(status.lastRun.reason, 'interval');
+    // the copy handed out doesn't change what the scheduler keeps
+    status.failures.length = 0;
+    assert.equal(scheduler.getStatus().failures.length, 5);
+});
+
+test('the exit backup only runs when backupOnExit is set', () => {
+    assert.equal(scheduler.runOnExit(), null);
+
+    config.backupOnExit = true;
+    config.autoBackupMinutes = 30;
+    scheduler.start();
+    const result = scheduler.runOnExit();
+    assert.equal(result.reason, 'exit');
+    assert.equal(fs.existsSync(result.path), true);
+    assert.equal(scheduler.getStatus().nextRun, null);
+});
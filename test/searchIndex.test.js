@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const config = require('../src/config');
+const logger = require('../src/logger');
+const entry = require('../src/entry');
+const query = require('../src/query');
+const searchIndex = require('../src/searchIndex');
+
+function search(input) {
+    return searchIndex.search(query.compileQuery(input)).map(result => result.text);
+}
+
+test('terms are found by any part of a word', () => {
+    logger.saveLog('base', entry.createEntry('deploying the constructor'));
+    logger.saveLog('base', entry.createEntry('[ops] rollback plan'));
+
+    assert.deepEqual(search('ploy'), ['deploying the constructor']);
+    assert.deepEqual(search('constructor'), ['deploying the constructor']);
+    assert.deepEqual(search('back'), ['[ops] rollback plan']);
+    assert.deepEqual(search('tag:ops'), ['[ops] rollback plan']);
+    assert.deepEqual(search('missing'), []);
+});
+
+test('the index in memory follows appends and rewrites', () => {
+    const first = searchIndex.refreshIndex();
+    logger.saveLog('base', entry.createEntry('appended afterwards'));
+    assert.deepEqual(search('afterwards'), ['appended afterwards']);
+    // the append came through the journal, the loaded index was kept
+    assert.equal(searchIndex.refreshIndex(), first);
+
+    const entries = logger.readAllLogs('base').filter(logEntry => !logEntry.text.includes('rollback'));
+    logger.writeAllLogs('base', entries);
+    assert.deepEqual(search('back'), []);
+});
+
+test('an index written by another process is loaded again', () => {
+    const first = searchIndex.refreshIndex();
+    const snapshotPath = path.join(config.indexDir, 'index.json');
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+    snapshot.documents = {};
+    snapshot.terms = {};
+    fs.writeFileSync(`${snapshotPath}.tmp`, JSON.stringify(snapshot));
+    fs.renameSync(`${snapshotPath}.tmp`, snapshotPath);
+
+    assert.notEqual(searchIndex.refreshIndex(), first);
+    // the snapshot still says the section is current, so its entries stay out until /reindex
+    assert.deepEqual(search('afterwards'), []);
+    assert.equal(searchIndex.rebuildIndex().entries, 2);
+    assert.deepEqual(search('afterwards'), ['appended afterwards']);
+});
@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+const server = require('../src/server');
+const token = 'test-token';
+const httpServer = server.createServer(token);
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    httpServer.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+        resolve();
+    });
+}));
+after(() => {
+    httpServer.close();
+    data.cleanup();
+});
+
+async function request(method, pathname, body, headers = { Authorization: `Bearer ${token}` }) {
+    const response = await fetch(baseUrl + pathname, {
+        method,
+        headers,
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+test('requests without the right token are turned away', async () => {
+    assert.equal((await request('GET', '/sections', undefined, {})).status, 401);
+    assert.equal((await request('GET', '/sections', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await request('GET', '/sections', undefined, { Authorization: token })).status, 401);
+    assert.equal((await request('GET', '/sections')).status, 200);
+    // preflight requests carry no token
+    assert.equal((await request('OPTIONS', '/sections', undefined, {})).status, 204);
+});
+
+test('unknown paths are 404 and known paths with the wrong method 405', async () => {
+    assert.equal((await request('GET', '/nothing')).status, 404);
+    const response = await request('DELETE', '/sections');
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET, POST');
+});
+
+test('sections are created once with a valid name', async () => {
+    const created = await request('POST', '/sections', { name: 'work/api', description: 'from tests' });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body, { name: 'work/api', description: 'from tests' });
+
+    assert.equal((await request('POST', '/sections', { name: 'work/api' })).status, 409);
+    assert.equal((await request('POST', '/sections', { name: 'bad name!' })).status, 400);
+    assert.equal((await request('POST', '/sections', { name: 'x', description: 'd'.repeat(500) })).status, 400);
+    assert.equal((await request('POST', '/sections', '{not json')).status, 400);
+
+    const listed = await request('GET', '/sections');
+    assert.deepEqual(listed.body.sections.map(section => section.name), ['base', 'work/api']);
+});
+
+test('entries are added, listed, edited and deleted', async () => {
+    const added = await request('POST', '/sections/work%2Fapi/entries', { text: 'from the api' });
+    assert.equal(added.status, 201);
+    const { id } = added.body.entry;
+
+    const listed = await request('GET', '/sections/work/api/entries?last=1');
+    assert.equal(listed.body.total, 1);
+    assert.equal(listed.body.entries[0].text, 'from the api');
+    assert.equal((await request('GET', '/sections/work/api/entries?last=0')).status, 400);
+    assert.equal((await request('POST', '/sections/work/api/entries', { text: ' ' })).status, 400);
+
+    const edited = await request('PATCH', `/sections/work/api/entries/${id}`, { text: 'edited' });
+    assert.equal(edited.body.entry.text, 'edited');
+    assert.equal((await request('DELETE', `/sections/work/api/entries/${id}`)).status, 200);
+    assert.equal((await request('DELETE', `/sections/work/api/entries/${id}`)).status, 404);
+});
+
+test('section names that leave the data directory are unknown sections', async () => {
+    const outside = path.join(data.root, 'outside.jsonl');
+    fs.writeFileSync(outside, '');
+    const escape = encodeURIComponent('../../outside');
+
+    assert.equal((await request('GET', `/sections/${escape}/entries`)).status, 404);
+    assert.equal((await request('POST', `/sections/${escape}/entries`, { text: 'escaped' })).status, 404);
+    assert.equal((await request('PATCH', `/sections/${escape}`, { description: 'x' })).status, 404);
+    assert.equal((await request('GET', `/search?q=x&section=${escape}`)).status, 404);
+    assert.equal((await request('POST', '/backups', { section: '../../outside' })).status, 404);
+    assert.equal(fs.readFileSync(outside, 'utf-8'), '');
+});
+
+test('an entry that could not be written is a 500, not a 201', async () => {
+    const { appendFileSync } = fs;
+    const { error } = console;
+    fs.appendFileSync = () => {
+        throw new Error('disk full');
+    };
+    console.error = () => {};
+    let response;
+    try {
+        response = await request('POST', '/sections/base/entries', { text: 'lost' });
+    } finally {
+        fs.appendFileSync = appendFileSync;
+        console.error = error;
+    }
+    assert.equal(response.status, 500);
+    assert.equal((await request('GET', '/sections/base/entries')).body.total, 0);
+});
+
+test('search and backups answer with JSON', async () => {
+    await request('POST', '/sections/base/entries', { text: '[api] searchable' });
+    const found = await request('GET', '/search?q=tag:api');
+    assert.deepEqual(found.body.results.map(result => result.text), ['[api] searchable']);
+    assert.equal((await request('GET', '/search?q=')).status, 400);
+    assert.equal((await request('GET', '/search?q=(open')).status, 400);
+
+    const backedUp = await request('POST', '/backups', { section: 'base' });
+    assert.equal(backedUp.status, 201);
+    const listed = await request('GET', '/backups');
+    assert.deepEqual(listed.body.backups.map(backupFile => backupFile.name), [backedUp.body.name]);
+});
+
+test('bodies over the size limit are refused', async () => {
+    const response = await request('POST', '/sections/base/entries', JSON.stringify({ text: 'x'.repeat(1024 * 1024 + 10) }));
+    assert.equal(response.status, 413);
+});
@@ -0,0 +1,62 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+after(data.cleanup);
+
+const todo = require('../src/todo');
+const entry = require('../src/entry');
+const logger = require('../src/logger');
+
+// a Wednesday
+const base = new Date(2026, 9, 21, 9, 0);
+
+test('due dates are written out from relative values', () => {
+    assert.equal(todo.parseDue('today', base), '2026-10-21');
+    assert.equal(todo.parseDue('tomorrow', base), '2026-10-22');
+    assert.equal(todo.parseDue('fri', base), '2026-10-23');
+    assert.equal(todo.parseDue('wednesday', base), '2026-10-21');
+    assert.equal(todo.parseDue('+2w', base), '2026-11-04');
+    assert.equal(todo.parseDue('2026-12-01@9:05', base), '2026-12-01@09:05');
+    assert.throws(() => todo.parseDue('someday', base), /unknown due date/);
+    assert.throws(() => todo.parseDue('2026-02-30', base), /unknown due date/);
+    assert.throws(() => todo.parseDue('today@25:00', base), /unknown due time/);
+});
+
+test('only todos get their due date resolved', () => {
+    assert.deepEqual(todo.resolveDue('call due:tomorrow', ['todo'], base), { text: 'call due:2026-10-22', due: '2026-10-22' });
+    assert.deepEqual(todo.resolveDue('call due:tomorrow', [], base), { text: 'call due:tomorrow', due: null });
+    assert.equal(todo.resolveDue('call due:never', ['todo'], base).error.startsWith('unknown due date'), true);
+});
+
+test('states follow the due date and completion', () => {
+    const withDue = due => ({ tags: ['todo'], fields: { due } });
+    assert.equal(todo.getState({ tags: [] }, base), null);
+    assert.equal(todo.getState({ tags: ['todo'], fields: {} }, base), 'open');
+    assert.equal(todo.getState(withDue('2026-10-20'), base), 'overdue');
+    assert.equal(todo.getState(withDue('2026-10-21'), base), 'today');
+    assert.equal(todo.getState(withDue('2026-10-21@08:00'), base), 'overdue');
+    assert.equal(todo.getState(withDue('2026-10-22'), base), 'upcoming');
+    assert.equal(todo.getState(todo.setDone(withDue('2026-10-20'), true), base), 'done');
+});
+
+test('due todos are collected again only once a section changed', () => {
+    logger.saveLog('base', entry.createEntry('[todo] pay rent due:2026-10-01'));
+    logger.saveLog('base', entry.createEntry('[todo] no date'));
+    logger.saveLog('base', entry.createEntry('not a todo due:2026-10-01'));
+
+    const first = todo.collectDueTodos();
+    assert.deepEqual(first.map(logEntry => logEntry.text), ['[todo] pay rent due:2026-10-01']);
+    assert.equal(todo.collectDueTodos(), first);
+
+    logger.createSection('work', 'work');
+    logger.saveLog('work', entry.createEntry('[todo] ship due:2026-10-02'));
+    const second = todo.collectDueTodos();
+    assert.notEqual(second, first);
+    assert.deepEqual(second.map(logEntry => logEntry.section).sort(), ['base', 'work']);
+
+    const [rent] = logger.readAllLogs('base');
+    logger.updateLog('base', todo.setDone(rent, true));
+    assert.deepEqual(todo.collectDueTodos().map(logEntry => logEntry.section), ['work']);
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, quietly } = require('./helpers');
+
+const data = quietly(useTempDataDir);
+const viewer = require('../src/viewer');
+const token = 'viewer-token';
+const httpServer = viewer.createViewer(token);
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    httpServer.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+        resolve();
+    });
+}));
+after(() => {
+    httpServer.close();
+    data.cleanup();
+});
+
+function get(pathname, cookie = `thought_token=${token}`) {
+    return fetch(baseUrl + pathname, { headers: cookie ? { Cookie: cookie } : {}, redirect: 'manual' });
+}
+
+test('the link token is swapped for a cookie', async () => {
+    const response = await get(`/sections/base?token=${token}`, null);
+    assert.equal(response.status, 303);
+    assert.equal(response.headers.get('location'), '/sections/base');
+    assert.match(response.headers.get('set-cookie'), /^thought_token=viewer-token; HttpOnly/);
+
+    assert.equal((await get('/', null)).status, 401);
+    assert.equal((await get('/', 'thought_token=wrong')).status, 401);
+    assert.equal((await get('/')).status, 200);
+});
+
+test('a cookie that is not valid percent-encoding is a missing token', async () => {
+    assert.equal((await get('/', 'thought_token=%E0')).status, 401);
+    // still serving
+    assert.equal((await get('/')).status, 200);
+});
+
+test('section names that leave the data directory are not found', async () => {
+    fs.writeFileSync(path.join(data.root, 'outside.jsonl'), '{"id":"x","timestamp":"2026-10-19T10:00:00.000Z","text":"secret"}\n');
+    const response = await get(`/sections/${encodeURIComponent('../../outside')}`);
+    assert.equal(response.status, 404);
+    assert.doesNotMatch(await response.text(), /secret/);
+    assert.equal((await get('/backups/..%2F..%2Foutside.jsonl')).status, 404);
+});
+
+test('addresses that are not valid percent-encoding are bad requests', async () => {
+    for (const pathname of ['/sections/%E0', '/backups/%E0%A4%A']) {
+        const response = await get(pathname);
+        assert.equal(response.status, 400);
+        assert.match(await response.text(), /is not a valid address/);
+    }
+    assert.equal((await get('/')).status, 200);
+});
+
+test('the viewer is read only', async () => {
+    const response = await fetch(`${baseUrl}/sections/base`, { method: 'POST', headers: { Cookie: `thought_token=${token}` } });
+    assert.equal(response.status, 405);
+});